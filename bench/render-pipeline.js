@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Render pipeline benchmark
+ *
+ * Compares per-processor parsing (each string API builds its own JSDOM)
+ * with the shared pipeline (one parse per page, or none at all when only
+ * the streaming scanner is needed) on a synthetic fixture.
+ *
+ * Usage: node bench/render-pipeline.js [--pages=3000] [--video-ratio=0.1]
+ */
+
+import http from 'http';
+import { performance } from 'perf_hooks';
+import { resolveProcessors, createPage } from '../src/pipeline.js';
+import {
+  extractInternalLinks,
+  processVideoWidgets,
+  makeUrlsRelative
+} from '../src/processors/index.js';
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => {
+      const [key, ...rest] = arg.slice(2).split('=');
+      return [key, rest.join('=')];
+    })
+);
+
+const pageCount = Number(args.pages || 3000);
+const videoRatio = Number(args['video-ratio'] ?? 0.1);
+const previewUrl = 'http://127.0.0.1:4321';
+
+function createFixturePage(index) {
+  const links = Array.from({ length: 120 }, (_, i) => {
+    const target = (index * 7 + i) % pageCount;
+    return i % 5 === 0
+      ? `<a href="${previewUrl}/articles/?category=c${i % 4}&amp;page=${i % 9}">Filter ${i}</a>`
+      : `<a href="/articles/post-${target}/">Post ${target}</a>`;
+  }).join('\n');
+
+  const paragraphs = Array.from({ length: 40 }, (_, i) =>
+    `<p>Paragraph ${i} of page ${index} with <strong>some</strong> <em>inline</em> markup.</p>`
+  ).join('\n');
+
+  const video = index % Math.max(1, Math.round(1 / videoRatio)) === 0 && videoRatio > 0
+    ? '<video-widget url="https://www.youtube.com/watch?v=dQw4w9WgXcQ" title="Demo"></video-widget>'
+    : '';
+
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Page ${index}</title><script>window.x = "<a href='/nope'>";</script></head>
+<body>
+<nav>${links}</nav>
+<main>${paragraphs}${video}</main>
+<form action="${previewUrl}/search?q=">
+  <input name="q">
+</form>
+</body>
+</html>`;
+}
+
+function startOembedStub() {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({
+      width: 640,
+      height: 360,
+      html: '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="640" height="360"></iframe>'
+    }));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function runLegacy(pages, context) {
+  for (const html of pages) {
+    extractInternalLinks(html, previewUrl);
+    let output = html;
+    if (output.includes('<video-widget')) {
+      output = await processVideoWidgets(output, context.aposHost, context.aposKey, 0);
+    }
+    makeUrlsRelative(output, previewUrl);
+  }
+}
+
+async function runPipeline(pages, context, parser) {
+  const processors = resolveProcessors();
+
+  for (const [index, html] of pages.entries()) {
+    const page = createPage(`/page-${index}/`, html, { parser });
+    for (const processor of processors) {
+      await processor.transformHtml(page, context);
+    }
+    page.html;
+  }
+}
+
+async function measure(label, run) {
+  if (global.gc) global.gc();
+  const heapBefore = process.memoryUsage().heapUsed;
+  const start = performance.now();
+
+  await run();
+
+  const elapsed = performance.now() - start;
+  const heapDelta = (process.memoryUsage().heapUsed - heapBefore) / 1024 / 1024;
+
+  console.log(
+    `${label.padEnd(28)} ${elapsed.toFixed(0).padStart(8)} ms  ` +
+    `${(pageCount / (elapsed / 1000)).toFixed(1).padStart(8)} pages/s  ` +
+    `${heapDelta.toFixed(1).padStart(7)} MB heap`
+  );
+}
+
+async function main() {
+  const server = await startOembedStub();
+  const { port } = server.address();
+
+  const context = {
+    aposHost: `http://127.0.0.1:${port}`,
+    aposKey: 'bench',
+    previewUrl,
+    retries: 0,
+    results: { videoWidgetsProcessed: 0 }
+  };
+
+  const pages = Array.from({ length: pageCount }, (_, index) => createFixturePage(index));
+  const averageKb = pages.reduce((sum, html) => sum + html.length, 0) / pages.length / 1024;
+
+  console.log(`Fixture: ${pageCount} pages, ~${averageKb.toFixed(1)} KB each, video widgets on ${(videoRatio * 100).toFixed(0)}%\n`);
+
+  try {
+    await measure('per-processor JSDOM', () => runLegacy(pages, context));
+    await measure('pipeline (parser: dom)', () => runPipeline(pages, context, 'dom'));
+    await measure('pipeline (parser: auto)', () => runPipeline(pages, context, 'auto'));
+  } finally {
+    server.close();
+  }
+}
+
+main();
@@ -2,184 +2,748 @@
 
 /**
  * CLI for Apostrophe Astro Static Export
+ *
+ * Commands: export (the default), discover, validate, serve, clean, init
+ * and serve-hooks, each with its own --help.
  */
 
-import { exportStatic } from '../src/index.js';
 import fs from 'fs';
 import path from 'path';
+import {
+  exportStatic,
+  serveHooks,
+  initConfig,
+  discoverEntries,
+  validateSite,
+  createLocaleLayout
+} from '../src/index.js';
+import { parseCliArgs, resolveConfig, formatResolvedConfig } from '../src/config.js';
+import { resolveOutputDir, cleanOutput } from '../src/output.js';
+import { formatValidationReport } from '../src/validate.js';
+import { serveStatic } from '../src/serve.js';
+import { createLogger } from '../src/logger.js';
 
-function parseCliArgs() {
-  const args = process.argv.slice(2);
-  const options = {};
-
-  for (const arg of args) {
-    if (arg.startsWith('--')) {
-      const [key, value] = arg.slice(2).split('=');
-      const camelKey = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
-
-      if (value === undefined) {
-        // Handle flags
-        if (key === 'download-uploads') {
-          options.downloadUploads = true;
-        } else {
-          options[camelKey] = true;
-        }
-      } else if (key === 'piece-types') {
-        options.pieceTypes = value.split(',').map(t => t.trim()).filter(Boolean);
-      } else if (key === 'download-uploads') {
-        if (value === 'copy' || value === 'copy-only') {
-          options.downloadUploads = 'copy-only';
-        } else if (value === 'true') {
-          options.downloadUploads = true;
-        } else {
-          options.downloadUploads = false;
-        }
-      } else if (!isNaN(value)) {
-        options[camelKey] = Number(value);
-      } else {
-        options[camelKey] = value;
-      }
-    }
-  }
-
-  return options;
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
 }
 
-async function loadConfig(configPath) {
-  try {
-    const fullPath = path.resolve(configPath);
-    const config = (await import(fullPath)).default;
-    return config;
-  } catch (error) {
-    console.error(`Failed to load config from ${configPath}: ${error.message}`);
-    process.exit(1);
-  }
-}
+const COMMON_OPTIONS = `Common Options:
+  --config=<path>          Config file: .js, .mjs, .json or package.json
+                           (default: apos-static.config.{js,mjs,json}, or the
+                           "aposStatic" key of package.json)
+  --profile=<name>         Apply profiles[name] of the config file
+  --print-config           Show the resolved options and where each came from
+  --quiet                  Only report warnings and errors
+  --verbose                Also report every page, retry and download
+  --log-format=<format>    text (default), or json for one JSON event per
+                           line (NDJSON) on stdout
+  --help                   Show the help of the command`;
+
+const OUTPUT_OPTIONS = `  --out=<dir>              Output directory (default: static-dist)
+  --draft                  Use the draft export (<out>-draft)
+  --locale-config=<path>   Locale configuration file (locales on their own
+                           domain have their own directory)`;
 
 function printUsage() {
   console.log(`
-Usage: apos-astro-static [options]
+Usage: apos-astro-static [command] [options]
 
-Options:
-  --config=<path>          Path to config file (apos-static.config.js)
-  --apos-host=<url>        ApostropheCMS backend URL (default: APOS_HOST env var)
-  --apos-key=<key>         API key (default: APOS_EXTERNAL_FRONT_KEY env var)
-  --out=<dir>              Output directory (default: static-dist)
-  --port=<number>          Preview server port (default: 4321)
-  --host=<ip>              Preview server host (default: 127.0.0.1)
-  --concurrency=<number>   Max concurrent fetches (default: CPU count, max 8)
-  --retries=<number>       Number of retries for failed fetches (default: 3)
-  --piece-types=<a,b,c>    Comma-separated piece types to include
-  --locale-config=<path>   Path to locale configuration file
-  --download-uploads       Download all uploads (default: false, uses CDN URLs)
-  --download-uploads=copy  Copy local uploads only (monorepo)
-  --help                   Show this help message
+Commands:
+  export                   Export the site (the default without a command)
+  discover                 List the URLs an export would render, per locale
+  validate                 Check the links, assets and anchors of an export
+  serve                    Serve an export locally the way a static host would
+  clean                    Remove an export with its staging, rollback copies
+                           and reports
+  init                     Write a config file from what the backend serves
+  serve-hooks              Keep the preview server running and re-render
+                           changed pages when ApostropheCMS sends a webhook
+
+Run "apos-astro-static <command> --help" for the options of a command.
+
+${COMMON_OPTIONS}
+
+Every option can also be given by its own name (--output-dir=<dir>,
+--success-threshold=<n>, ...), as APOS_STATIC_<NAME> (APOS_STATIC_OUTPUT_DIR)
+and in the config file. Command line beats environment beats profile beats
+config file. Object options take JSON: --validate='{"checkFragments":false}'.
 
 Environment Variables:
   APOS_HOST                ApostropheCMS backend URL
   APOS_EXTERNAL_FRONT_KEY  API key for accessing ApostropheCMS
+  APOS_STATIC_HOOKS_SECRET Webhook signing secret for serve-hooks
+  APOS_STATIC_CONFIG       Config file, like --config
+  APOS_STATIC_PROFILE      Config profile, like --profile
+  APOS_STATIC_<NAME>       Any other option (APOS_STATIC_CONCURRENCY=4)
 
 Examples:
   # Basic usage
   apos-astro-static --apos-host=http://localhost:3000
 
-  # With config file
-  apos-astro-static --config=apos-static.config.js
+  # Write apos-static.config.js from the backend, then export with it
+  apos-astro-static init --apos-host=http://localhost:3000
+  apos-astro-static
+
+  # With a config file and one of its profiles
+  apos-astro-static --config=apos-static.config.js --profile=staging
 
   # Custom output and concurrency
   apos-astro-static --out=dist-static --concurrency=16
 
+  # Re-render only what changed since the last export
+  apos-astro-static --out=dist-static --incremental
+
+  # See what would be exported, then check and serve the result
+  apos-astro-static discover --format=json
+  apos-astro-static validate --out=dist-static
+  apos-astro-static serve --out=dist-static --serve-port=8080
+
 Config File Example (apos-static.config.js):
   export default {
     aposHost: 'http://localhost:3000',
     aposKey: process.env.APOS_EXTERNAL_FRONT_KEY,
     outputDir: 'static-dist',
+    siteUrl: 'https://example.com',
     port: 4321,
     concurrency: 8,
-    pieceTypes: ['article', 'event']
+    pieceTypes: ['article', 'event'],
+    profiles: {
+      staging: { outputDir: 'static-dist-staging', robots: { disallow: ['/'] } }
+    }
   };
   `);
 }
 
-async function main() {
-  const cliOptions = parseCliArgs();
-
-  if (cliOptions.help) {
-    printUsage();
-    process.exit(0);
-  }
-
-  let config = {};
-
-  // Load config file if specified
-  if (cliOptions.config) {
-    config = await loadConfig(cliOptions.config);
-  }
-
-  // Merge CLI options over config file
-  const options = {
-    ...config,
-    ...cliOptions,
-    aposHost: cliOptions.aposHost || config.aposHost || process.env.APOS_HOST,
-    aposKey: cliOptions.aposKey || config.aposKey || process.env.APOS_EXTERNAL_FRONT_KEY
+/** The results of an export without their per-item lists, for the export.complete event */
+function summarizeResults(results) {
+  return {
+    ...results,
+    errors: results.errors.length,
+    ...(results.validation ? {
+      validation: { referencesChecked: results.validation.referencesChecked, broken: results.validation.broken.length }
+    } : {}),
+    ...(results.deploy ? {
+      deploy: {
+        target: results.deploy.target,
+        uploaded: results.deploy.uploaded.length,
+        deleted: results.deploy.deleted.length,
+        unchanged: results.deploy.unchanged
+      }
+    } : {})
   };
+}
 
-  // Load locale config if specified
-  if (options.localeConfig && typeof options.localeConfig === 'string') {
-    options.localeConfig = await loadConfig(options.localeConfig);
-  }
-
-  if (!options.aposHost) {
-    console.error('❌ Error: aposHost is required (use --apos-host or APOS_HOST env var)');
-    process.exit(1);
-  }
-
-  if (!options.aposKey) {
-    console.error('❌ Error: aposKey is required (use --apos-key or APOS_EXTERNAL_FRONT_KEY env var)');
-    process.exit(1);
-  }
+async function runExport(options) {
+  const { logger } = options;
 
   // Progress reporting
   let lastProgress = 0;
   options.onProgress = (current, total, message) => {
     const percent = Math.round((current / total) * 100);
     if (percent !== lastProgress || message) {
-      console.log(`[${percent}%] ${message || ''}`);
+      logger.info(`[${percent}%] ${message || ''}`, { event: 'progress', percent, step: message });
       lastProgress = percent;
     }
   };
 
-  console.log('🚀 Starting Apostrophe Astro Static Export...\n');
+  logger.info(options.mode === 'draft'
+    ? '🚀 Starting Apostrophe Astro Static Export (draft preview)...\n'
+    : '🚀 Starting Apostrophe Astro Static Export...\n', { event: 'export.start', mode: options.mode });
 
   try {
     const results = await exportStatic(options);
 
-    console.log('\n✅ Export complete!');
-    console.log(`   📄 Pages rendered: ${results.pagesRendered}`);
+    logger.info('\n✅ Export complete!', { event: 'export.complete', ...summarizeResults(results) });
+
+    // The export.complete event carries all of this in JSON logs
+    const say = logger.format === 'json' ? () => {} : line => logger.info(line);
+
+    say(`   📄 Pages rendered: ${results.pagesRendered}`);
+
+    if (results.pagesSkipped > 0 || results.pagesRemoved > 0) {
+      say(`   ♻️  Pages unchanged: ${results.pagesSkipped}, removed: ${results.pagesRemoved}`);
+    }
+
+    for (const [locale, summary] of Object.entries(results.locales || {})) {
+      const outputDir = path.relative(process.cwd(), summary.outputDir) || '.';
+      say(`   🌍 ${locale}: ${summary.pagesRendered} pages` +
+        (summary.errors > 0 ? `, ${summary.errors} failed` : '') +
+        ` → ${outputDir}${summary.baseUrl ? ` (${summary.baseUrl})` : ''}`);
+    }
+
+    const elementCounts = Object.entries(results.customElements || {});
+    if (elementCounts.length > 0) {
+      say(`   🧩 Custom elements rendered: ${elementCounts.map(([tag, count]) => `<${tag}> ${count}`).join(', ')}`);
+    }
+
+    if (results.uploads) {
+      const { downloaded, cached, bytesTransferred, bytesFromCache, failed } = results.uploads;
+      say(`   📦 Uploads: ${downloaded} downloaded (${formatBytes(bytesTransferred)}), ` +
+        `${cached} from cache (${formatBytes(bytesFromCache)})${failed > 0 ? `, ${failed} failed` : ''}`);
+    }
+
+    if (results.assetUrls) {
+      const { rewritten, remaining } = results.assetUrls;
+      say(`   🔀 Asset URLs rewritten: ${rewritten}` +
+        (remaining > 0 ? `, ${remaining} backend reference(s) left` : ''));
+    }
+
+    if (results.images) {
+      const { downloaded, generated, converted, failed } = results.images;
+      say(`   🖼️  Images: ${downloaded} downloaded, ${generated} generated, ${converted} converted` +
+        (failed > 0 ? `, ${failed} failed` : ''));
+    }
+
+    if (results.oembed) {
+      const { fetched, cached, offline, failed } = results.oembed;
+      say(`   📼 oEmbed: ${fetched} fetched, ${cached} from cache, ${offline} generated offline` +
+        (failed > 0 ? `, ${failed} failed` : ''));
+    }
+
+    if (results.searchIndex) {
+      const counts = Object.entries(results.searchIndex).map(([locale, count]) => `${locale}: ${count}`);
+      say(`   🔍 Search index: ${counts.join(', ')}`);
+    }
+
+    if (results.forms?.forms > 0) {
+      const { target, forms, pages } = results.forms;
+      say(`   📨 Forms: ${forms} (${target}) on ${pages} page(s)`);
+    }
+
+    if (results.redirects > 0) {
+      say(`   ↪️  Redirects: ${results.redirects}`);
+    }
+
+    if (results.validation) {
+      const { referencesChecked, broken, reportDir } = results.validation;
+      say(`   🔗 Links checked: ${referencesChecked}, broken: ${broken.length}` +
+        (reportDir ? ` (see ${path.relative(process.cwd(), reportDir) || '.'})` : ''));
+    }
+
+    if (results.sitemapFiles.length > 0) {
+      say(`   🗺️  Sitemap: ${results.sitemapFiles.join(', ')}`);
+    }
 
-    if (results.videoWidgetsProcessed > 0) {
-      console.log(`   🎬 Video widgets processed: ${results.videoWidgetsProcessed}`);
+    if (results.deploy) {
+      const { target, uploaded, deleted, unchanged, dryRun } = results.deploy;
+      say(`   🚚 Deploy (${target}${dryRun ? ', dry run' : ''}): ` +
+        `${uploaded.length} uploaded, ${deleted.length} deleted, ${unchanged} unchanged`);
     }
 
-    console.log(`   📂 Output: ${results.outputDir}`);
+    if (results.swapped) {
+      say(`   📂 Output: ${results.outputDir}`);
+      if (results.previousOutputDir) {
+        say(`   ⏪ Previous build kept at: ${results.previousOutputDir}`);
+      }
+    } else {
+      say(`   📂 Output left unchanged; staged build kept at: ${results.stagingDir}`);
+    }
+
+    if (options.buildReport !== false) {
+      say(`   📊 Build report: ${path.join(path.relative(process.cwd(), results.reportsDir) || '.', 'build-report.json')}`);
+    }
 
     if (results.errors.length > 0) {
-      console.warn(`\n⚠️  ${results.errors.length} pages failed:`);
-      results.errors.slice(0, 5).forEach(({ url, error }) => {
-        console.warn(`   - ${url}: ${error}`);
+      logger.warn(`\n⚠️  ${results.errors.length} pages failed:`, { event: 'export.errors', count: results.errors.length });
+      results.errors.slice(0, 5).forEach(({ url, error, referrers = [] }) => {
+        logger.warn(`   - ${url ? `${url}: ` : ''}${error}`, { event: 'export.error', url, error, referrers });
+        if (referrers.length > 0 && logger.format === 'text') {
+          const more = referrers.length > 3 ? ` and ${referrers.length - 3} more` : '';
+          logger.warn(`     linked from ${referrers.slice(0, 3).join(', ')}${more}`);
+        }
       });
       if (results.errors.length > 5) {
-        console.warn(`   ... and ${results.errors.length - 5} more`);
+        logger.warn(`   ... and ${results.errors.length - 5} more`);
+      }
+      process.exit(1);
+    }
+  } catch (error) {
+    logger.error(`\n❌ Export failed: ${error.message}`, { event: 'export.failed', error: error.message });
+    if (process.env.DEBUG) {
+      logger.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+async function runDiscover(options, meta) {
+  const locales = createLocaleLayout(options.localeConfig, options);
+  // As the page's domain sees it, and its public URL when siteUrl or a baseUrl gives one
+  const entries = (await discoverEntries(options, locales)).map(({ url, locale = null, source, type }) => ({
+    url: locales.pathInTree(url),
+    publicUrl: locales.absoluteUrl(url, locale),
+    locale,
+    source,
+    type
+  }));
+
+  const { logger } = options;
+
+  // JSON logs carry the entries as events, so stdout stays NDJSON
+  if (logger.format === 'json') {
+    for (const entry of entries) {
+      logger.info(entry.publicUrl || entry.url, { event: 'discover.url', ...entry });
+    }
+  } else if (meta.format === 'json') {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  const byLocale = new Map();
+  for (const entry of entries) {
+    const locale = entry.locale || null;
+    if (!byLocale.has(locale)) byLocale.set(locale, []);
+    byLocale.get(locale).push(entry);
+  }
+
+  if (logger.format === 'text') {
+    for (const [locale, localeEntries] of byLocale) {
+      const indent = locale ? '  ' : '';
+      if (locale) logger.info(`${locale}: ${localeEntries.length} URLs`);
+      for (const { url, publicUrl, source, type } of localeEntries) {
+        logger.info(`${indent}${String(source).padEnd(8)} ${publicUrl || url}${type ? `  (${type})` : ''}`);
       }
+    }
+  }
+
+  const bySource = {};
+  for (const { source } of entries) bySource[source] = (bySource[source] || 0) + 1;
+  logger.info(`\n✅ ${entries.length} URLs (${Object.entries(bySource).map(([source, count]) => `${source}: ${count}`).join(', ')})`, {
+    event: 'discover.complete',
+    urls: entries.length,
+    sources: bySource
+  });
+}
+
+async function runValidate(options) {
+  const outputDir = resolveOutputDir(options);
+  if (!fs.existsSync(outputDir)) {
+    throw new Error(`${path.relative(process.cwd(), outputDir) || outputDir} doesn't exist (run an export first)`);
+  }
+
+  const validation = validateSite(outputDir, options);
+
+  // The text report, or one event per broken reference in JSON logs
+  if (options.logger.format === 'json') {
+    for (const { target, kind, referrers } of validation.broken) {
+      options.logger.warn(`Broken ${kind}: ${target}`, { event: 'validate.broken', target, kind, referrers });
+    }
+  } else {
+    const report = formatValidationReport(validation).trimEnd();
+    options.logger[validation.broken.length > 0 ? 'warn' : 'info'](report);
+  }
+  options.logger.info(`\n   🔗 Links checked: ${validation.referencesChecked}, broken: ${validation.broken.length} ` +
+    (validation.reportDir ? `(reports written to ${path.relative(process.cwd(), validation.reportDir) || '.'})` : ''), {
+    event: 'validate.complete',
+    pagesChecked: validation.pagesChecked,
+    referencesChecked: validation.referencesChecked,
+    broken: validation.broken.length
+  });
+
+  if (validation.broken.length > 0) process.exit(1);
+}
+
+async function runServe(options, meta) {
+  const outputDir = resolveOutputDir(options);
+  const locales = createLocaleLayout(options.localeConfig, options);
+  const port = meta.servePort ?? 8080;
+  const host = meta.serveHost || '127.0.0.1';
+  const servers = [];
+
+  for (const [index, tree] of locales.trees.entries()) {
+    const root = locales.split ? path.join(outputDir, tree.name) : outputDir;
+    const server = await serveStatic({
+      root,
+      host,
+      port: port + index,
+      onRequest: (method, url, status) => options.logger.info(
+        `   ${status} ${method} ${locales.split ? `[${tree.name}] ` : ''}${url}`,
+        { event: 'serve.request', method, url, status, ...(locales.split ? { tree: tree.name } : {}) }
+      )
+    });
+    servers.push(server);
+
+    options.logger.info(`🌐 Serving ${path.relative(process.cwd(), root) || '.'} at ${server.url}` +
+      (locales.split && tree.baseUrl ? ` (${tree.baseUrl})` : ''), { event: 'serve.listening', root, url: server.url });
+  }
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      await Promise.all(servers.map(server => server.close()));
+      process.exit(0);
+    });
+  }
+}
+
+async function runClean(options, meta) {
+  const outputDir = resolveOutputDir(options);
+  const caches = meta.cache
+    ? [options.uploadCache, options.oembedCache, options.customElementsCache].filter(cache => typeof cache === 'string')
+    : [];
+  const removed = cleanOutput(outputDir, { reportsDir: options.reportsDir, extraPaths: caches, dryRun: meta.dryRun });
+
+  if (removed.length === 0) {
+    options.logger.info('✅ Nothing to clean', { event: 'clean.complete', removed: [] });
+    return;
+  }
+
+  options.logger.info(meta.dryRun ? '🧹 Would remove:' : '🧹 Removed:', {
+    event: 'clean.complete',
+    dryRun: Boolean(meta.dryRun),
+    removed
+  });
+  if (options.logger.format === 'text') {
+    for (const removedPath of removed) {
+      options.logger.info(`   ${path.relative(process.cwd(), removedPath)}`);
+    }
+  }
+}
+
+async function runServeHooks(options) {
+  const { logger } = options;
+  logger.info('🚀 Starting Apostrophe Astro Static webhook server...\n', { event: 'hooks.start' });
+
+  try {
+    const hooks = await serveHooks(options);
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, async () => {
+        logger.info('\n👋 Finishing queued rebuilds and shutting down...', { event: 'hooks.stop' });
+        await hooks.close();
+        process.exit(0);
+      });
+    }
+  } catch (error) {
+    logger.error(`\n❌ Webhook server failed: ${error.message}`, { event: 'hooks.failed', error: error.message });
+    process.exit(1);
+  }
+}
+
+/** `init`: only the connection options and --config/--force apply */
+async function init(flags) {
+  const connection = flags.filter(([flag]) => ['apos-host', 'apos-key', 'config', 'force'].includes(flag));
+  const ignored = flags.filter(flag => !connection.includes(flag)).map(([flag]) => `--${flag}`);
+  if (ignored.length > 0) {
+    console.warn(`⚠️  init ignores ${ignored.join(', ')}`);
+  }
+
+  try {
+    // Host and key come from the command line or environment, like an export's
+    const { options, meta } = await resolveConfig({
+      flags: connection,
+      readConfigFile: false,
+      commandFlags: { force: 'boolean' }
+    });
+
+    if (!options.aposHost || !options.aposKey) {
+      throw new Error('init needs the backend URL and API key (--apos-host/--apos-key or APOS_HOST/APOS_EXTERNAL_FRONT_KEY)');
+    }
+
+    console.log(`🔎 Probing ${options.aposHost}...`);
+    const { file, probe } = await initConfig({
+      aposHost: options.aposHost,
+      aposKey: options.aposKey,
+      file: meta.config,
+      force: meta.force
+    });
+
+    console.log(`\n✅ Wrote ${path.relative(process.cwd(), file)}`);
+    console.log(`   🧱 Piece types: ${probe.pieceTypes.length > 0 ? probe.pieceTypes.join(', ') : 'none found'}`);
+    if (probe.localeConfig) {
+      console.log(`   🌍 Locales: ${Object.keys(probe.localeConfig).join(', ')}`);
+    }
+    if (probe.redirects) console.log('   ↪️  Redirects module found: redirects enabled');
+    if (probe.forms) console.log('   📨 Form module found: see the forms option');
+    console.log('\n   Set APOS_EXTERNAL_FRONT_KEY when exporting; the key is not written to the file.');
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const COMMANDS = {
+  export: {
+    backend: true,
+    help: `
+Usage: apos-astro-static [export] [options]
+
+Builds Astro, renders every page and piece through its preview server and
+writes the static site.
+
+Options:
+  --apos-host=<url>        ApostropheCMS backend URL (default: APOS_HOST env var)
+  --apos-key=<key>         API key (default: APOS_EXTERNAL_FRONT_KEY env var)
+  --out=<dir>              Output directory (default: static-dist)
+  --reports-dir=<dir>      Manifest and reports, outside the output
+                           (default: <out>.reports)
+  --port=<number>          Preview server port (default: 4321)
+  --host=<ip>              Preview server host (default: 127.0.0.1)
+  --renderer=<name>        http (default): render through the preview server;
+                           in-process: call the Astro server build directly
+  --server-entry=<path>    Server build entry for --renderer=in-process
+                           (default: dist/server/entry.mjs)
+  --render-url=<url>       Render through a server that is already running
+                           (astro dev, a deployed SSR build) instead of
+                           building and starting the preview server
+  --skip-build             Start the preview server on the existing build
+  --package-manager=<pm>   npm, pnpm, yarn or bun (default: detected from
+                           package.json or the lockfile)
+  --build-script=<name>    package.json script that builds Astro (default: build)
+  --build-args=<a,b>       Arguments passed to the build script
+  --preview-script=<name>  package.json script that serves the build
+                           (default: preview; gets --host and --port)
+  --preview-args=<a,b>     More arguments passed to the preview script
+  --concurrency=<number>   Max concurrent fetches (default: CPU count, max 8)
+  --retries=<number>       Number of retries for failed fetches (default: 3)
+  --piece-types=<a,b,c>    Comma-separated piece types to include
+  --locale-config=<path>   Path to locale configuration file (locales on their
+                           own domain are exported into <out>/<locale>/)
+  --no-locale-links        Don't add canonical and hreflang link tags
+  --pagination             Compute pagination pages of piece index pages from
+                           the CMS (configure templates in the config file)
+  --download-uploads       Download all uploads (default: false, uses CDN URLs)
+  --download-uploads=copy  Copy local uploads only (monorepo)
+  --upload-origins=<a,b>   CDN/S3 base URLs serving uploads, downloaded and
+                           rewritten like /uploads/ with --download-uploads
+  --upload-cache=<dir>     Upload download cache (default:
+                           node_modules/.cache/apos-astro-static/uploads)
+  --no-upload-cache        Download every upload again on each export
+  --asset-url-rewrite=<url> Rewrite upload URLs to this base, e.g.
+                           https://cdn.example.com/uploads (or /uploads)
+  --images                 With --download-uploads: download srcset size variants,
+                           add width/height and loading="lazy" to images
+  --image-formats=<a,b>    Also add image sources in these formats: webp, avif
+  --incremental            Only re-render documents changed since the last export
+  --video-facade           Render videos as click-to-load facades (local poster,
+                           YouTube from youtube-nocookie.com)
+  --oembed-offline         Generate YouTube/Vimeo embeds from the URL without
+                           asking the CMS (default: only when the CMS fails)
+  --no-oembed-offline      Never generate embeds offline
+  --oembed-cache=<file>    oEmbed cache (default:
+                           node_modules/.cache/apos-astro-static/oembed.json)
+  --no-oembed-cache        Look up every video again on each export
+  --no-custom-elements-cache
+                           Don't reuse custom element renderer results
+  --site-url=<url>         Public site URL for sitemap.xml and robots.txt
+  --no-sitemap             Don't write sitemap.xml
+  --no-robots              Don't write robots.txt
+  --search-index           Write a client-side search index per locale
+  --forms=<target>         Make Apostrophe forms submit without the CMS:
+                           netlify, schema (export forms/<name>.json only),
+                           or an endpoint URL such as https://formspree.io/f/{name}
+  --validate               Check links, assets and anchors in the output
+                           (writes link-report.json and link-report.txt)
+  --no-build-report        Don't write build-report.json into the reports directory
+  --fail-on-broken-links   Validate and fail the export on any broken link
+  --success-threshold=<n>  Share of pages (0-1) that must succeed before the
+                           staged export replaces the output (default: 1)
+  --keep-previous=<n>      Keep the last n replaced builds as rollback copies
+  --draft                  Export draft versions for review into <out>-draft,
+                           with a "Draft preview" banner and noindex
+  --deploy=<target>        Deploy the output: a name from deployTargets in the
+                           config file, or s3, filesystem, rsync
+  --deploy-dry-run         Show what the deploy would upload and delete
+  --redirects              Write CMS redirects as HTML redirect pages
+  --redirects=<a,b>        Redirect formats: netlify, vercel, nginx, apache, html
+
+${COMMON_OPTIONS}
+`,
+    run: runExport
+  },
+
+  discover: {
+    backend: true,
+    flags: { format: ['text', 'json'] },
+    help: `
+Usage: apos-astro-static discover [options]
+
+Lists the URLs an export would render, by locale, with the source of each
+(page, piece or listing). Nothing is built or written.
+
+Options:
+  --format=<text|json>     text (default), or a JSON array of
+                           { url, publicUrl, locale, source, type }
+  --apos-host=<url>        ApostropheCMS backend URL (default: APOS_HOST env var)
+  --apos-key=<key>         API key (default: APOS_EXTERNAL_FRONT_KEY env var)
+  --piece-types=<a,b,c>    Comma-separated piece types (default: discovered)
+  --locale-config=<path>   Locale configuration file
+  --pagination             Include the computed pagination and filter pages
+  --draft                  List the URLs of the draft versions
+
+${COMMON_OPTIONS}
+`,
+    run: runDiscover
+  },
+
+  validate: {
+    help: `
+Usage: apos-astro-static validate [options]
+
+Checks every internal link, asset and #fragment of an existing export and
+writes link-report.json and link-report.txt into its reports directory.
+Exits with an error when anything is broken.
+
+Options:
+${OUTPUT_OPTIONS}
+  --reports-dir=<dir>      Where the reports go (default: <out>.reports)
+  --site-url=<url>         Public site URL; absolute links to it are checked too
+  --validate=<json>        Settings, e.g. '{"checkFragments":false,"ignore":["/api/"]}'
+
+${COMMON_OPTIONS}
+`,
+    run: runValidate
+  },
+
+  serve: {
+    flags: { 'serve-port': 'number', 'serve-host': 'string' },
+    help: `
+Usage: apos-astro-static serve [options]
+
+Serves an export the way static hosts do: /about/ serves about/index.html,
+/about redirects to /about/, exact-path _redirects rules apply, and missing
+pages get the nearest 404.html with a 404 status. Locales on their own
+domain are served on the following ports.
+
+Options:
+${OUTPUT_OPTIONS}
+  --serve-port=<number>    Port (default: 8080)
+  --serve-host=<ip>        Host (default: 127.0.0.1)
+
+${COMMON_OPTIONS}
+`,
+    run: runServe
+  },
+
+  clean: {
+    flags: { cache: 'boolean', 'dry-run': 'boolean' },
+    help: `
+Usage: apos-astro-static clean [options]
+
+Removes the export with its staging directory, its builds, including the
+rollback copies (<out>.builds/), and its manifest and reports (<out>.reports/).
+
+Options:
+${OUTPUT_OPTIONS}
+  --reports-dir=<dir>      Manifest and reports directory (default: <out>.reports)
+  --cache                  Also remove the upload, oEmbed and custom element
+                           caches
+  --dry-run                Only list what would be removed
+
+${COMMON_OPTIONS}
+`,
+    run: runClean
+  },
+
+  init: {
+    help: `
+Usage: apos-astro-static init [options]
+
+Asks the backend for its piece types, locales and modules and writes a
+starting config file. The API key is never written to it.
+
+Options:
+  --apos-host=<url>        ApostropheCMS backend URL (default: APOS_HOST env var)
+  --apos-key=<key>         API key (default: APOS_EXTERNAL_FRONT_KEY env var)
+  --config=<path>          File to write (default: apos-static.config.js;
+                           .json writes JSON)
+  --force                  Overwrite an existing file
+`
+  },
+
+  'serve-hooks': {
+    backend: true,
+    help: `
+Usage: apos-astro-static serve-hooks [options]
+
+Keeps the Astro preview server running and re-renders changed pages when
+ApostropheCMS sends a signed webhook. Takes the options of export as well.
+
+Options:
+  --hooks-port=<number>    Webhook server port (default: 4322)
+  --hooks-host=<ip>        Webhook server host (default: 127.0.0.1)
+  --hooks-path=<path>      Webhook endpoint (default: /hooks)
+  --hooks-secret=<secret>  Signing secret (default: APOS_STATIC_HOOKS_SECRET)
+  --debounce-ms=<number>   Quiet period before a rebuild starts (default: 2000)
+  --allow-unsigned         Accept unsigned webhooks (local testing only)
+
+${COMMON_OPTIONS}
+`,
+    run: runServeHooks
+  }
+};
+
+async function main() {
+  const { command, positionals, flags } = parseCliArgs();
+  const name = command || 'export';
+  const definition = COMMANDS[name];
+
+  if (!definition || positionals.length > 0) {
+    console.error(`❌ Error: Unknown command "${[command, ...positionals].join(' ')}" (see --help)`);
+    process.exit(1);
+  }
+
+  if (flags.some(([flag]) => flag === 'help')) {
+    if (command) {
+      console.log(definition.help);
+    } else {
+      printUsage();
+    }
+    process.exit(0);
+  }
+
+  if (name === 'init') {
+    await init(flags);
+    return;
+  }
+
+  let config;
+  try {
+    config = await resolveConfig({ flags, commandFlags: definition.flags });
+  } catch (error) {
+    console.error(`❌ Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const { options, meta } = config;
+
+  if (meta.printConfig) {
+    if (config.configFile) {
+      console.log(`# ${path.relative(process.cwd(), config.configFile)}${config.profile ? `, profile ${config.profile}` : ''}`);
+    }
+    console.log(formatResolvedConfig(config));
+    process.exit(0);
+  }
+
+  const logger = createLogger({ level: options.logLevel, format: options.logFormat });
+  options.logger = logger;
+
+  for (const warning of config.warnings) {
+    logger.warn(warning, { event: 'config.warning' });
+  }
+
+  if (definition.backend) {
+    if (!options.aposHost) {
+      logger.error('❌ Error: aposHost is required (use --apos-host or APOS_HOST env var)', { event: 'error' });
+      process.exit(1);
+    }
+
+    if (!options.aposKey) {
+      logger.error('❌ Error: aposKey is required (use --apos-key or APOS_EXTERNAL_FRONT_KEY env var)', { event: 'error' });
       process.exit(1);
     }
+  }
+
+  try {
+    await definition.run(options, meta);
   } catch (error) {
-    console.error('\n❌ Export failed:', error.message);
+    logger.error(`❌ Error: ${error.message}`, { event: 'error', error: error.message });
     if (process.env.DEBUG) {
-      console.error(error.stack);
+      logger.error(error.stack);
     }
     process.exit(1);
   }
 }
 
-main();
\ No newline at end of file
+main();
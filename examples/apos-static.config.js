@@ -14,9 +14,23 @@ export default {
   // Output directory for static files
   outputDir: 'static-dist',
 
+  // Public site URL, used for sitemap.xml and robots.txt
+  // (locales with a baseUrl in localeConfig use that instead)
+  siteUrl: 'https://example.com',
+
+  // Search engine files (both default to true)
+  // sitemap: { maxUrlsPerFile: 50000 },
+  // robots: { disallow: ['/drafts/'] },
+
   // Astro preview server configuration
   port: 4321,
   host: '127.0.0.1',
+  // packageManager: 'pnpm',        // default: detected from the lockfile
+  // buildScript: 'build',          // buildArgs: ['--mode', 'staging']
+  // previewScript: 'preview',      // previewArgs: []
+  // skipBuild: true,               // use the existing dist/
+  // renderUrl: 'http://localhost:4321',  // render through a running server instead
+  // renderer: 'in-process',        // call the server build (dist/server/entry.mjs) directly
 
   // Performance tuning
   concurrency: 8,  // Max concurrent page fetches
@@ -28,6 +42,32 @@ export default {
   // true: Download all uploads for fully self-contained site
   downloadUploads: false,
 
+  // Optional, without downloading: rewrite upload URLs (e.g. from a staging
+  // backend) to the public asset host
+  // assetUrlRewrite: 'https://cdn.example.com/uploads',
+
+  // Optional, with downloadUploads: true: CDN/S3 base URLs uploads are served
+  // from, downloaded and rewritten like /uploads/
+  // uploadOrigins: ['https://cdn.example.com/uploads'],
+
+  // Optional, with downloadUploads: true: download srcset size variants,
+  // add width/height and loading="lazy", and WebP/AVIF alternatives
+  // images: { formats: ['webp'] },
+
+  // Optional: Render custom elements to static HTML at build time
+  // (<video-widget> is built in; see "Custom Elements" in the README)
+  // customElements: {
+  //   'map-widget': ({ attributes }) => `<img src="/maps/${attributes.id}.png" alt="Map">`
+  // },
+
+  // Optional: Make Apostrophe form widgets submit without the CMS:
+  // 'netlify', 'schema' or an endpoint such as 'https://formspree.io/f/{name}'
+  // forms: 'netlify',
+
+  // Optional: 'draft' exports unpublished changes for review into
+  // <outputDir>-draft, with a "Draft preview" banner and noindex
+  // mode: 'draft',
+
   // Optional: Specify which piece types to include
   // If omitted, all piece types will be auto-discovered
   pieceTypes: [
@@ -36,9 +76,34 @@ export default {
     'product'
   ],
 
+  // Optional: Render every pagination and filter page of piece index pages,
+  // computed from the CMS rather than found by crawling. perPage must match
+  // the piece page type's perPage option (the API does not report it)
+  // pagination: {
+  //   article: { perPage: 10, filters: ['category'], pageTemplate: '{path}/page/{n}/' }
+  // },
+
   // Optional: Multi-locale configuration
   // See examples/locales.config.js
-  // localeConfig: await import('./locales.config.js').then(m => m.default),
+  // localeConfig: './locales.config.js',
+
+  // Optional: Deploy after each export with --deploy=<name>
+  // deployTargets: {
+  //   production: { adapter: 's3', bucket: 'www.example.com', region: 'eu-west-1' },
+  //   staging: { adapter: 'rsync', destination: 'deploy@staging.example.com:/var/www/site/' }
+  // },
+
+  // Optional: Named option sets applied with --profile=<name>
+  // (or APOS_STATIC_PROFILE) over the rest of this file
+  // profiles: {
+  //   staging: { outputDir: 'static-dist-staging', robots: { disallow: ['/'] } },
+  //   production: { validate: { failOnBroken: true }, deploy: 'production' }
+  // },
+
+  // Optional: Logging. --quiet is logLevel: 'warn', --verbose is 'debug';
+  // 'json' writes one JSON event per line for CI to parse
+  // logLevel: 'info',
+  // logFormat: 'json',
 
   // Optional: Progress callback for custom logging
   onProgress: (current, total, message) => {
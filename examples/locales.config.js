@@ -28,6 +28,14 @@ export default {
     baseUrl: 'https://example.com/de',
     prefix: '/de'
   }
+
+  // A locale on its own domain is exported into its own directory
+  // (static-dist/nl/, with the example.com locales in static-dist/en/)
+  // nl: {
+  //   baseUrl: 'https://example.nl',
+  //   prefix: '',
+  //   outputDir: 'nl' // Optional, defaults to the locale
+  // }
 };
 
 /**
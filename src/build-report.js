@@ -0,0 +1,79 @@
+/**
+ * Build Report
+ *
+ * build-report.json records what an export did, for CI to read:
+ * - every page: rendered, unchanged (incremental exports) or failed, with
+ *   its HTTP status, render time, size and the warnings logged for it
+ * - warnings logged outside of pages
+ * - the totals of the export results
+ *
+ * It is written into the reports directory next to the output, not into
+ * the served output, whether or not the build replaced the output.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeOutputFile } from './utils.js';
+
+export const BUILD_REPORT_FILENAME = 'build-report.json';
+const REPORT_VERSION = 1;
+
+export function createBuildReport() {
+  const startedAt = new Date();
+  const pages = new Map();
+  const warnings = [];
+
+  return {
+    // Collects the warnings of the export logger (see logger.child)
+    warnings,
+
+    /** Record a page; a later record of the same URL replaces it */
+    page(url, record) {
+      pages.set(url, { url, ...record });
+    },
+
+    /** Drop the record of a page whose output was removed */
+    forget(url) {
+      pages.delete(url);
+    },
+
+    /** The report of an export, from its results */
+    build(results) {
+      const finishedAt = new Date();
+      const pageList = Array.from(pages.values()).sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+      const rendered = pageList.filter(page => page.status === 'rendered');
+
+      return {
+        version: REPORT_VERSION,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        duration: finishedAt - startedAt,
+        success: results.errors.length === 0,
+        totals: {
+          pagesRendered: results.pagesRendered,
+          pagesSkipped: results.pagesSkipped,
+          pagesRemoved: results.pagesRemoved,
+          pagesFailed: pageList.filter(page => page.status === 'failed').length,
+          bytes: rendered.reduce((total, page) => total + page.bytes, 0),
+          renderTime: rendered.reduce((total, page) => total + page.duration, 0),
+          warnings: warnings.length + pageList.reduce((total, page) => total + page.warnings.length, 0),
+          ...(results.uploads ? { uploads: results.uploads } : {}),
+          ...(results.images ? { images: results.images } : {}),
+          ...(results.oembed ? { oembed: results.oembed } : {}),
+          ...(Object.keys(results.customElements).length > 0 ? { customElements: results.customElements } : {}),
+          ...(results.validation ? { brokenLinks: results.validation.broken.length } : {})
+        },
+        errors: results.errors,
+        warnings,
+        pages: pageList
+      };
+    }
+  };
+}
+
+/** Write the report into a directory; returns its path */
+export function writeBuildReport(dir, report, results) {
+  const reportPath = path.join(dir, BUILD_REPORT_FILENAME);
+  writeOutputFile(reportPath, JSON.stringify(report.build(results), null, 2) + '\n');
+  return reportPath;
+}
@@ -0,0 +1,88 @@
+/**
+ * Static form submissions
+ *
+ * Submits Apostrophe form widgets of an exported site to the endpoint the
+ * forms processor configured (Netlify Forms, a Formspree-style URL or a
+ * custom handler) instead of the CMS. Included once per page with a form:
+ *
+ *   <script src="/_apos-static/forms.js" defer></script>
+ *
+ * Markup contract:
+ * - form[data-apos-static-form]          Posted to its action with fetch
+ *     data-apos-static-form-encoding     "form" (urlencoded, multipart with files) or "json"
+ * - [data-apos-static-form-success]      Shown (and the form hidden) after a submission
+ * - [data-apos-static-form-error]        Shown when a submission fails
+ *
+ * Field validation is the browser's own (required, pattern, min, ...), checked
+ * before anything is sent. The listener runs in the capture phase so the
+ * CMS form script, when the page still includes it, never posts to the CMS.
+ */
+
+(function () {
+  function find(form, attribute) {
+    const wrapper = form.closest('[data-apos-form-wrapper]') || form.parentElement;
+    return wrapper.querySelector('[' + attribute + ']');
+  }
+
+  function body(form) {
+    const data = new FormData(form);
+
+    if (form.getAttribute('data-apos-static-form-encoding') === 'json') {
+      const values = {};
+      data.forEach(function (value, name) {
+        if (name in values) {
+          values[name] = [].concat(values[name], value);
+        } else {
+          values[name] = form.querySelector('input[type="checkbox"][name="' + name + '"]') ? [value] : value;
+        }
+      });
+      return { body: JSON.stringify(values), type: 'application/json' };
+    }
+
+    // Files need multipart; everything else goes urlencoded (what Netlify expects)
+    if (form.querySelector('input[type="file"]')) return { body: data };
+    return { body: new URLSearchParams(data).toString(), type: 'application/x-www-form-urlencoded' };
+  }
+
+  function show(element, visible) {
+    if (!element) return;
+    element.hidden = !visible;
+    element.style.display = visible ? '' : 'none';
+  }
+
+  function submit(form) {
+    const button = form.querySelector('[type="submit"]');
+    const payload = body(form);
+    const headers = { Accept: 'application/json' };
+    if (payload.type) headers['Content-Type'] = payload.type;
+
+    show(find(form, 'data-apos-static-form-error'), false);
+    if (button) button.disabled = true;
+
+    return fetch(form.action || window.location.pathname, { method: 'POST', headers: headers, body: payload.body })
+      .then(function (response) {
+        if (!response.ok) throw new Error(response.statusText);
+        show(form, false);
+        const success = find(form, 'data-apos-static-form-success');
+        show(success, true);
+        if (success) success.focus();
+      })
+      .catch(function () {
+        show(find(form, 'data-apos-static-form-error'), true);
+      })
+      .finally(function () {
+        if (button) button.disabled = false;
+      });
+  }
+
+  document.addEventListener('submit', function (event) {
+    const form = event.target.closest && event.target.closest('form[data-apos-static-form]');
+    if (!form) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (!form.reportValidity()) return;
+    submit(form);
+  }, true);
+})();
@@ -0,0 +1,150 @@
+/**
+ * Static search client
+ *
+ * Drop-in replacement for ApostropheCMS search on exported sites. Loads
+ * the per-locale index written by the exporter and renders results into
+ * the page. No dependencies; include it with:
+ *
+ *   <script src="/_apos-static/search.js" defer></script>
+ *
+ * Markup contract:
+ * - form[data-apos-static-search]          Search form with an input named "q"
+ *     data-locale="en"                     Optional, defaults to <html lang>
+ *     data-index-base="/search-index/"     Optional, where the index files live
+ * - [data-apos-static-search-results]      Container the result list is rendered into
+ * - [data-apos-static-search-status]       Optional, receives "3 results" style text
+ *
+ * The `q` query string parameter is searched on load, so the exported
+ * /search page keeps working for links like /search/?q=term.
+ *
+ * `window.aposStaticSearch.search(query, { locale })` is exposed for
+ * custom interfaces; `load(locale)` returns the raw index.
+ */
+
+(function () {
+  const DEFAULT_INDEX_BASE = '/search-index/';
+  const indexes = new Map();
+
+  function load(locale, indexBase = DEFAULT_INDEX_BASE) {
+    const key = indexBase + locale;
+    if (!indexes.has(key)) {
+      const request = fetch(`${indexBase}${locale}.json`)
+        .then(response => (response.ok ? response.json() : Promise.reject(new Error(response.statusText))))
+        .catch(() => (locale === 'default' ? { docs: [] } : load('default', indexBase)));
+      indexes.set(key, request);
+    }
+    return indexes.get(key);
+  }
+
+  function tokenize(text) {
+    return String(text)
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean);
+  }
+
+  async function search(query, { locale = 'default', indexBase = DEFAULT_INDEX_BASE, limit = 50 } = {}) {
+    const terms = tokenize(query);
+    if (terms.length === 0) return [];
+
+    const index = await load(locale, indexBase);
+    const results = [];
+
+    for (const [url, title, type, text] of index.docs) {
+      const titleText = tokenize(title).join(' ');
+      const bodyText = tokenize(text).join(' ');
+      let score = 0;
+
+      for (const term of terms) {
+        const inTitle = titleText.includes(term);
+        const inBody = bodyText.includes(term);
+        if (!inTitle && !inBody) {
+          score = 0;
+          break;
+        }
+        score += (inTitle ? 5 : 0) + (inBody ? 1 : 0);
+      }
+
+      if (score > 0) {
+        results.push({ url, title, type, text, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  function snippet(text, query, length = 160) {
+    const lower = text.toLowerCase();
+    const first = tokenize(query).map(term => lower.indexOf(term)).filter(i => i >= 0).sort((a, b) => a - b)[0] ?? 0;
+    const start = Math.max(0, first - 40);
+    return (start > 0 ? '…' : '') + text.slice(start, start + length) + (start + length < text.length ? '…' : '');
+  }
+
+  function render(container, status, results, query) {
+    container.replaceChildren(...results.map(result => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = result.url;
+      link.textContent = result.title || result.url;
+      const excerpt = document.createElement('p');
+      excerpt.textContent = snippet(result.text || '', query);
+      item.append(link, excerpt);
+      return item;
+    }));
+
+    if (status) {
+      status.textContent = query
+        ? `${results.length} result${results.length === 1 ? '' : 's'} for "${query}"`
+        : '';
+    }
+  }
+
+  function enhance(form) {
+    const input = form.querySelector('[name="q"]');
+    const results = document.querySelector('[data-apos-static-search-results]');
+    const status = document.querySelector('[data-apos-static-search-status]');
+    if (!input || !results) return;
+
+    const options = {
+      locale: form.dataset.locale || document.documentElement.lang || 'default',
+      indexBase: form.dataset.indexBase || DEFAULT_INDEX_BASE
+    };
+
+    let timer = null;
+    const run = async () => {
+      const query = input.value.trim();
+      render(results, status, await search(query, options), query);
+    };
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const url = new URL(location.href);
+      url.searchParams.set('q', input.value.trim());
+      history.replaceState(null, '', url);
+      run();
+    });
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(run, 150);
+    });
+
+    const initial = new URLSearchParams(location.search).get('q');
+    if (initial) {
+      input.value = initial;
+      run();
+    }
+  }
+
+  window.aposStaticSearch = { load, search };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+      document.querySelectorAll('form[data-apos-static-search]').forEach(enhance);
+    });
+  } else {
+    document.querySelectorAll('form[data-apos-static-search]').forEach(enhance);
+  }
+})();
@@ -0,0 +1,36 @@
+/**
+ * Click-to-load video facades
+ *
+ * Swaps a facade rendered by the video widget processor for the provider's
+ * iframe when it is activated, so nothing loads from the provider before
+ * the visitor asks for the video. Included once per page with a facade:
+ *
+ *   <script src="/_apos-static/video-facade.js" defer></script>
+ *
+ * Markup contract:
+ * - a.video-facade[data-video-embed]   Links to the video page (works without
+ *     data-video-title="..."           JavaScript); data-video-embed is the iframe src
+ */
+
+(function () {
+  function load(facade) {
+    const src = facade.getAttribute('data-video-embed');
+    const iframe = document.createElement('iframe');
+
+    iframe.src = src + (src.includes('?') ? '&' : '?') + 'autoplay=1';
+    iframe.title = facade.getAttribute('data-video-title') || 'Video content';
+    iframe.allow = 'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+    iframe.allowFullscreen = true;
+
+    facade.replaceWith(iframe);
+    iframe.focus();
+  }
+
+  document.addEventListener('click', function (event) {
+    const facade = event.target.closest && event.target.closest('a.video-facade[data-video-embed]');
+    if (!facade || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+    event.preventDefault();
+    load(facade);
+  });
+})();
@@ -0,0 +1,628 @@
+/**
+ * Configuration
+ *
+ * Declares every exportStatic/serveHooks option with its type and default,
+ * validates option objects against it, and resolves the options of a CLI
+ * run from layers, each overriding the one before:
+ *
+ *   1. defaults           (OPTION_SCHEMA)
+ *   2. config file        apos-static.config.{js,mjs,json}, or the
+ *                         "aposStatic" key of package.json
+ *   3. profile            `profiles[name]` of the config file, picked with
+ *                         --profile or APOS_STATIC_PROFILE
+ *   4. environment        APOS_STATIC_<OPTION> (APOS_STATIC_OUTPUT_DIR, ...)
+ *   5. command line       --<option>=<value> (--output-dir, --no-sitemap, ...)
+ *
+ * Command line and environment values are strings, converted by the type
+ * of the option: "8" is a number only for numeric options, "a,b" is a list
+ * only for list options, and objects are given as JSON.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { DEFAULT_UPLOAD_CACHE_DIR } from './upload-cache.js';
+import { DEFAULT_OEMBED_CACHE_FILE } from './oembed.js';
+import { DEFAULT_ELEMENT_CACHE_FILE } from './processors/custom-elements.js';
+import { LOG_LEVELS, LOG_FORMATS, defaultLogger } from './logger.js';
+import { PACKAGE_MANAGERS, RENDERERS } from './preview.js';
+import { DEFAULT_SERVER_ENTRY } from './in-process-renderer.js';
+
+export const CONFIG_FILE_NAMES = ['apos-static.config.js', 'apos-static.config.mjs', 'apos-static.config.json'];
+export const PACKAGE_JSON_KEY = 'aposStatic';
+const ENV_PREFIX = 'APOS_STATIC_';
+
+/**
+ * Options by name: `{ type, default, choices, min, max, integer, cli }`.
+ * `type` is one type or a list of 'string', 'number', 'boolean', 'array',
+ * 'object' and 'function'; `cli: false` options can only be set in a
+ * config file or programmatically.
+ */
+export const OPTION_SCHEMA = {
+  aposHost: { type: 'string', envAliases: ['APOS_HOST'] },
+  aposKey: { type: 'string', envAliases: ['APOS_EXTERNAL_FRONT_KEY'], secret: true },
+  outputDir: { type: 'string', default: 'static-dist' },
+  reportsDir: { type: 'string' },
+  port: { type: 'number', default: 4321, integer: true, min: 1, max: 65535 },
+  host: { type: 'string', default: '127.0.0.1' },
+  renderer: { type: 'string', default: 'http', choices: RENDERERS },
+  serverEntry: { type: 'string', default: DEFAULT_SERVER_ENTRY },
+  renderUrl: { type: 'string' },
+  skipBuild: { type: 'boolean', default: false },
+  packageManager: { type: 'string', choices: PACKAGE_MANAGERS },
+  buildScript: { type: 'string', default: 'build' },
+  buildArgs: { type: 'array', default: [] },
+  previewScript: { type: 'string', default: 'preview' },
+  previewArgs: { type: 'array', default: [] },
+  concurrency: { type: 'number', integer: true, min: 1 },
+  retries: { type: 'number', default: 3, integer: true, min: 0 },
+  pieceTypes: { type: 'array' },
+  localeConfig: { type: ['object', 'string'] },
+  localeLinks: { type: 'boolean', default: true },
+  pagination: { type: ['boolean', 'object'] },
+  downloadUploads: { type: ['boolean', 'string'], default: false, choices: [true, false, 'copy-only'], valueAliases: { copy: 'copy-only' } },
+  uploadOrigins: { type: 'array', default: [] },
+  assetUrlRewrite: { type: ['string', 'object'] },
+  uploadCache: { type: ['string', 'boolean'], default: DEFAULT_UPLOAD_CACHE_DIR, choices: [false, String] },
+  images: { type: ['boolean', 'object'], default: false },
+  customElements: { type: 'object', cli: false },
+  customElementsCache: { type: ['string', 'boolean'], default: DEFAULT_ELEMENT_CACHE_FILE, choices: [false, String] },
+  videoFacade: { type: ['boolean', 'object'], default: false },
+  oembedCache: { type: ['string', 'boolean'], default: DEFAULT_OEMBED_CACHE_FILE, choices: [false, String] },
+  oembedOffline: { type: ['string', 'boolean'], default: 'fallback', choices: ['fallback', 'always', true, false] },
+  oembedMaxAge: { type: 'number', min: 0 },
+  incremental: { type: 'boolean', default: false },
+  siteUrl: { type: 'string' },
+  sitemap: { type: ['boolean', 'object'], default: true },
+  // No default: a robots.txt from Astro's public directory is kept unless this is set
+  robots: { type: ['boolean', 'object'] },
+  processors: { type: 'array', cli: false },
+  searchIndex: { type: ['boolean', 'object'], default: false },
+  forms: { type: ['string', 'object'] },
+  validate: { type: ['boolean', 'object'], default: false },
+  successThreshold: { type: 'number', default: 1, min: 0, max: 1 },
+  keepPrevious: { type: 'number', default: 0, integer: true, min: 0 },
+  parser: { type: 'string', default: 'auto', choices: ['auto', 'dom'] },
+  mode: { type: 'string', default: 'published', choices: ['published', 'draft'] },
+  draftOutputDir: { type: 'string' },
+  draftBanner: { type: ['string', 'object'] },
+  redirects: { type: ['boolean', 'array', 'object'], default: false },
+  deploy: { type: ['string', 'object'] },
+  deployTargets: { type: 'object' },
+  deployDryRun: { type: 'boolean', default: false },
+  changedUrls: { type: 'array' },
+  preview: { type: 'object', cli: false },
+  onProgress: { type: 'function', cli: false },
+  // No default: info for text logs, debug for json
+  logLevel: { type: 'string', choices: LOG_LEVELS },
+  logFormat: { type: 'string', default: 'text', choices: LOG_FORMATS },
+  logger: { type: 'object', cli: false },
+  buildReport: { type: 'boolean', default: true },
+
+  // serve-hooks
+  hooksPort: { type: 'number', default: 4322, integer: true, min: 1, max: 65535 },
+  hooksHost: { type: 'string', default: '127.0.0.1' },
+  hooksPath: { type: 'string', default: '/hooks' },
+  hooksSecret: { type: 'string', secret: true },
+  allowUnsigned: { type: 'boolean', default: false },
+  debounceMs: { type: 'number', default: 2000, min: 0 }
+};
+
+/** Command line flags that aren't an option of the same name */
+const CLI_ALIASES = {
+  out: { option: 'outputDir' },
+  draft: { option: 'mode', flag: () => 'draft' },
+  'fail-on-broken-links': {
+    option: 'validate',
+    flag: current => ({ ...(typeof current === 'object' ? current : {}), failOnBroken: true })
+  },
+  quiet: { option: 'logLevel', flag: () => 'warn' },
+  verbose: { option: 'logLevel', flag: () => 'debug' },
+  'image-formats': {
+    option: 'images',
+    value: (value, current) => ({
+      ...(typeof current === 'object' ? current : {}),
+      formats: splitList(value)
+    })
+  }
+};
+
+/**
+ * Command line flags of the CLI itself, left out of the options. Commands
+ * add their own (resolveConfig's `commandFlags`): 'string', 'number',
+ * 'boolean' or a list of allowed values.
+ */
+const META_FLAGS = {
+  config: 'string',
+  profile: 'string',
+  help: 'boolean',
+  'print-config': 'boolean'
+};
+
+const INTEGER_PATTERN = /^-?\d+$/;
+const DECIMAL_PATTERN = /^-?(?:\d+(?:\.\d+)?|\.\d+)$/;
+
+/** The number a flag or variable spells, or null: "0x10", "1e3", "Infinity" and " 8 " aren't numbers */
+function parseNumber(raw, { integer = false } = {}) {
+  return (integer ? INTEGER_PATTERN : DECIMAL_PATTERN).test(raw) ? Number(raw) : null;
+}
+
+function readMetaFlag(flag, raw, type) {
+  const label = `--${flag}`;
+
+  if (type === 'boolean') {
+    if (raw !== undefined && raw !== 'true' && raw !== 'false') throw new Error(`${label} doesn't take a value`);
+    return raw !== 'false';
+  }
+  if (!raw) throw new Error(`${label} needs a value (${label}=<value>)`);
+  if (type === 'number') {
+    const number = parseNumber(raw);
+    if (number === null) throw new Error(`${label} must be a number (got "${raw}")`);
+    return number;
+  }
+  if (Array.isArray(type) && !type.includes(raw)) {
+    throw new Error(`${label} must be one of ${type.join(', ')} (got "${raw}")`);
+  }
+  return raw;
+}
+
+function toKebabCase(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function toCamelCase(name) {
+  return name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function envName(option) {
+  return ENV_PREFIX + toKebabCase(option).replace(/-/g, '_').toUpperCase();
+}
+
+function splitList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function typesOf(spec) {
+  return Array.isArray(spec.type) ? spec.type : [spec.type];
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function describe(value) {
+  if (typeof value === 'function') return 'a function';
+  if (typeof value === 'string') return `"${value}"`;
+  return JSON.stringify(value);
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/** The closest of candidates to name, when it is close enough to be a typo */
+export function suggest(name, candidates) {
+  const normalize = value => value.toLowerCase().replace(/[-_]/g, '');
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(normalize(name), normalize(candidate));
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(name.length / 2)) ? best : null;
+}
+
+function unknownMessage(label, name, candidates) {
+  const suggestion = suggest(name, candidates);
+  return `Unknown ${label} "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`;
+}
+
+/** Problems with one option value, as messages */
+function checkValue(name, value, spec) {
+  const types = typesOf(spec);
+  const type = typeOf(value);
+
+  if (!types.includes(type)) {
+    return [`Option "${name}" must be ${types.map(t => (t === 'array' ? 'a list' : `a ${t}`)).join(' or ')} (got ${describe(value)})`];
+  }
+
+  if (spec.choices) {
+    const allowed = spec.choices.some(choice => choice === value || (choice === String && type === 'string'));
+    if (!allowed) {
+      const choices = spec.choices.map(choice => (choice === String ? 'a path' : describe(choice)));
+      return [`Option "${name}" must be one of ${choices.join(', ')} (got ${describe(value)})`];
+    }
+  }
+
+  if (type === 'number') {
+    if (Number.isNaN(value)) return [`Option "${name}" must be a number`];
+    if (spec.integer && !Number.isInteger(value)) return [`Option "${name}" must be a whole number (got ${value})`];
+    if (spec.min !== undefined && value < spec.min) return [`Option "${name}" must be at least ${spec.min} (got ${value})`];
+    if (spec.max !== undefined && value > spec.max) return [`Option "${name}" must be at most ${spec.max} (got ${value})`];
+  }
+
+  return [];
+}
+
+/**
+ * Check options against OPTION_SCHEMA. Unset (undefined/null) options are
+ * fine; unknown names get a "did you mean" suggestion.
+ *
+ * @param {Object} options
+ * @param {Object} [settings]
+ * @param {string} [settings.source='options'] - Where the options came from, for messages
+ * @throws {Error} Listing every problem
+ */
+export function validateOptions(options, { source = 'options' } = {}) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error(`Invalid configuration in ${source}: expected an object of options`);
+  }
+
+  const problems = [];
+  const names = Object.keys(OPTION_SCHEMA);
+
+  for (const [name, value] of Object.entries(options)) {
+    const spec = OPTION_SCHEMA[name];
+    if (!spec) {
+      problems.push(unknownMessage('option', name, names));
+    } else if (value !== undefined && value !== null) {
+      problems.push(...checkValue(name, value, spec));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid configuration in ${source}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return options;
+}
+
+/**
+ * Convert a command line or environment string to the option's type.
+ *
+ * @param {string} name - Option name
+ * @param {string|undefined} raw - Undefined for a flag without a value
+ * @param {string} label - The flag or variable, for messages
+ */
+function coerce(name, raw, label) {
+  const spec = OPTION_SCHEMA[name];
+  const types = typesOf(spec);
+
+  if (raw === undefined) {
+    if (types.includes('boolean')) return true;
+    throw new Error(`${label} needs a value (${label}=<value>)`);
+  }
+
+  if (spec.valueAliases && raw in spec.valueAliases) return spec.valueAliases[raw];
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) return raw === 'true';
+  if (types.includes('number')) {
+    const number = parseNumber(raw, { integer: spec.integer });
+    if (number !== null) return number;
+  }
+
+  if ((types.includes('object') && raw.trimStart().startsWith('{')) ||
+    (types.includes('array') && raw.trimStart().startsWith('['))) {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`${label} is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (types.includes('array')) return splitList(raw);
+  if (types.includes('string')) return raw;
+
+  const expected = types.map(type => (type === 'object' ? 'JSON object' : type)).join(' or ');
+  throw new Error(`${label} must be a ${expected} (got "${raw}")`);
+}
+
+/**
+ * Split command line arguments into a command, positional arguments and
+ * flags. `--name=value` splits at the first "=" only; `--name` is a flag
+ * without a value.
+ *
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{ command: string|null, positionals: string[], flags: Array<[string, string|undefined]> }}
+ */
+export function parseCliArgs(argv = process.argv.slice(2)) {
+  const positionals = [];
+  const flags = [];
+
+  for (const arg of argv) {
+    if (arg === '-h') {
+      flags.push(['help', undefined]);
+    } else if (arg.startsWith('--')) {
+      const separator = arg.indexOf('=');
+      flags.push(separator === -1
+        ? [arg.slice(2), undefined]
+        : [arg.slice(2, separator), arg.slice(separator + 1)]);
+    } else {
+      positionals.push(arg);
+    }
+  }
+
+  return { command: positionals[0] || null, positionals: positionals.slice(1), flags };
+}
+
+function cliFlagNames(metaFlags) {
+  const options = Object.entries(OPTION_SCHEMA)
+    .filter(([, spec]) => spec.cli !== false)
+    .map(([name]) => toKebabCase(name));
+  return [...options, ...Object.keys(CLI_ALIASES), ...Object.keys(metaFlags)];
+}
+
+/**
+ * Turn parsed flags into CLI meta flags (config, profile, help, ...) and a
+ * function applying the option flags over the options of the lower layers.
+ */
+function readCliFlags(flags, commandFlags = {}) {
+  const metaFlags = { ...META_FLAGS, ...commandFlags };
+  const meta = {};
+  const setters = [];
+
+  for (const [flag, raw] of flags) {
+    const label = `--${flag}`;
+
+    if (flag in metaFlags) {
+      meta[toCamelCase(flag)] = readMetaFlag(flag, raw, metaFlags[flag]);
+      continue;
+    }
+
+    const alias = CLI_ALIASES[flag];
+    if (alias) {
+      if (raw === undefined && !alias.flag) throw new Error(`${label} needs a value (${label}=<value>)`);
+      if (raw !== undefined && !alias.value && alias.flag) throw new Error(`${label} doesn't take a value`);
+      setters.push(options => {
+        options[alias.option] = raw === undefined
+          ? alias.flag(options[alias.option])
+          : alias.value ? alias.value(raw, options[alias.option]) : coerce(alias.option, raw, label);
+        return alias.option;
+      });
+      continue;
+    }
+
+    let name = toCamelCase(flag);
+    let negated = false;
+    if (!OPTION_SCHEMA[name] && flag.startsWith('no-')) {
+      name = toCamelCase(flag.slice(3));
+      negated = true;
+    }
+
+    const spec = OPTION_SCHEMA[name];
+    if (!spec || spec.cli === false) {
+      const suggestion = suggest(flag, cliFlagNames(metaFlags));
+      throw new Error(`Unknown option ${label}${suggestion ? ` (did you mean --${suggestion}?)` : ''}`);
+    }
+    if (negated && raw !== undefined) throw new Error(`${label} doesn't take a value`);
+    if (negated && !typesOf(spec).includes('boolean')) throw new Error(`${label}: --${toKebabCase(name)} can't be turned off`);
+
+    const value = negated ? false : coerce(name, raw, label);
+    setters.push(options => {
+      options[name] = value;
+      return name;
+    });
+  }
+
+  return { meta, apply: options => setters.map(setter => setter(options)) };
+}
+
+/**
+ * Options set by APOS_STATIC_* (and legacy) environment variables. Warnings
+ * about unknown variables go into `warnings` when given, to the default
+ * logger otherwise.
+ */
+export function readEnvOptions(env = process.env, warnings = null) {
+  const options = {};
+  const known = new Set([`${ENV_PREFIX}CONFIG`, `${ENV_PREFIX}PROFILE`]);
+
+  for (const [name, spec] of Object.entries(OPTION_SCHEMA)) {
+    if (spec.cli === false) continue;
+
+    const variables = [envName(name), ...(spec.envAliases || [])];
+    variables.forEach(variable => known.add(variable));
+
+    const variable = variables.find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+    if (variable) options[name] = coerce(name, env[variable], variable);
+  }
+
+  for (const variable of Object.keys(env)) {
+    if (variable.startsWith(ENV_PREFIX) && !known.has(variable)) {
+      const message = `⚠️  ${unknownMessage('environment variable', variable, Array.from(known))}, ignoring it`;
+      if (warnings) {
+        warnings.push(message);
+      } else {
+        defaultLogger.warn(message, { event: 'config.unknown', variable });
+      }
+    }
+  }
+
+  return options;
+}
+
+/** The config file in a directory, or null */
+export function findConfigFile(cwd = process.cwd()) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const file = path.join(cwd, name);
+    if (fs.existsSync(file)) return file;
+  }
+
+  const packageFile = path.join(cwd, 'package.json');
+  try {
+    if (PACKAGE_JSON_KEY in JSON.parse(fs.readFileSync(packageFile, 'utf8'))) return packageFile;
+  } catch {
+    // No package.json, or not JSON
+  }
+
+  return null;
+}
+
+/**
+ * Read a configuration module or JSON file. JavaScript modules default-export
+ * the object, or a function of `{ profile, env }` returning it; package.json
+ * holds it under the "aposStatic" key.
+ *
+ * @param {string} file
+ * @param {Object} [context] - Passed to function exports
+ * @returns {Promise<Object>}
+ */
+export async function loadConfigFile(file, context = {}) {
+  const fullPath = path.resolve(file);
+  let config;
+
+  try {
+    if (path.basename(fullPath) === 'package.json') {
+      config = JSON.parse(fs.readFileSync(fullPath, 'utf8'))[PACKAGE_JSON_KEY];
+      if (config === undefined) throw new Error(`no "${PACKAGE_JSON_KEY}" key`);
+    } else if (fullPath.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } else {
+      const module = await import(pathToFileURL(fullPath).href);
+      config = module.default ?? module;
+      if (typeof config === 'function') config = await config(context);
+    }
+  } catch (error) {
+    throw new Error(`Failed to load config from ${file}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Failed to load config from ${file}: expected an object`);
+  }
+
+  return config;
+}
+
+/**
+ * Options with a `localeConfig` path (.json, .js or .mjs, relative to `cwd`)
+ * replaced by the file's locale configuration; other options are returned as they are.
+ */
+export async function loadLocaleConfig(options, cwd = process.cwd()) {
+  if (typeof options.localeConfig !== 'string') return options;
+  return { ...options, localeConfig: await loadConfigFile(path.resolve(cwd, options.localeConfig)) };
+}
+
+/** The options of the config file with the chosen profile's, by layer */
+function configLayers(config, file, profile, cwd) {
+  const { profiles, ...base } = config;
+  const relative = path.relative(cwd, file) || file;
+
+  if (profiles !== undefined && (typeof profiles !== 'object' || Array.isArray(profiles) || profiles === null)) {
+    throw new Error(`Invalid configuration in ${relative}: "profiles" must be an object of option objects`);
+  }
+
+  const layers = [{ source: relative, options: base }];
+
+  if (profile) {
+    if (!profiles?.[profile]) {
+      const available = Object.keys(profiles || {});
+      throw new Error(`${unknownMessage('profile', profile, available)} in ${relative}` +
+        (available.length > 0 ? `; available: ${available.join(', ')}` : '; it has no profiles'));
+    }
+    layers.push({ source: `${relative}, profile ${profile}`, options: profiles[profile] });
+  }
+
+  // Locale config paths in a config file are relative to the file
+  for (const layer of layers) {
+    if (typeof layer.options.localeConfig === 'string') {
+      layer.options = { ...layer.options, localeConfig: path.resolve(path.dirname(file), layer.options.localeConfig) };
+    }
+  }
+
+  return layers;
+}
+
+/**
+ * Resolve the options of a CLI run from defaults, config file, profile,
+ * environment and command line.
+ *
+ * @param {Object} [settings]
+ * @param {Array} [settings.flags] - From parseCliArgs
+ * @param {Object} [settings.env=process.env]
+ * @param {string} [settings.cwd=process.cwd()] - Where the config file is looked for
+ * @param {boolean} [settings.readConfigFile=true] - false skips the config file and profile
+ * @param {Object} [settings.commandFlags] - Flags of the command besides the options
+ * @returns {Promise<{ options: Object, sources: Object, meta: Object, configFile: string|null,
+ *   profile: string|null, warnings: string[] }>} `sources` names the layer each option came from
+ */
+export async function resolveConfig({
+  flags = [],
+  env = process.env,
+  cwd = process.cwd(),
+  readConfigFile = true,
+  commandFlags = {}
+} = {}) {
+  const cli = readCliFlags(flags, commandFlags);
+  const { meta } = cli;
+  const profile = meta.profile || env[`${ENV_PREFIX}PROFILE`] || null;
+
+  const options = {};
+  const sources = {};
+  const apply = (layerOptions, source) => {
+    for (const [name, value] of Object.entries(layerOptions)) {
+      if (value === undefined) continue;
+      options[name] = value;
+      sources[name] = source;
+    }
+  };
+
+  apply(Object.fromEntries(Object.entries(OPTION_SCHEMA)
+    .filter(([, spec]) => spec.default !== undefined)
+    .map(([name, spec]) => [name, spec.default])), 'default');
+
+  const configPath = meta.config || env[`${ENV_PREFIX}CONFIG`];
+  const configFile = !readConfigFile ? null : configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+  if (configFile) {
+    const config = await loadConfigFile(configFile, { profile, env });
+    for (const layer of configLayers(config, configFile, profile, cwd)) {
+      validateOptions(layer.options, { source: layer.source });
+      apply(layer.options, layer.source);
+    }
+  } else if (profile && readConfigFile) {
+    throw new Error(`Profile "${profile}" was requested but no config file was found`);
+  }
+
+  // Reported by the caller, once its logger is set up
+  const warnings = [];
+  apply(validateOptions(readEnvOptions(env, warnings), { source: 'the environment' }), 'environment');
+
+  const cliNames = cli.apply(options);
+  validateOptions(Object.fromEntries(cliNames.map(name => [name, options[name]])), { source: 'the command line' });
+  for (const name of cliNames) {
+    sources[name] = 'command line';
+  }
+
+  return { options: await loadLocaleConfig(options, cwd), sources, meta, configFile, profile, warnings };
+}
+
+/** Printable `name = value  (source)` lines, with secrets masked */
+export function formatResolvedConfig({ options, sources }) {
+  const width = Math.max(...Object.keys(options).map(name => name.length));
+
+  return Object.keys(options).sort().map(name => {
+    const value = options[name];
+    const shown = OPTION_SCHEMA[name]?.secret && value
+      ? '********'
+      : typeof value === 'function' ? '[function]' : JSON.stringify(value);
+    return `${name.padEnd(width)} = ${shown}  (${sources[name]})`;
+  }).join('\n');
+}
@@ -0,0 +1,130 @@
+/**
+ * Deploy File Listing
+ *
+ * Lists the files of an export for deploy adapters, with what hosts need
+ * to serve them: content hashes (to skip unchanged files), Content-Type
+ * and Cache-Control.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { MANIFEST_FILENAME } from '../manifest.js';
+import { REPORT_JSON, REPORT_TEXT } from '../validate.js';
+import { BUILD_REPORT_FILENAME } from '../build-report.js';
+
+/**
+ * Export bookkeeping that has no business on the live site. Exports now write
+ * it next to the output; older ones left it in the output itself.
+ */
+export const DEFAULT_DEPLOY_EXCLUDE = [MANIFEST_FILENAME, REPORT_JSON, REPORT_TEXT, BUILD_REPORT_FILENAME];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.htm': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.wasm': 'application/wasm'
+};
+
+export const DEFAULT_CACHE_CONTROL = {
+  // Pages and other unversioned documents must pick up new exports at once
+  document: 'public, max-age=0, must-revalidate',
+  // Astro's content-hashed build output never changes under the same name
+  immutable: 'public, max-age=31536000, immutable',
+  default: 'public, max-age=3600'
+};
+
+export function contentTypeFor(filePath) {
+  return CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * @param {string} relativePath - POSIX path relative to the output directory
+ * @param {Object|Function} [cacheControl] - Overrides for DEFAULT_CACHE_CONTROL
+ *   (`{ document, immutable, default }`), or a function of the path
+ */
+export function cacheControlFor(relativePath, cacheControl = {}) {
+  if (typeof cacheControl === 'function') {
+    const value = cacheControl(relativePath);
+    if (value) return value;
+    cacheControl = {};
+  }
+
+  const rules = { ...DEFAULT_CACHE_CONTROL, ...cacheControl };
+  const extension = path.extname(relativePath).toLowerCase();
+
+  if (relativePath.startsWith('_astro/')) return rules.immutable;
+  if (!extension || ['.html', '.htm', '.xml', '.json', '.txt'].includes(extension)) return rules.document;
+  return rules.default;
+}
+
+function walk(dir, root, files) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walk(filePath, root, files);
+    } else if (entry.isFile()) {
+      files.push(path.relative(root, filePath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+/**
+ * List every deployable file in outputDir.
+ *
+ * @param {string} outputDir
+ * @param {Object} [options]
+ * @param {Array<string|RegExp>} [options.exclude] - Relative paths or patterns to leave out
+ *   (default: DEFAULT_DEPLOY_EXCLUDE)
+ * @param {Object|Function} [options.cacheControl] - See cacheControlFor
+ * @returns {Array<{ path, absolutePath, size, md5, contentType, cacheControl }>}
+ *   sorted so that pages come after the assets they reference
+ */
+export function listDeployFiles(outputDir, { exclude = DEFAULT_DEPLOY_EXCLUDE, cacheControl } = {}) {
+  const root = path.resolve(outputDir);
+
+  const files = walk(root, root, [])
+    .filter(relative => !exclude.some(pattern =>
+      pattern instanceof RegExp ? pattern.test(relative) : relative === pattern
+    ))
+    .map(relative => {
+      const absolutePath = path.join(root, relative);
+      const content = fs.readFileSync(absolutePath);
+
+      return {
+        path: relative,
+        absolutePath,
+        size: content.length,
+        md5: crypto.createHash('md5').update(content).digest('hex'),
+        contentType: contentTypeFor(relative),
+        cacheControl: cacheControlFor(relative, cacheControl)
+      };
+    });
+
+  const isPage = file => file.contentType.startsWith('text/html');
+  return files.sort((a, b) => (isPage(a) - isPage(b)) || (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
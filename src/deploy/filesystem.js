@@ -0,0 +1,150 @@
+/**
+ * Filesystem and rsync Deploy Adapters
+ *
+ * - filesystem: copies changed files into a local directory (a mounted
+ *   web root, a network share) and removes files no longer exported
+ * - rsync: hands the output directory to rsync, for local or ssh targets
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+
+function md5File(filePath) {
+  return crypto.createHash('md5').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function listFiles(dir, root = dir, files = []) {
+  if (!fs.existsSync(dir)) return files;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listFiles(filePath, root, files);
+    } else {
+      files.push(path.relative(root, filePath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+function pruneEmptyDirs(dir, root) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.isDirectory()) pruneEmptyDirs(path.join(dir, entry.name), root);
+  }
+  if (dir !== root && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+  }
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.path - Destination directory
+ * @param {boolean} [options.deleteOrphans=true] - Remove files that are no longer exported
+ */
+export const filesystemAdapter = {
+  name: 'filesystem',
+
+  async deploy({ files, options, dryRun, log }) {
+    const { deleteOrphans = true } = options;
+
+    if (!options.path) {
+      throw new Error('Filesystem deploy: path is required');
+    }
+
+    const root = path.resolve(options.path);
+    const changed = files.filter(file => {
+      const destination = path.join(root, file.path);
+      return !fs.existsSync(destination) || md5File(destination) !== file.md5;
+    });
+
+    const exported = new Set(files.map(file => file.path));
+    const orphans = deleteOrphans
+      ? listFiles(root).filter(relative => !exported.has(relative)).sort()
+      : [];
+
+    log(`${root}: ${changed.length} to copy, ${files.length - changed.length} unchanged, ${orphans.length} to delete`);
+
+    if (!dryRun) {
+      for (const file of changed) {
+        const destination = path.join(root, file.path);
+        fs.mkdirSync(path.dirname(destination), { recursive: true });
+        fs.copyFileSync(file.absolutePath, destination);
+      }
+
+      for (const relative of orphans) {
+        fs.rmSync(path.join(root, relative), { force: true });
+      }
+
+      if (fs.existsSync(root)) pruneEmptyDirs(root, root);
+    }
+
+    return {
+      uploaded: changed.map(file => file.path),
+      deleted: orphans,
+      unchanged: files.length - changed.length
+    };
+  }
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.destination - rsync destination, e.g. `deploy@example.com:/var/www/site/`
+ * @param {string[]} [options.args=[]] - Extra rsync arguments (e.g. ['-e', 'ssh -p 2222'])
+ * @param {boolean} [options.deleteOrphans=true] - Delete files that are no longer exported (--delete-after)
+ */
+export const rsyncAdapter = {
+  name: 'rsync',
+
+  deploy({ outputDir, files, exclude, options, dryRun, log }) {
+    const { destination, args = [], deleteOrphans = true } = options;
+
+    if (!destination) {
+      throw new Error('rsync deploy: destination is required');
+    }
+
+    if (exclude.some(pattern => typeof pattern !== 'string')) {
+      throw new Error('rsync deploy: exclude only supports paths, not patterns');
+    }
+
+    const rsyncArgs = [
+      '-rlz',
+      '--checksum',
+      '--itemize-changes',
+      ...exclude.map(relative => `--exclude=/${relative}`),
+      ...(deleteOrphans ? ['--delete-after'] : []),
+      ...(dryRun ? ['--dry-run'] : []),
+      ...args,
+      `${path.resolve(outputDir)}/`,
+      destination
+    ];
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('rsync', rsyncArgs, { stdio: ['ignore', 'pipe', 'inherit'] });
+      let output = '';
+
+      child.stdout.on('data', chunk => {
+        output += chunk;
+      });
+      child.on('error', error => reject(new Error(`rsync deploy: ${error.message}`)));
+      child.on('close', code => {
+        if (code !== 0) {
+          reject(new Error(`rsync deploy: rsync exited with code ${code}`));
+          return;
+        }
+
+        const lines = output.split('\n');
+        const uploaded = lines
+          .filter(line => /^[<>ch]f/.test(line))
+          .map(line => line.slice(line.indexOf(' ') + 1));
+        const deleted = lines
+          .filter(line => line.startsWith('*deleting'))
+          .map(line => line.replace(/^\*deleting\s+/, ''));
+
+        log(`${destination}: ${uploaded.length} transferred, ${deleted.length} deleted`);
+        resolve({ uploaded, deleted, unchanged: files.length - uploaded.length });
+      });
+    });
+  }
+};
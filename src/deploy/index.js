@@ -0,0 +1,96 @@
+/**
+ * Deploy
+ *
+ * Pushes an export to its host after it has been swapped into place. An
+ * adapter is an object with a `name` and a `deploy` method:
+ *
+ *   deploy({ outputDir, files, exclude, options, dryRun, log })
+ *     -> { uploaded: string[], deleted: string[], unchanged: number }
+ *
+ * `files` comes from listDeployFiles (path, absolutePath, size, md5,
+ * contentType, cacheControl). Built-in adapters: 's3', 'filesystem', 'rsync'.
+ */
+
+import { listDeployFiles, DEFAULT_DEPLOY_EXCLUDE } from './files.js';
+import { s3Adapter } from './s3.js';
+import { filesystemAdapter, rsyncAdapter } from './filesystem.js';
+import { defaultLogger } from '../logger.js';
+
+const BUILTIN_ADAPTERS = [s3Adapter, filesystemAdapter, rsyncAdapter];
+
+export const builtinDeployAdapters = BUILTIN_ADAPTERS.map(adapter => adapter.name);
+
+/**
+ * Resolve the `deploy` option into an adapter and its options.
+ *
+ * - A string names an entry of `deployTargets`, or a built-in adapter
+ * - An object is a target: `{ adapter, ...adapterOptions }`, where
+ *   `adapter` is a built-in name or an adapter object
+ */
+export function resolveDeployTarget(deploy, deployTargets = {}) {
+  let name = typeof deploy === 'string' ? deploy : null;
+  let target = deploy;
+
+  if (name) {
+    target = deployTargets[name] || { adapter: name };
+  }
+
+  if (!target || typeof target !== 'object') {
+    throw new Error('deploy must be a target name or a target object');
+  }
+
+  const { adapter: adapterOption, ...options } = target;
+  const adapter = typeof adapterOption === 'string'
+    ? BUILTIN_ADAPTERS.find(builtin => builtin.name === adapterOption)
+    : adapterOption;
+
+  if (!adapter || typeof adapter.deploy !== 'function') {
+    const targets = [...Object.keys(deployTargets), ...builtinDeployAdapters];
+    throw new Error(
+      `Unknown deploy target "${name || adapterOption}" (available: ${Array.from(new Set(targets)).join(', ')})`
+    );
+  }
+
+  return { name: name || adapter.name, adapter, options };
+}
+
+/**
+ * Deploy outputDir to a target.
+ *
+ * @param {string} outputDir
+ * @param {string|Object} deploy - Target name or target object (see resolveDeployTarget)
+ * @param {Object} [options]
+ * @param {Object} [options.deployTargets] - Named targets
+ * @param {boolean} [options.dryRun=false] - Report what would change without changing it
+ * @param {Function} [options.log=defaultLogger.info]
+ * @returns {Promise<{ target, adapter, dryRun, uploaded, deleted, unchanged, durationMs }>}
+ */
+export async function deployOutput(outputDir, deploy, { deployTargets, dryRun = false, log = defaultLogger.info } = {}) {
+  const { name, adapter, options } = resolveDeployTarget(deploy, deployTargets);
+  const exclude = options.exclude || DEFAULT_DEPLOY_EXCLUDE;
+  const files = listDeployFiles(outputDir, { exclude, cacheControl: options.cacheControl });
+  const started = Date.now();
+
+  const result = await adapter.deploy({
+    outputDir,
+    files,
+    exclude,
+    options,
+    dryRun,
+    log: message => log(`   🚚 ${message}`)
+  });
+
+  return {
+    target: name,
+    adapter: adapter.name,
+    dryRun,
+    uploaded: result?.uploaded || [],
+    deleted: result?.deleted || [],
+    unchanged: result?.unchanged ?? 0,
+    durationMs: Date.now() - started
+  };
+}
+
+export { listDeployFiles, contentTypeFor, cacheControlFor, DEFAULT_CACHE_CONTROL, DEFAULT_DEPLOY_EXCLUDE } from './files.js';
+export { s3Adapter, signRequest } from './s3.js';
+export { filesystemAdapter, rsyncAdapter } from './filesystem.js';
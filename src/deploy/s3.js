@@ -0,0 +1,266 @@
+/**
+ * S3-Compatible Deploy Adapter
+ *
+ * Syncs the export to an S3 bucket (AWS S3, MinIO, Cloudflare R2,
+ * DigitalOcean Spaces, ...) over the REST API with Signature Version 4:
+ * - Uploads only files whose MD5 differs from the object's ETag
+ * - Sets Content-Type and Cache-Control on every upload
+ * - Deletes objects under the prefix that are no longer in the export
+ *
+ * Assets go up before pages, and deletions happen last, so visitors never
+ * get a page that references something not uploaded yet.
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { fetchWithRetry, mapLimit } from '../utils.js';
+import { decodeEntities } from '../html-scanner.js';
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/** RFC 3986 encoding as SigV4 expects it */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Sign a request with AWS Signature Version 4. Every header passed in is
+ * signed; `host`, `x-amz-date` and `x-amz-content-sha256` are added.
+ *
+ * @returns {Object} Headers to send
+ */
+export function signRequest({ method, url, headers = {}, payloadHash = EMPTY_SHA256, region, service = 's3', credentials, date = new Date() }) {
+  const parsed = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: parsed.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+
+  if (credentials.sessionToken) {
+    allHeaders['x-amz-security-token'] = credentials.sessionToken;
+  }
+
+  const signedHeaderNames = Object.keys(allHeaders).sort();
+  const canonicalHeaders = signedHeaderNames.map(name => `${name}:${allHeaders[name]}\n`).join('');
+  const signedHeaders = signedHeaderNames.join(';');
+
+  const canonicalUri = parsed.pathname
+    .split('/')
+    .map(segment => encodeRfc3986(decodeURIComponent(segment)))
+    .join('/');
+
+  const canonicalQuery = Array.from(parsed.searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    canonicalUri,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = [dateStamp, region, service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${credentials.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  delete allHeaders.host;
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+}
+
+/** Raw contents of every <tag> element (decode leaf values with decodeEntities) */
+function xmlValues(xml, tag) {
+  return Array.from(xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g')), match => match[1]);
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function createClient(options) {
+  const {
+    bucket,
+    region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1',
+    endpoint = process.env.AWS_ENDPOINT_URL_S3 || process.env.AWS_ENDPOINT_URL,
+    accessKeyId = process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey = process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken = process.env.AWS_SESSION_TOKEN,
+    retries = 3
+  } = options;
+
+  if (!bucket) {
+    throw new Error('S3 deploy: bucket is required');
+  }
+
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('S3 deploy: credentials are required (accessKeyId/secretAccessKey or AWS_ACCESS_KEY_ID/AWS_SECRET_ACCESS_KEY)');
+  }
+
+  // Custom endpoints (MinIO and most S3-compatible services) use path-style URLs
+  const forcePathStyle = options.forcePathStyle ?? Boolean(endpoint);
+  const baseUrl = endpoint
+    ? endpoint.replace(/\/+$/, '')
+    : `https://s3.${region}.amazonaws.com`;
+  const bucketUrl = forcePathStyle
+    ? `${baseUrl}/${bucket}`
+    : baseUrl.replace('://', `://${bucket}.`);
+
+  const credentials = { accessKeyId, secretAccessKey, sessionToken };
+
+  async function request(method, key, { query = '', headers = {}, body } = {}) {
+    const url = `${bucketUrl}/${key.split('/').map(encodeRfc3986).join('/')}${query ? `?${query}` : ''}`;
+    const payloadHash = body ? sha256Hex(body) : EMPTY_SHA256;
+    const signed = signRequest({ method, url, headers, payloadHash, region, credentials });
+
+    try {
+      return await fetchWithRetry(url, { method, headers: signed, body }, 60000, retries);
+    } catch (error) {
+      throw new Error(`S3 ${method} ${key || bucket} failed: ${error.message}`);
+    }
+  }
+
+  return {
+    bucket,
+
+    /** Map of key -> ETag (without quotes) for every object under prefix */
+    async list(prefix) {
+      const objects = new Map();
+      let token = null;
+
+      do {
+        const params = new URLSearchParams({ 'list-type': '2', prefix });
+        if (token) params.set('continuation-token', token);
+
+        const xml = await (await request('GET', '', { query: params.toString() })).text();
+
+        for (const contents of xmlValues(xml, 'Contents')) {
+          const [key] = xmlValues(contents, 'Key');
+          const [etag = ''] = xmlValues(contents, 'ETag');
+          objects.set(decodeEntities(key), decodeEntities(etag).replace(/"/g, ''));
+        }
+
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+          ? decodeEntities(xmlValues(xml, 'NextContinuationToken')[0])
+          : null;
+      } while (token);
+
+      return objects;
+    },
+
+    async put(key, body, headers) {
+      await request('PUT', key, { headers, body });
+    },
+
+    async deleteMany(keys) {
+      for (let i = 0; i < keys.length; i += 1000) {
+        const batch = keys.slice(i, i + 1000);
+        const body = Buffer.from(
+          '<?xml version="1.0" encoding="UTF-8"?><Delete><Quiet>true</Quiet>' +
+          batch.map(key => `<Object><Key>${escapeXml(key)}</Key></Object>`).join('') +
+          '</Delete>'
+        );
+
+        const response = await request('POST', '', {
+          query: 'delete=',
+          headers: {
+            'content-type': 'application/xml',
+            'content-md5': crypto.createHash('md5').update(body).digest('base64')
+          },
+          body
+        });
+
+        const errors = xmlValues(await response.text(), 'Error');
+        if (errors.length > 0) {
+          throw new Error(`S3 delete failed for ${errors.length} object(s): ${decodeEntities(xmlValues(errors[0], 'Message')[0] || '')}`);
+        }
+      }
+    }
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} [options.prefix=''] - Key prefix (a "folder" in the bucket)
+ * @param {string} [options.region] - Default: AWS_REGION or us-east-1
+ * @param {string} [options.endpoint] - S3-compatible endpoint, e.g. http://127.0.0.1:9000 for MinIO
+ * @param {boolean} [options.forcePathStyle] - Default: true with a custom endpoint
+ * @param {string} [options.accessKeyId] - Default: AWS_ACCESS_KEY_ID
+ * @param {string} [options.secretAccessKey] - Default: AWS_SECRET_ACCESS_KEY
+ * @param {boolean} [options.deleteOrphans=true] - Delete objects that are no longer exported
+ * @param {number} [options.concurrency=8] - Parallel uploads
+ */
+export const s3Adapter = {
+  name: 's3',
+
+  async deploy({ files, options, dryRun, log }) {
+    const {
+      prefix = '',
+      deleteOrphans = true,
+      concurrency = 8
+    } = options;
+
+    const keyPrefix = prefix ? prefix.replace(/^\/+|\/+$/g, '') + '/' : '';
+    const client = createClient(options);
+    const remote = await client.list(keyPrefix);
+
+    const changed = files.filter(file => remote.get(keyPrefix + file.path) !== file.md5);
+    const localKeys = new Set(files.map(file => keyPrefix + file.path));
+    const orphans = deleteOrphans
+      ? Array.from(remote.keys()).filter(key => !localKeys.has(key)).sort()
+      : [];
+
+    log(`S3 s3://${client.bucket}/${keyPrefix}: ${changed.length} to upload, ` +
+      `${files.length - changed.length} unchanged, ${orphans.length} to delete`);
+
+    if (!dryRun) {
+      // Assets before pages (listDeployFiles sorts them that way)
+      const isPage = file => file.contentType.startsWith('text/html');
+      for (const group of [changed.filter(file => !isPage(file)), changed.filter(isPage)]) {
+        const outcome = await mapLimit(group, concurrency, async file => {
+          await client.put(keyPrefix + file.path, fs.readFileSync(file.absolutePath), {
+            'content-type': file.contentType,
+            'cache-control': file.cacheControl
+          });
+        });
+
+        // Never delete anything while the new version is incomplete
+        if (outcome.failed > 0) {
+          throw new Error(`${outcome.failed} upload(s) failed, first: ${outcome.errors[0].item.path}: ${outcome.errors[0].error}`);
+        }
+      }
+
+      await client.deleteMany(orphans);
+    }
+
+    return {
+      uploaded: changed.map(file => file.path),
+      deleted: orphans.map(key => key.slice(keyPrefix.length)),
+      unchanged: files.length - changed.length
+    };
+  }
+};
@@ -0,0 +1,340 @@
+/**
+ * Webhook Rebuild Server
+ *
+ * Long-running alternative to one-shot exports for editors who publish
+ * often:
+ * - Builds Astro and starts the preview server (or loads the server build,
+ *   with the in-process renderer) once, then keeps it warm
+ * - Accepts signed webhook POSTs describing changed documents
+ * - Debounces them and runs one incremental export at a time, re-rendering
+ *   only the affected URLs (changes arriving mid-build queue up for the next)
+ * - Reports queue depth and the last build result on a status endpoint
+ *
+ * Requests are signed like GitHub webhooks: an HMAC-SHA256 of the raw body
+ * with the shared secret, hex-encoded in `X-Apos-Static-Signature: sha256=<hex>`.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { exportStatic } from './index.js';
+import { startRenderer } from './preview.js';
+import { loggerFor, defaultLogger } from './logger.js';
+import { createLocaleLayout } from './locales.js';
+import { loadLocaleConfig } from './config.js';
+
+export const SIGNATURE_HEADER = 'x-apos-static-signature';
+
+export function signPayload(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+export function verifySignature(body, signature, secret) {
+  if (typeof signature !== 'string') return false;
+
+  const expected = Buffer.from(signPayload(body, secret));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(Object.assign(new Error('Payload too large'), { statusCode: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/** Changed documents from a webhook body: `{ docs: [...] }`, `[...]` or one doc */
+function changedDocs(payload) {
+  const docs = Array.isArray(payload) ? payload : (payload?.docs ?? [payload]);
+  return docs.filter(doc => doc && typeof doc === 'object');
+}
+
+/**
+ * Path of a changed document in the export (as manifest keys are): its
+ * `_url` pathname, in the output tree of its domain when locales live on
+ * their own domains. Relative URLs use the tree of the document's locale.
+ */
+function changedPath(doc, locales) {
+  const url = new URL(doc._url, 'http://apos-static.invalid');
+  const locale = typeof doc.aposLocale === 'string' ? doc.aposLocale.split(':')[0] : null;
+  const tree = locales.trees.find(candidate => candidate.host && candidate.host === url.host) ||
+    locales.treeForLocale(locale);
+
+  return tree.prefix + url.pathname;
+}
+
+/**
+ * Create the webhook server around an export function. Exposed separately
+ * from serveHooks so the queueing can be driven without a preview server.
+ *
+ * @param {Object} options
+ * @param {Function} options.runExport - Called with `{ changedUrls }`, resolves to export results
+ * @param {string} [options.secret] - Shared signing secret (required unless allowUnsigned)
+ * @param {boolean} [options.allowUnsigned=false] - Accept unsigned requests (local testing only)
+ * @param {number} [options.debounceMs=2000] - Quiet period before a rebuild starts
+ * @param {string} [options.path='/hooks'] - Webhook endpoint
+ * @param {number} [options.maxBodyBytes=1048576]
+ * @param {Object} [options.locales] - The export's locale layout (createLocaleLayout),
+ *   mapping changed documents to their output tree
+ * @param {Function} [options.log=defaultLogger.info]
+ * @returns {{ server: http.Server, status: Function, trigger: Function, idle: Function }}
+ */
+export function createHookServer(options) {
+  const {
+    runExport,
+    secret,
+    allowUnsigned = false,
+    debounceMs = 2000,
+    path: hookPath = '/hooks',
+    maxBodyBytes = 1024 * 1024,
+    locales = createLocaleLayout(null),
+    log = defaultLogger.info
+  } = options;
+
+  if (!secret && !allowUnsigned) {
+    throw new Error('A webhook secret is required (hooksSecret or APOS_STATIC_HOOKS_SECRET)');
+  }
+
+  const pendingUrls = new Set();
+  let pendingDocs = 0;
+  let timer = null;
+  let building = null;
+  let buildCount = 0;
+  let lastBuild = null;
+  const startedAt = new Date().toISOString();
+
+  function status() {
+    return {
+      state: building ? 'building' : (timer ? 'waiting' : 'idle'),
+      queueDepth: pendingDocs,
+      queuedUrls: Array.from(pendingUrls).sort(),
+      builds: buildCount,
+      startedAt,
+      lastBuild
+    };
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      if (!building) build();
+    }, debounceMs);
+  }
+
+  async function build() {
+    const changedUrls = Array.from(pendingUrls);
+    const docs = pendingDocs;
+    pendingUrls.clear();
+    pendingDocs = 0;
+
+    const started = Date.now();
+    log(`🔄 Rebuilding for ${docs} changed document(s)...`);
+
+    building = (async () => {
+      try {
+        const results = await runExport({ changedUrls });
+        lastBuild = {
+          success: results.success,
+          startedAt: new Date(started).toISOString(),
+          durationMs: Date.now() - started,
+          documents: docs,
+          pagesRendered: results.pagesRendered,
+          pagesSkipped: results.pagesSkipped,
+          pagesRemoved: results.pagesRemoved,
+          swapped: results.swapped,
+          errors: results.errors.slice(0, 20)
+        };
+      } catch (error) {
+        lastBuild = {
+          success: false,
+          startedAt: new Date(started).toISOString(),
+          durationMs: Date.now() - started,
+          documents: docs,
+          errors: [{ url: null, error: error.message }]
+        };
+      }
+
+      buildCount++;
+      log(lastBuild.success
+        ? `✅ Rebuilt ${lastBuild.pagesRendered} page(s) in ${lastBuild.durationMs}ms`
+        : `⚠️  Rebuild finished with ${lastBuild.errors.length} error(s)`);
+    })();
+
+    await building;
+    building = null;
+
+    // Changes that arrived during the build
+    if (pendingDocs > 0 && !timer) schedule();
+  }
+
+  function trigger(docs) {
+    for (const doc of docs) {
+      if (typeof doc._url === 'string') {
+        try {
+          pendingUrls.add(changedPath(doc, locales));
+        } catch {
+          // Not a usable URL; the incremental plan still sees the change
+        }
+      }
+    }
+    pendingDocs += Math.max(1, docs.length);
+    schedule();
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://apos-static.invalid');
+
+    if (req.method === 'GET' && pathname === '/status') {
+      return sendJson(res, 200, status());
+    }
+
+    if (pathname !== hookPath) {
+      return sendJson(res, 404, { error: 'Not found' });
+    }
+
+    if (req.method !== 'POST') {
+      res.setHeader('allow', 'POST');
+      return sendJson(res, 405, { error: 'Method not allowed' });
+    }
+
+    let body;
+    try {
+      body = await readBody(req, maxBodyBytes);
+    } catch (error) {
+      return sendJson(res, error.statusCode || 400, { error: error.message });
+    }
+
+    if (secret && !verifySignature(body, req.headers[SIGNATURE_HEADER], secret)) {
+      return sendJson(res, 401, { error: 'Invalid signature' });
+    }
+
+    let payload = {};
+    if (body.length > 0) {
+      try {
+        payload = JSON.parse(body.toString('utf8'));
+      } catch {
+        return sendJson(res, 400, { error: 'Invalid JSON' });
+      }
+    }
+
+    const docs = changedDocs(payload);
+    trigger(docs);
+
+    sendJson(res, 202, { queued: docs.length, queueDepth: pendingDocs, state: status().state });
+  });
+
+  return {
+    server,
+    status,
+    trigger,
+    /** Resolves once no build is running or scheduled */
+    async idle() {
+      while (building || timer) {
+        await (building || new Promise(resolve => setTimeout(resolve, debounceMs)));
+      }
+    }
+  };
+}
+
+/**
+ * Run the webhook rebuild server until SIGINT/SIGTERM.
+ *
+ * Takes the exportStatic options (an incremental export into outputDir is
+ * run at startup and for every rebuild) plus:
+ *
+ * @param {Object} options
+ * @param {number} [options.hooksPort=4322] - Webhook server port
+ * @param {string} [options.hooksHost='127.0.0.1'] - Webhook server host
+ * @param {string} [options.hooksPath='/hooks'] - Webhook endpoint
+ * @param {string} [options.hooksSecret] - Signing secret (default: APOS_STATIC_HOOKS_SECRET)
+ * @param {number} [options.debounceMs=2000] - Quiet period before a rebuild starts
+ * @returns {Promise<{ close: Function }>}
+ */
+export async function serveHooks(options = {}) {
+  const {
+    hooksPort = 4322,
+    hooksHost = '127.0.0.1',
+    hooksPath = '/hooks',
+    hooksSecret = process.env.APOS_STATIC_HOOKS_SECRET,
+    allowUnsigned = false,
+    debounceMs = 2000,
+    onProgress = () => {}
+  } = options;
+  const logger = loggerFor(options);
+  const { localeConfig, siteUrl } = await loadLocaleConfig(options);
+
+  if (!hooksSecret && !allowUnsigned) {
+    throw new Error('A webhook secret is required (hooksSecret or APOS_STATIC_HOOKS_SECRET)');
+  }
+
+  const preview = await startRenderer(options, { logger, onProgress });
+
+  const runExport = ({ changedUrls = [] } = {}) => exportStatic({
+    ...options,
+    logger,
+    incremental: true,
+    changedUrls,
+    preview
+  });
+
+  let hooks;
+  try {
+    // Bring the output up to date before taking webhooks
+    const initial = await runExport();
+    logger.info(`✅ Initial export: ${initial.pagesRendered} rendered, ${initial.pagesSkipped} unchanged`, {
+      event: 'hooks.initial-export',
+      pagesRendered: initial.pagesRendered,
+      pagesSkipped: initial.pagesSkipped
+    });
+
+    hooks = createHookServer({
+      runExport,
+      secret: hooksSecret && String(hooksSecret),
+      allowUnsigned,
+      debounceMs,
+      path: hooksPath,
+      locales: createLocaleLayout(localeConfig, { siteUrl }),
+      log: message => logger.info(message, { event: 'hooks' })
+    });
+
+    await new Promise((resolve, reject) => {
+      hooks.server.once('error', reject);
+      hooks.server.listen(hooksPort, hooksHost, resolve);
+    });
+  } catch (error) {
+    preview.stop();
+    throw error;
+  }
+
+  logger.info(`🪝 Listening for webhooks on http://${hooksHost}:${hooksPort}${hooksPath}`, {
+    event: 'hooks.listening',
+    url: `http://${hooksHost}:${hooksPort}${hooksPath}`
+  });
+  logger.info(`   Status: http://${hooksHost}:${hooksPort}/status`);
+
+  async function close() {
+    await new Promise(resolve => hooks.server.close(resolve));
+    await hooks.idle();
+    preview.stop();
+  }
+
+  return { close, status: hooks.status };
+}
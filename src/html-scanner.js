@@ -0,0 +1,138 @@
+/**
+ * Streaming HTML Tag Scanner
+ *
+ * A lightweight alternative to building a DOM when a processor only needs
+ * to read or rewrite attribute values. The markup is walked once, tag by
+ * tag; everything that isn't a rewritten attribute value is left untouched.
+ */
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+const TAG_NAME_RE = /[a-zA-Z][a-zA-Z0-9:-]*/y;
+const ATTRIBUTE_RE = /\s*([^\s"'>/=]+)(?:\s*=\s*("[^"]*"|'[^']*'|[^\s"'=<>`]+))?/y;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+export function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function encodeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Call `onTag({ name, attributes })` for every start tag. Attributes are
+ * `{ name, value, start, end }` where start/end delimit the raw value
+ * (including quotes) in the source, or are null for valueless attributes.
+ */
+export function scanTags(html, onTag) {
+  let index = 0;
+
+  while (index < html.length) {
+    const open = html.indexOf('<', index);
+    if (open === -1) break;
+
+    if (html.startsWith('<!--', open)) {
+      const close = html.indexOf('-->', open + 4);
+      index = close === -1 ? html.length : close + 3;
+      continue;
+    }
+
+    const next = html[open + 1];
+    if (next === '!' || next === '?' || next === '/') {
+      const close = html.indexOf('>', open);
+      index = close === -1 ? html.length : close + 1;
+      continue;
+    }
+
+    TAG_NAME_RE.lastIndex = open + 1;
+    const nameMatch = TAG_NAME_RE.exec(html);
+    if (!nameMatch) {
+      index = open + 1;
+      continue;
+    }
+
+    const name = nameMatch[0].toLowerCase();
+    const attributes = [];
+    let cursor = TAG_NAME_RE.lastIndex;
+
+    for (;;) {
+      ATTRIBUTE_RE.lastIndex = cursor;
+      const match = ATTRIBUTE_RE.exec(html);
+      if (!match) break;
+
+      const rawValue = match[2];
+      if (rawValue === undefined) {
+        attributes.push({ name: match[1].toLowerCase(), value: '', start: null, end: null });
+      } else {
+        const end = ATTRIBUTE_RE.lastIndex;
+        const quoted = rawValue[0] === '"' || rawValue[0] === "'";
+        attributes.push({
+          name: match[1].toLowerCase(),
+          value: decodeEntities(quoted ? rawValue.slice(1, -1) : rawValue),
+          start: end - rawValue.length,
+          end
+        });
+      }
+      cursor = ATTRIBUTE_RE.lastIndex;
+    }
+
+    const close = html.indexOf('>', cursor);
+    index = close === -1 ? html.length : close + 1;
+
+    onTag({ name, attributes });
+
+    if (RAW_TEXT_ELEMENTS.has(name)) {
+      const closingTagRe = new RegExp(`</${name}`, 'ig');
+      closingTagRe.lastIndex = index;
+      const closingTag = closingTagRe.exec(html);
+      index = closingTag ? closingTag.index : html.length;
+    }
+  }
+}
+
+/**
+ * Rewrite attribute values without parsing a DOM.
+ * `rewrite(tagName, attributeName, value)` returns the new value, or
+ * undefined to leave the attribute as it is.
+ */
+export function rewriteAttributes(html, rewrite) {
+  const replacements = [];
+
+  scanTags(html, ({ name, attributes }) => {
+    for (const attribute of attributes) {
+      if (attribute.start === null) continue;
+
+      const value = rewrite(name, attribute.name, attribute.value);
+      if (value !== undefined && value !== attribute.value) {
+        replacements.push({ start: attribute.start, end: attribute.end, value });
+      }
+    }
+  });
+
+  if (replacements.length === 0) return html;
+
+  let output = '';
+  let index = 0;
+  for (const { start, end, value } of replacements) {
+    output += html.slice(index, start) + `"${encodeAttribute(value)}"`;
+    index = end;
+  }
+
+  return output + html.slice(index);
+}
@@ -0,0 +1,146 @@
+/**
+ * In-Process Renderer
+ *
+ * Renders pages by calling Astro's SSR app from the server build with
+ * synthetic Requests, instead of fetching them from a preview server: no
+ * child process, no port, no HTTP round trip per page.
+ * - needs a server build: an adapter that writes dist/server/entry.mjs,
+ *   such as @astrojs/node (its standalone server is not started)
+ * - importing the entry completes the build's manifest (manifest_*.mjs
+ *   next to it) with the page map, which is then handed to Astro's App,
+ *   resolved from the build so both use the same Astro
+ * - X-Forwarded-Host/Proto (set for locales on their own domain) become
+ *   the request's origin, as the node adapter applies them behind a proxy
+ * - prerendered pages have no route in the app; they are read from the
+ *   client build, the way `astro preview` serves them
+ * - pages come back as standard Responses, so the export reads them like
+ *   fetched ones
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_SERVER_ENTRY = 'dist/server/entry.mjs';
+
+async function loadServerBuild(entryPath) {
+  if (!fs.existsSync(entryPath)) {
+    throw new Error(`No Astro server build at ${entryPath}: the in-process renderer needs an adapter ` +
+      'that builds a server entry, such as @astrojs/node');
+  }
+
+  const serverDir = path.dirname(entryPath);
+  const manifestFile = fs.readdirSync(serverDir).find(file => /^manifest_.*\.mjs$/.test(file));
+  if (!manifestFile) {
+    throw new Error(`No manifest_*.mjs next to ${entryPath}: unsupported Astro server build (Astro 4 or later is needed)`);
+  }
+
+  // The node adapter starts its standalone server when the entry is imported
+  const autostart = process.env.ASTRO_NODE_AUTOSTART;
+  process.env.ASTRO_NODE_AUTOSTART = 'disabled';
+  try {
+    // A new build in the same process is imported again
+    await import(`${pathToFileURL(entryPath).href}?build=${fs.statSync(entryPath).mtimeMs}`);
+  } finally {
+    if (autostart === undefined) {
+      delete process.env.ASTRO_NODE_AUTOSTART;
+    } else {
+      process.env.ASTRO_NODE_AUTOSTART = autostart;
+    }
+  }
+
+  // The module instance the entry imported, now with its page map
+  const { manifest } = await import(pathToFileURL(path.join(serverDir, manifestFile)).href);
+  if (!manifest?.pageMap && !manifest?.pageModule) {
+    throw new Error(`The manifest of ${entryPath} has no pages: unsupported Astro server build`);
+  }
+
+  let appModule;
+  try {
+    appModule = await import(pathToFileURL(createRequire(entryPath).resolve('astro/app')).href);
+  } catch (error) {
+    throw new Error(`Could not load astro/app for ${entryPath}: ${error.message}`);
+  }
+
+  return new appModule.App(manifest);
+}
+
+/** Rejects when `signal` aborts, so fetchWithTimeout's timeout applies to renders too */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new Error(`Rendering timed out (${signal.reason?.message || 'aborted'})`));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Load the server build and render through it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.serverEntry='dist/server/entry.mjs'] - Server entry of the Astro build
+ * @param {string} [options.url='http://127.0.0.1:4321'] - Origin of the synthetic requests; nothing listens on it
+ * @returns {Promise<{ url: string, fetch: Function, stop: Function }>} `fetch(url, init)`
+ *   resolves to the page's Response, like the global fetch
+ */
+export async function createInProcessRenderer({
+  serverEntry = DEFAULT_SERVER_ENTRY,
+  url = 'http://127.0.0.1:4321'
+} = {}) {
+  const entryPath = path.resolve(serverEntry);
+  const clientDir = path.resolve(path.dirname(entryPath), '..', 'client');
+  const app = await loadServerBuild(entryPath);
+
+  function prerenderedFile(pathname) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(pathname);
+    } catch {
+      return null;
+    }
+
+    const candidates = decoded.endsWith('/')
+      ? [`${decoded}index.html`]
+      : [`${decoded}/index.html`, `${decoded}.html`];
+
+    for (const candidate of candidates) {
+      const filePath = path.join(clientDir, candidate);
+      if (filePath.startsWith(clientDir + path.sep) && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+        return filePath;
+      }
+    }
+    return null;
+  }
+
+  async function render(requestUrl, init = {}) {
+    const headers = new Headers(init.headers);
+    const target = new URL(requestUrl);
+    if (headers.has('x-forwarded-host')) target.host = headers.get('x-forwarded-host');
+    if (headers.has('x-forwarded-proto')) target.protocol = `${headers.get('x-forwarded-proto')}:`;
+
+    const request = new Request(target, { ...init, headers });
+    const routeData = app.match(request);
+
+    if (!routeData) {
+      const file = prerenderedFile(new URL(request.url).pathname);
+      if (file) {
+        return new Response(fs.readFileSync(file), {
+          headers: { 'content-type': 'text/html; charset=utf-8' }
+        });
+      }
+    }
+
+    // Without a route, the app renders the 404 page
+    return abortable(app.render(request, { routeData, clientAddress: '127.0.0.1' }), init.signal);
+  }
+
+  return {
+    url: url.replace(/\/+$/, ''),
+    fetch: render,
+    stop() {}
+  };
+}
@@ -7,22 +7,55 @@
 import os from "os";
 import fs from "fs";
 import path from "path";
-import { spawn, execSync } from "child_process";
-import { generateSitemap } from "./sitemap.js";
-import { processVideoWidgets } from "./processors/video-widgets.js";
-import { makeUrlsRelative, extractInternalLinks } from "./processors/url-rewriter.js";
+import { generateSitemapEntries } from "./sitemap.js";
+import { resolveProcessors, runHook, createPage } from "./pipeline.js";
+import { createSearchIndexProcessor } from "./processors/search-index.js";
+import { createDraftBannerProcessor } from "./processors/draft-banner.js";
+import { createFormsProcessor } from "./processors/forms.js";
+import { createResponsiveImagesProcessor } from "./processors/images.js";
+import { createAssetUrlRewriteProcessor } from "./processors/asset-urls.js";
+import { createLocaleLinksProcessor } from "./processors/locale-links.js";
+import { createLocaleLayout, normalizePrefix } from "./locales.js";
+import { validateOutput, REPORT_JSON, REPORT_TEXT } from "./validate.js";
+import { validateOptions, loadLocaleConfig } from "./config.js";
+import { loggerFor } from "./logger.js";
+import { createBuildReport, writeBuildReport, BUILD_REPORT_FILENAME } from "./build-report.js";
+import { getStagingDir, getReportsDir, prepareStagingDir, swapIntoPlace, resolveOutputDir, currentBuild } from "./output.js";
+import { startRenderer } from "./preview.js";
+import { fetchRedirects, writeRedirects } from "./redirects.js";
+import { canonicalLink, listingIndexType } from "./pagination.js";
+import { deployOutput } from "./deploy/index.js";
+import { createUploadCache, DEFAULT_UPLOAD_CACHE_DIR } from "./upload-cache.js";
+import { createOembedClient, DEFAULT_OEMBED_CACHE_FILE } from "./oembed.js";
+import { createElementCache, DEFAULT_ELEMENT_CACHE_FILE } from "./processors/custom-elements.js";
 import {
   copyAposUploadsFromFs,
   extractImagesFromHtml
 } from "./processors/uploads.js";
 import {
   fetchWithRetry,
-  waitForServer,
   cleanDir,
   copyDir,
   writeHtmlForPath,
+  writeOutputFile,
+  removeOutputForPath,
+  outputPathForUrl,
   mapLimit
 } from "./utils.js";
+import {
+  createManifest,
+  loadManifest,
+  saveManifest,
+  hashContent,
+  planIncrementalBuild,
+  findUnreachablePages,
+  MANIFEST_FILENAME
+} from "./manifest.js";
+import {
+  buildSitemapRecords,
+  writeSitemapXml,
+  writeRobotsTxt
+} from "./sitemap-xml.js";
 
 /**
  * Export a static site from ApostropheCMS + Astro
@@ -31,30 +64,152 @@ import {
  * @param {string} options.aposHost - ApostropheCMS backend URL (e.g., 'http://localhost:3000')
  * @param {string} options.aposKey - APOS_EXTERNAL_FRONT_KEY for API access
  * @param {string} [options.outputDir='static-dist'] - Output directory for static files
+ * @param {string} [options.reportsDir] - Where the manifest and reports go (default:
+ *   `<outputDir>.reports`); it must be outside outputDir, which is served
  * @param {number} [options.port=4321] - Preview server port
  * @param {string} [options.host='127.0.0.1'] - Preview server host
+ * @param {string} [options.renderer='http'] - 'http' renders through the preview server;
+ *   'in-process' calls the Astro server build directly (falls back to 'http' without one)
+ * @param {string} [options.serverEntry='dist/server/entry.mjs'] - Server entry for the
+ *   in-process renderer
+ * @param {string} [options.renderUrl] - Render through a server that is already running
+ *   (e.g. `astro dev` or a deployed SSR build) instead of building and starting a preview
+ * @param {boolean} [options.skipBuild=false] - Start the preview server on the existing build
+ * @param {string} [options.packageManager] - npm, pnpm, yarn or bun (default: detected
+ *   from package.json or the lockfile)
+ * @param {string} [options.buildScript='build'] - package.json script that builds Astro
+ * @param {string[]} [options.buildArgs=[]] - Arguments passed to the build script
+ * @param {string} [options.previewScript='preview'] - package.json script that serves the
+ *   build; it gets `--host` and `--port`
+ * @param {string[]} [options.previewArgs=[]] - More arguments passed to the preview script
  * @param {number} [options.concurrency] - Max concurrent fetches (default: CPU count, max 8)
  * @param {number} [options.retries=3] - Number of retries for failed fetches
  * @param {string[]} [options.pieceTypes] - Optional: specific piece types to include
- * @param {Object} [options.localeConfig] - Multi-locale configuration
+ * @param {Object|string} [options.localeConfig] - Multi-locale configuration, or the path
+ *   of a .json/.js file exporting it: `{ [locale]: { baseUrl, prefix, default, outputDir } }`. Locales whose baseUrl is on
+ *   another domain are exported into their own subdirectory of outputDir (`outputDir`
+ *   names it; default: the locale)
+ * @param {boolean} [options.localeLinks=true] - With localeConfig, add absolute canonical
+ *   and hreflang link tags to every page
+ * @param {boolean|Object} [options.pagination] - Compute paginated and filtered index
+ *   page variants from the CMS. Per piece type: `true` or `{ indexType, perPage,
+ *   filters, pageTemplate, filterTemplate, filterPageTemplate }`; `true` for all types
  * @param {boolean|string} [options.downloadUploads=false] - Upload handling:
  *   - false (default): Leave URLs pointing to original S3/CDN (recommended for production)
  *   - 'copy-only': Copy from local filesystem only (monorepo setups)
  *   - true: Download all referenced uploads (fully self-contained site)
+ * @param {string[]} [options.uploadOrigins] - Public base URLs of uploads stored on a
+ *   CDN or S3 (uploadfs `getUrl()`), downloaded like `/uploads/` with downloadUploads: true
+ * @param {string|Object} [options.assetUrlRewrite] - Rewrite upload URLs to this base
+ *   (e.g. 'https://cdn.example.com/uploads', or '/uploads' for copied uploads) in
+ *   attributes, inline styles and CSS files; `{ to, from }` to name the source origins
+ * @param {string|false} [options.uploadCache] - Directory caching downloaded uploads
+ *   between exports (default: node_modules/.cache/apos-astro-static/uploads); false disables it
+ * @param {boolean|Object} [options.images=false] - With downloadUploads: true, download
+ *   every size variant used in srcset, add width/height and loading="lazy", and
+ *   optionally WebP/AVIF sources (`{ formats, dimensions, lazy, variants, sizes, quality }`)
+ * @param {Object} [options.customElements] - Renderers for custom elements by tag name
+ *   (`async ({ attributes, cms, cache, ... }) => html`, or `{ render, finalize,
+ *   afterExport }`, afterExport running once per output tree where the tag was rendered);
+ *   `<video-widget>` is built in, `false` turns a renderer off
+ * @param {string|false} [options.customElementsCache] - File caching renderer results
+ *   between exports (default: node_modules/.cache/apos-astro-static/custom-elements.json)
+ * @param {boolean|Object} [options.videoFacade=false] - Render video widgets as
+ *   click-to-load facades with a local poster (`{ noCookie }`, default true)
+ * @param {string|false} [options.oembedCache] - File caching oEmbed results between
+ *   exports (default: node_modules/.cache/apos-astro-static/oembed.json); false disables it
+ * @param {string|boolean} [options.oembedOffline='fallback'] - Generate YouTube/Vimeo
+ *   embeds from the URL when the CMS lookup fails; 'always' (or true) never asks the CMS
+ * @param {number} [options.oembedMaxAge] - Milliseconds before a cached oEmbed result is
+ *   refreshed (default: 30 days)
+ * @param {boolean} [options.incremental=false] - Only re-render documents that changed
+ *   since the last export (uses the manifest written into outputDir)
+ * @param {string} [options.siteUrl] - Public site URL used for sitemap.xml and robots.txt
+ *   (locales with a `baseUrl` in localeConfig use that instead)
+ * @param {boolean|Object} [options.sitemap=true] - Write sitemap.xml (`{ maxUrlsPerFile }`)
+ * @param {boolean|Object} [options.robots=true] - Write robots.txt
+ *   (`{ userAgent, allow, disallow, extra }`); a robots.txt from Astro's public
+ *   directory is kept unless this is set explicitly
+ * @param {Array<Object|string>} [options.processors] - Processor plugins with lifecycle
+ *   hooks (beforeCrawl, transformHtml, afterWrite, afterExport). Strings name
+ *   built-in processors ('internal-links', 'custom-elements', 'url-rewriter') to
+ *   set their order explicitly; a plugin with a built-in's name replaces it
+ * @param {boolean|Object} [options.searchIndex=false] - Write a per-locale client-side
+ *   search index (`{ maxTextLength, exclude, directory }`)
+ * @param {string|Object} [options.forms] - Make Apostrophe form widgets submit without
+ *   the CMS: 'netlify', 'schema', an endpoint URL, or `{ target, endpoint, encoding,
+ *   schema, ... }` (see createFormsProcessor)
+ * @param {boolean|Object} [options.validate=false] - Check every internal link, asset and
+ *   #fragment in the output and write link-report.json/.txt into the reports directory
+ *   (`{ failOnBroken, checkFragments, ignore, reportDir }`)
+ * @param {number} [options.successThreshold=1] - Share of pages (0-1) that must render
+ *   without errors for the staged export to replace outputDir
+ * @param {number} [options.keepPrevious=0] - Number of replaced builds to keep as
+ *   rollback copies (in `<outputDir>.builds/`)
+ * @param {string} [options.parser='auto'] - 'auto' parses each page's DOM once, only
+ *   when a processor needs it (attribute-only work uses a streaming scanner);
+ *   'dom' always parses up front
+ * @param {string} [options.mode='published'] - 'draft' exports the draft version of every
+ *   page and piece, with a "Draft preview" banner and noindex on each page
+ * @param {string} [options.draftOutputDir] - Output directory for draft exports
+ *   (default: `<outputDir>-draft`)
+ * @param {string|Object} [options.draftBanner] - Draft banner text, or `{ text }`
+ * @param {boolean|string[]|Object} [options.redirects=false] - Export @apostrophecms/redirect
+ *   documents. `true` writes HTML redirect pages; an array (or `{ formats }`) picks
+ *   formats from 'netlify', 'vercel', 'nginx', 'apache' and 'html'
+ * @param {string|Object} [options.deploy] - Deploy the output once it is in place: a name
+ *   from deployTargets, a built-in adapter ('s3', 'filesystem', 'rsync') or a target
+ *   object `{ adapter, ...adapterOptions }`
+ * @param {Object} [options.deployTargets] - Named deploy targets
+ * @param {boolean} [options.deployDryRun=false] - Report what a deploy would change only
+ * @param {string[]} [options.changedUrls] - Incremental exports: URLs to re-render (with
+ *   the pages linking to them) even if their documents look unchanged
+ * @param {Object} [options.preview] - An already running renderer (`{ url, fetch }`, as
+ *   startRenderer returns; `fetch` defaults to the global one); skips the Astro build and
+ *   leaves the renderer running
  * @param {Function} [options.onProgress] - Progress callback (current, total, message)
+ * @param {string} [options.logLevel] - 'silent', 'error', 'warn', 'info' or 'debug'
+ *   (default: info, debug with the json format)
+ * @param {string} [options.logFormat='text'] - 'text', or 'json' for one JSON event per line
+ * @param {Object} [options.logger] - A logger from createLogger (replaces logLevel/logFormat)
+ * @param {boolean} [options.buildReport=true] - Write build-report.json into the reports directory
  * @returns {Promise<Object>} Export results
  */
 export async function exportStatic(options = {}) {
+  validateOptions(options);
+  options = await loadLocaleConfig(options);
+
   const {
     aposHost,
     aposKey,
     outputDir = 'static-dist',
-    port = 4321,
-    host = '127.0.0.1',
     concurrency = Math.min(8, Math.max(2, os.cpus().length)),
     retries = 3,
     pieceTypes,
     localeConfig,
+    pagination,
+    incremental = false,
+    siteUrl,
+    sitemap = true,
+    robots = true,
+    parser = 'auto',
+    searchIndex = false,
+    validate = false,
+    successThreshold = 1,
+    keepPrevious = 0,
+    mode = 'published',
+    draftOutputDir,
+    redirects = false,
+    images = false,
+    uploadOrigins = [],
+    assetUrlRewrite,
+    oembedCache = DEFAULT_OEMBED_CACHE_FILE,
+    customElementsCache = DEFAULT_ELEMENT_CACHE_FILE,
+    oembedOffline = 'fallback',
+    oembedMaxAge,
+    uploadCache = DEFAULT_UPLOAD_CACHE_DIR,
+    deploy,
+    buildReport = true,
     onProgress = () => {}
   } = options;
 
@@ -66,103 +221,199 @@ export async function exportStatic(options = {}) {
     throw new Error('aposKey is required');
   }
 
-  const previewUrl = `http://${host}:${port}`;
-  const resolvedOutputDir = path.resolve(outputDir);
+  const isDraft = mode === 'draft';
+  const report = createBuildReport();
+  // Warnings logged outside of pages go into the report too
+  const logger = loggerFor(options).child({}, { warnings: report.warnings });
+
+  if (images && options.downloadUploads !== true) {
+    logger.warn('⚠️  images only applies to downloaded uploads (downloadUploads: true); ignoring it');
+  }
+  const processImages = images && options.downloadUploads === true;
+
+  // Draft previews never overwrite the published export
+  const resolvedOutputDir = resolveOutputDir({ outputDir, mode, draftOutputDir });
+  // Everything is written here and swapped into place at the end
+  const stagingDir = getStagingDir(resolvedOutputDir);
+  // The manifest and reports, outside of what is served
+  const reportsDir = getReportsDir(resolvedOutputDir, options.reportsDir);
+  const locales = createLocaleLayout(localeConfig, { siteUrl });
+  const processors = resolveProcessors([
+    ...(options.processors || []),
+    ...(localeConfig && options.localeLinks !== false ? [createLocaleLinksProcessor()] : []),
+    ...(searchIndex ? [createSearchIndexProcessor(searchIndex === true ? {} : searchIndex)] : []),
+    ...(options.forms ? [createFormsProcessor(options.forms)] : []),
+    ...(processImages ? [createResponsiveImagesProcessor(images === true ? {} : images)] : []),
+    ...(assetUrlRewrite ? [createAssetUrlRewriteProcessor(assetUrlRewrite)] : []),
+    ...(isDraft ? [createDraftBannerProcessor(
+      typeof options.draftBanner === 'string' ? { text: options.draftBanner } : options.draftBanner
+    )] : [])
+  ]);
 
   const results = {
     success: true,
     pagesRendered: 0,
+    pagesSkipped: 0,
+    pagesRemoved: 0,
     videoWidgetsProcessed: 0,
+    customElements: {},
+    redirects: 0,
+    sitemapFiles: [],
     errors: [],
-    outputDir: resolvedOutputDir
+    outputDir: resolvedOutputDir,
+    reportsDir,
+    swapped: false,
+    previousOutputDir: null
   };
 
-  onProgress(0, 100, 'Building Astro...');
+  // serve-hooks passes its warm renderer; one-shot exports start their own,
+  // or render through renderUrl
+  const previewServer = options.preview ? null : await startRenderer(options, { logger, onProgress });
+  const renderer = options.preview || previewServer;
+  const previewUrl = renderer.url;
+  // The in-process renderer answers page requests itself
+  const renderFetch = renderer.fetch || fetch;
 
   try {
-    execSync("npm run build", { stdio: "inherit" });
-  } catch (error) {
-    throw new Error('Astro build failed');
-  }
+    onProgress(20, 100, 'Preview server ready');
 
-  onProgress(10, 100, 'Starting preview server...');
+    onProgress(25, 100, 'Generating sitemap...');
 
-  const astroProcess = spawn(
-    "npm", 
-    ["run", "preview", "--", "--host", host, "--port", String(port)], 
-    {
-      stdio: ["ignore", "inherit", "inherit"],
-      detached: process.platform !== "win32"
+    const allEntries = await discoverEntries({ aposHost, aposKey, localeConfig, pieceTypes, mode, pagination, logger }, locales);
+
+    const allUrls = allEntries.map(entry => entry.url).sort();
+    const entriesByUrl = new Map(allEntries.map(entry => [entry.url, entry]));
+    // Query string URLs the frontend renders -> static paths they are written to,
+    // per output tree (both as the domain sees them)
+    const routesByTree = new Map(locales.trees.map(tree => [tree, new Map()]));
+    for (const entry of allEntries) {
+      const urlPath = locales.pathInTree(entry.url);
+      if (entry.renderUrl && entry.renderUrl !== urlPath) {
+        routesByTree.get(locales.treeFor(entry.url)).set(canonicalLink(entry.renderUrl), urlPath);
+      }
     }
-  );
 
-  function shutdown() {
-    if (!astroProcess.killed) {
-      if (process.platform === "win32") {
-        spawn("taskkill", ["/pid", String(astroProcess.pid), "/T", "/F"]);
-      } else {
-        try {
-          process.kill(-astroProcess.pid, "SIGTERM");
-        } catch {
-          try {
-            astroProcess.kill("SIGTERM");
-          } catch {}
-        }
-      }
+    if (allUrls.length === 0) {
+      throw new Error('No URLs found to render');
     }
-  }
 
-  try {
-    await waitForServer(previewUrl, { timeoutMs: 90000, intervalMs: 800 });
-    onProgress(20, 100, 'Preview server ready');
+    onProgress(35, 100, 'Preparing output directory...');
 
-    onProgress(25, 100, 'Generating sitemap...');
+    // Incremental exports start from a copy of the current output
+    prepareStagingDir(stagingDir, incremental ? resolvedOutputDir : null);
+    // Earlier versions kept their bookkeeping in the output
+    for (const filename of [MANIFEST_FILENAME, BUILD_REPORT_FILENAME]) {
+      fs.rmSync(path.join(stagingDir, filename), { force: true });
+    }
+    for (const dir of [stagingDir, ...(locales.split ? locales.trees.map(tree => path.join(stagingDir, tree.name)) : [])]) {
+      for (const filename of [REPORT_JSON, REPORT_TEXT]) {
+        fs.rmSync(path.join(dir, filename), { force: true });
+      }
+    }
 
-    let allUrls = [];
+    const liveBuild = currentBuild(resolvedOutputDir);
+    const previousManifest = incremental && liveBuild
+      ? loadManifest(reportsDir, { build: path.basename(liveBuild) })
+      : null;
+    const manifest = createManifest();
+    let urlsToRender = allUrls;
+    let upToDateUrls = new Set();
+
+    if (previousManifest) {
+      const plan = planIncrementalBuild(previousManifest, allEntries, stagingDir, {
+        changedUrls: (options.changedUrls || []).map(normalizeLinkPath),
+        indexTypeFor: pieceType => listingIndexType(pieceType, pagination?.[pieceType])
+      });
 
-    if (localeConfig) {
-      for (const [locale, config] of Object.entries(localeConfig)) {
-        const urls = await generateSitemap({
-          aposHost,
-          aposKey,
-          locale,
-          pieceTypes
-        });
+      for (const url of plan.removed) {
+        removeOutputForPath(stagingDir, url);
+      }
 
-        // Warn if configured prefix doesn't match what Apostrophe actually emits
-        validateLocalePrefix(urls, config.prefix, locale);
-        // Apply locale prefix if configured
-        const prefixedUrls = applyLocalePrefix(urls, config.prefix);
-        allUrls.push(...prefixedUrls);
+      for (const url of plan.unchanged) {
+        manifest.pages[url] = previousManifest.pages[url];
+        report.page(url, { status: 'unchanged', warnings: [] });
       }
 
-      allUrls = Array.from(new Set(allUrls)).sort();
+      urlsToRender = Array.from(plan.render).sort();
+      upToDateUrls = plan.unchanged;
+      results.pagesSkipped = plan.unchanged.size;
+      results.pagesRemoved = plan.removed.length;
     } else {
-      allUrls = await generateSitemap({ aposHost, aposKey, pieceTypes });
-    }
-
-    if (allUrls.length === 0) {
-      throw new Error('No URLs found to render');
+      cleanDir(stagingDir);
     }
 
-    onProgress(35, 100, 'Preparing output directory...');
-    cleanDir(resolvedOutputDir);
-
     // Copy Astro build assets
     const distDir = path.join(process.cwd(), "dist");
     const distClientDir = path.join(distDir, "client");
 
+    let assetsDir = null;
     if (fs.existsSync(distClientDir)) {
-      copyDir(distClientDir, resolvedOutputDir);
+      assetsDir = distClientDir;
     } else if (fs.existsSync(distDir)) {
-      copyDir(distDir, resolvedOutputDir);
+      assetsDir = distDir;
+    }
+
+    if (assetsDir) {
+      for (const tree of locales.trees) {
+        copyDir(assetsDir, path.join(stagingDir, locales.split ? tree.name : ''));
+      }
+    } else if (options.renderUrl) {
+      // Nothing was built here; the render server's assets aren't fetched
+      logger.warn(`⚠️  No Astro build in ${distDir}: the export has no scripts, styles or public files (run the build, or use the same build as ${options.renderUrl})`);
     }
 
-    onProgress(40, 100, `Rendering ${allUrls.length} pages...`);
+    // Shared by every processor hook
+    const context = {
+      options,
+      aposHost,
+      aposKey,
+      previewUrl,
+      retries,
+      logger,
+      outputDir: stagingDir,
+      urls: urlsToRender,
+      entries: entriesByUrl,
+      routes: routesByTree.get(locales.trees[0]),
+      locales,
+      // The output tree of the pages (per-tree contexts when locales are split by domain)
+      tree: locales.split ? null : locales.trees[0],
+      manifest,
+      results,
+      uploadOrigins,
+      uploadCache: createUploadCache({ dir: uploadCache, retries, logger }),
+      oembed: createOembedClient({
+        aposHost,
+        aposKey,
+        retries,
+        logger,
+        cacheFile: oembedCache,
+        offline: oembedOffline === true ? 'always' : oembedOffline,
+        maxAge: oembedMaxAge
+      }),
+      elementCache: createElementCache(customElementsCache, logger),
+      // Upload paths already written by processors (skipped by the uploads step)
+      downloadedUploads: new Set()
+    };
+
+    await runHook(processors, 'beforeCrawl', context);
+
+    // Processors see the output directory and routes of the tree they work on
+    const treeContexts = new Map(locales.trees.map(tree => [tree, locales.split
+      ? {
+        ...context,
+        outputDir: path.join(stagingDir, tree.name),
+        routes: routesByTree.get(tree),
+        tree,
+        downloadedUploads: new Set()
+      }
+      : context
+    ]));
+
+    onProgress(40, 100, `Rendering ${context.urls.length} pages...`);
 
     const processedUrls = new Set();
-    const urlQueue = [...allUrls];
-    let processedVideoWidgets = 0;
+    const urlQueue = [...context.urls];
+    const linkReferrers = new Map();
 
     while (urlQueue.length > 0) {
       const batch = urlQueue.splice(0, concurrency * 2);
@@ -173,89 +424,503 @@ export async function exportStatic(options = {}) {
       await mapLimit(batchUrls, concurrency, async (urlPath) => {
         if (processedUrls.has(urlPath)) return;
 
-        const pageUrl = new URL(urlPath, previewUrl).toString();
+        const tree = locales.treeFor(urlPath);
+        const treeContext = treeContexts.get(tree);
+        const pageUrl = new URL(entriesByUrl.get(urlPath)?.renderUrl || locales.pathInTree(urlPath), previewUrl);
+        if (isDraft) {
+          pageUrl.searchParams.set('aposMode', 'draft');
+        }
+
+        const started = Date.now();
+        const warnings = [];
+        const pageLogger = logger.child({ url: urlPath }, { warnings });
 
         try {
-          const response = await fetchWithRetry(pageUrl, {}, 60000, retries);
-          let html = await response.text();
+          const response = await fetchWithRetry(pageUrl, { headers: previewHeaders(locales, tree) }, 60000, retries, {
+            logger: pageLogger,
+            fetch: renderFetch
+          });
+          const fetchDuration = Date.now() - started;
+          // Processors see the path the page has on its domain
+          const page = createPage(locales.pathInTree(urlPath), await response.text(), { parser, logger: pageLogger });
+          page.entry = entriesByUrl.get(urlPath) || null;
+
+          for (const processor of processors) {
+            if (typeof processor.transformHtml === 'function') {
+              await processor.transformHtml(page, treeContext);
+            }
+          }
 
-          // Extract internal links
-          const foundLinks = extractInternalLinks(html, previewUrl);
+          // Queue internal links, normalized to the sitemap's trailing-slash form
+          // (or to the static path of a known listing variant), in the page's tree
+          const foundLinks = Array.from(new Set(page.links.map(link => {
+            const normalized = normalizeLinkPath(link);
+            return tree.prefix + (treeContext.routes.get(canonicalLink(normalized)) || normalized);
+          })));
           for (const link of foundLinks) {
-            if (!processedUrls.has(link) && !urlQueue.includes(link)) {
+            if (!linkReferrers.has(link)) linkReferrers.set(link, new Set());
+            linkReferrers.get(link).add(urlPath);
+
+            if (!processedUrls.has(link) && !upToDateUrls.has(link) && !urlQueue.includes(link)) {
               urlQueue.push(link);
             }
           }
 
-          // Process video widgets
-          const videoWidgetCount = (html.match(/<video-widget/g) || []).length;
-          if (videoWidgetCount > 0) {
-            html = await processVideoWidgets(html, aposHost, aposKey, retries);
-            processedVideoWidgets += videoWidgetCount;
-          }
+          const html = page.html;
 
-          // Rewrite URLs
-          html = makeUrlsRelative(html, previewUrl);
+          // Skip the write when an incremental re-render produced identical output
+          const hash = hashContent(html);
+          const previous = previousManifest?.pages[urlPath];
+          page.outputPath = outputPathForUrl(stagingDir, urlPath);
+          if (previous?.hash !== hash || !fs.existsSync(page.outputPath)) {
+            writeHtmlForPath(stagingDir, urlPath, html);
+          }
 
-          writeHtmlForPath(resolvedOutputDir, urlPath, html);
+          await runHook(processors, 'afterWrite', page, treeContext);
+
+          const entry = page.entry;
+          manifest.pages[urlPath] = {
+            id: entry?._id || null,
+            aposDocId: entry?.aposDocId || null,
+            source: entry?.source || 'crawl',
+            type: entry?.type || null,
+            locale: entry?.locale || locales.localeFor(urlPath),
+            updatedAt: entry?.updatedAt || null,
+            hash,
+            links: foundLinks
+          };
           processedUrls.add(urlPath);
 
+          const record = {
+            status: 'rendered',
+            httpStatus: response.status,
+            duration: Date.now() - started,
+            fetchDuration,
+            bytes: Buffer.byteLength(html),
+            warnings
+          };
+          report.page(urlPath, record);
+          pageLogger.debug(`   📄 ${urlPath} (${record.duration} ms)`, { event: 'page.rendered', ...record, warnings: warnings.length });
+
           const progress = 40 + Math.round((processedUrls.size / (processedUrls.size + urlQueue.length)) * 50);
           onProgress(progress, 100, `Rendered ${processedUrls.size} pages`);
         } catch (error) {
-          results.errors.push({ url: urlPath, error: error.message });
+          const referrers = Array.from(linkReferrers.get(urlPath) || []).sort();
+          results.errors.push({ url: urlPath, error: error.message, referrers });
+
+          const record = {
+            status: 'failed',
+            httpStatus: error.status || null,
+            duration: Date.now() - started,
+            error: error.message,
+            referrers,
+            warnings
+          };
+          report.page(urlPath, record);
+          pageLogger.debug(`   ❌ ${urlPath}: ${error.message}`, { event: 'page.failed', ...record, warnings: warnings.length });
         }
       });
     }
 
+    // Crawled pages no longer linked from anywhere (e.g. a `?page=4` past the
+    // end of a listing) would otherwise stay in an incremental output forever
+    if (previousManifest) {
+      for (const url of findUnreachablePages(manifest, allUrls, previousManifest)) {
+        removeOutputForPath(stagingDir, url);
+        delete manifest.pages[url];
+        report.forget(url);
+        if (upToDateUrls.has(url)) results.pagesSkipped--;
+        results.pagesRemoved++;
+      }
+    }
+
     results.pagesRendered = processedUrls.size;
-    results.videoWidgetsProcessed = processedVideoWidgets;
 
-    // Handle uploads based on configuration
+    context.oembed.save();
+    if (Object.values(context.oembed.stats).some(count => count > 0)) {
+      results.oembed = { ...context.oembed.stats };
+    }
+
+    // Handle uploads based on configuration (into every output tree)
     if (options.downloadUploads === true) {
       onProgress(90, 100, 'Processing uploads...');
 
-      const uploadsCopied = await copyAposUploadsFromFs(resolvedOutputDir);
-      if (!uploadsCopied) {
-        await extractImagesFromHtml(resolvedOutputDir, aposHost, retries);
+      let failed = 0;
+      for (const treeContext of treeContexts.values()) {
+        if (await copyAposUploadsFromFs(treeContext.outputDir, logger)) continue;
+
+        const extracted = await extractImagesFromHtml(treeContext.outputDir, aposHost, retries, {
+          skip: treeContext.downloadedUploads,
+          origins: uploadOrigins,
+          concurrency,
+          cache: context.uploadCache,
+          logger
+        });
+        failed += extracted.failed;
       }
+
+      results.uploads = { ...context.uploadCache.stats, failed };
     } else if (options.downloadUploads === 'copy-only') {
       onProgress(90, 100, 'Copying local uploads...');
-      await copyAposUploadsFromFs(resolvedOutputDir);
+      for (const treeContext of treeContexts.values()) {
+        await copyAposUploadsFromFs(treeContext.outputDir, logger);
+      }
     }
     // If downloadUploads is false (default), leave URLs pointing to original CDN/S3
 
-    // Create 404 page
-    onProgress(95, 100, 'Creating 404 page...');
-    try {
-      const response = await fetchWithRetry(`${previewUrl}/404`, {}, 30000, retries);
-      if (response.ok) {
-        const html = await response.text();
-        fs.writeFileSync(path.join(resolvedOutputDir, "404.html"), html);
+    if (redirects) {
+      onProgress(92, 100, 'Writing redirects...');
+
+      const redirectOptions = Array.isArray(redirects)
+        ? { formats: redirects }
+        : (redirects === true ? {} : redirects);
+      const redirectLocales = localeConfig ? Object.keys(localeConfig) : [null];
+      // Keyed by source path in the output (domain locales: in their tree)
+      const bySource = new Map();
+
+      for (const locale of redirectLocales) {
+        const tree = locales.treeForLocale(locale);
+        for (const redirect of await fetchRedirects({ aposHost, aposKey, locale, mode, retries, logger })) {
+          const key = tree.prefix + redirect.from;
+          if (!bySource.has(key)) bySource.set(key, { tree, redirect });
+        }
+      }
+
+      // HTML redirect pages from the last run that no longer have a redirect
+      for (const from of previousManifest?.redirects || []) {
+        const urlPath = from.endsWith('/') ? from : `${from}/`;
+        const outputPath = outputPathForUrl(stagingDir, urlPath);
+        if (!bySource.has(from) && fs.existsSync(outputPath) &&
+          fs.readFileSync(outputPath, 'utf8').includes('http-equiv="refresh"')) {
+          removeOutputForPath(stagingDir, urlPath);
+        }
       }
-    } catch {
-      const notFoundPath = path.join(resolvedOutputDir, "404.html");
-      if (!fs.existsSync(notFoundPath)) {
-        fs.writeFileSync(
-          notFoundPath, 
+
+      for (const [tree, treeContext] of treeContexts) {
+        const treeRedirects = Array.from(bySource.values())
+          .filter(item => item.tree === tree)
+          .map(item => item.redirect);
+        writeRedirects(treeContext.outputDir, treeRedirects, {
+          siteUrl: locales.split ? tree.baseUrl : siteUrl,
+          ...redirectOptions,
+          logger
+        });
+      }
+      manifest.redirects = Array.from(bySource.keys()).sort();
+      results.redirects = bySource.size;
+    }
+
+    // Create 404 pages: one per tree, and one per prefixed locale
+    onProgress(95, 100, 'Creating 404 page...');
+    const notFoundPages = new Map();
+    const notFoundLocales = localeConfig ? Object.keys(localeConfig) : [null];
+
+    for (const locale of notFoundLocales) {
+      const tree = locales.treeForLocale(locale);
+      const prefix = normalizePrefix(localeConfig?.[locale]?.prefix);
+      const notFoundPath = path.join(treeContexts.get(tree).outputDir, prefix, '404.html');
+
+      const html = await fetchNotFoundPage(`${previewUrl}${prefix}/404`, previewHeaders(locales, tree), retries, { fetch: renderFetch, logger });
+      if (html) {
+        fs.mkdirSync(path.dirname(notFoundPath), { recursive: true });
+        writeOutputFile(notFoundPath, html);
+      } else if (!prefix && !fs.existsSync(notFoundPath)) {
+        writeOutputFile(
+          notFoundPath,
           "<!doctype html><meta charset='utf-8'><title>Not found</title><h1>404</h1>"
         );
       }
+
+      if (fs.existsSync(notFoundPath)) {
+        notFoundPages.set(locale, path.relative(stagingDir, notFoundPath).split(path.sep).join('/'));
+      }
     }
 
-    onProgress(100, 100, 'Export complete!');
+    // Sitemap and robots.txt, per tree
+    const sitemapFilesByTree = new Map();
+
+    // Draft previews are never meant to be indexed
+    if (sitemap && !isDraft) {
+      onProgress(97, 100, 'Writing sitemap...');
+
+      const records = buildSitemapRecords(manifest.pages, {
+        localeConfig,
+        siteUrl,
+        pathOf: urlPath => locales.pathInTree(urlPath)
+      });
+
+      for (const [tree, treeContext] of treeContexts) {
+        if (!tree.baseUrl) {
+          logger.warn(`⚠️ Skipping sitemap.xml${locales.split ? ` for ${tree.name}` : ''}: ` +
+            'set siteUrl (or baseUrl in localeConfig) to generate it', { event: 'sitemap.skipped' });
+          continue;
+        }
+
+        const treeRecords = locales.split
+          ? records.filter(record => locales.treeForLocale(record.locale) === tree)
+          : records;
+        const files = writeSitemapXml(treeContext.outputDir, treeRecords, {
+          sitemapBaseUrl: tree.baseUrl,
+          maxUrlsPerFile: sitemap.maxUrlsPerFile
+        });
+        sitemapFilesByTree.set(tree, files);
+        results.sitemapFiles.push(...files.map(file => (locales.split ? `${tree.name}/${file}` : file)));
+      }
+    }
+
+    const hasCustomRobots = assetsDir && fs.existsSync(path.join(assetsDir, 'robots.txt'));
+    for (const [tree, treeContext] of treeContexts) {
+      if (isDraft) {
+        writeRobotsTxt(treeContext.outputDir, { allow: [], disallow: ['/'] });
+      } else if (robots && !(hasCustomRobots && options.robots === undefined)) {
+        const sitemapUrl = sitemapFilesByTree.has(tree) ? `${tree.baseUrl}/sitemap.xml` : null;
+        writeRobotsTxt(treeContext.outputDir, robots === true ? {} : robots, sitemapUrl);
+      }
+    }
+
+    for (const treeContext of treeContexts.values()) {
+      await runHook(processors, 'afterExport', treeContext);
+    }
+
+    if (validate) {
+      onProgress(98, 100, 'Validating links...');
+
+      const linkCheckOptions = validate === true ? {} : validate;
+      results.validation = validateSite(stagingDir, { localeConfig, siteUrl, validate, reportsDir }, locales);
+
+      if (linkCheckOptions.failOnBroken) {
+        for (const { target, kind, referrers } of results.validation.broken) {
+          results.errors.push({ url: target, error: `Broken ${kind}`, referrers });
+        }
+      }
+    }
+
+    if (localeConfig) {
+      results.locales = summarizeLocales(localeConfig, locales, {
+        outputDir: resolvedOutputDir,
+        pages: manifest.pages,
+        renderedUrls: processedUrls,
+        errors: results.errors,
+        notFoundPages,
+        sitemapFilesByTree
+      });
+    }
 
     if (results.errors.length > 0) {
       results.success = false;
     }
 
+    // Only replace the live output when enough pages made it
+    const attempted = results.pagesRendered + results.errors.length;
+    const successRate = attempted === 0 ? 1 : results.pagesRendered / attempted;
+
+    if (successRate >= successThreshold) {
+      onProgress(99, 100, 'Swapping output into place...');
+      results.previousOutputDir = swapIntoPlace(stagingDir, resolvedOutputDir, { keepPrevious });
+      results.swapped = true;
+      // Only the live build has a manifest: a build left in staging is started over
+      saveManifest(reportsDir, manifest, { build: path.basename(currentBuild(resolvedOutputDir)) });
+
+      if (deploy) {
+        onProgress(99, 100, 'Deploying...');
+
+        try {
+          results.deploy = await deployOutput(resolvedOutputDir, deploy, {
+            deployTargets: options.deployTargets,
+            dryRun: options.deployDryRun,
+            log: message => logger.info(message, { event: 'deploy' })
+          });
+        } catch (error) {
+          results.success = false;
+          results.errors.push({ url: null, error: `Deploy failed: ${error.message}`, referrers: [] });
+        }
+      }
+    } else {
+      results.success = false;
+      results.stagingDir = stagingDir;
+      results.errors.push({
+        url: null,
+        error: `Only ${Math.round(successRate * 100)}% of pages succeeded ` +
+          `(threshold ${Math.round(successThreshold * 100)}%); ${resolvedOutputDir} was left unchanged`,
+        referrers: []
+      });
+    }
+
+    if (buildReport) {
+      writeBuildReport(reportsDir, report, results);
+    }
+
+    onProgress(100, 100, 'Export complete!');
+
     return results;
   } finally {
-    shutdown();
+    previewServer?.stop();
+  }
+}
+
+/**
+ * Every URL an export renders, as sitemap entries (`{ url, source, type,
+ * locale, ... }`): pages, pieces and computed listings of each locale, with
+ * locale prefixes applied and domain locales placed in their output tree.
+ *
+ * @param {Object} options - exportStatic options; uses aposHost, aposKey,
+ *   localeConfig, pieceTypes, mode, pagination, siteUrl and the log options
+ * @returns {Promise<Array<Object>>} Sorted by URL
+ */
+export async function discoverEntries(options, locales) {
+  options = await loadLocaleConfig(options);
+  locales ||= createLocaleLayout(options.localeConfig, options);
+  const { aposHost, aposKey, localeConfig, pieceTypes, mode = 'published', pagination } = options;
+  const logger = loggerFor(options);
+
+  if (!localeConfig) {
+    return generateSitemapEntries({ aposHost, aposKey, pieceTypes, mode, pagination, logger });
   }
+
+  const byUrl = new Map();
+
+  for (const [locale, config] of Object.entries(localeConfig)) {
+    const entries = await generateSitemapEntries({
+      aposHost,
+      aposKey,
+      locale,
+      pieceTypes,
+      mode,
+      pagination,
+      logger
+    });
+
+    // Warn if configured prefix doesn't match what Apostrophe actually emits
+    validateLocalePrefix(entries.map(entry => entry.url), config.prefix, locale, logger);
+    // Apply locale prefix if configured, then place domain locales in their tree
+    for (const entry of placeInTree(applyLocalePrefix(entries, config.prefix), locales.treeForLocale(locale))) {
+      if (!byUrl.has(entry.url)) byUrl.set(entry.url, entry);
+    }
+  }
+
+  return Array.from(byUrl.values()).sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
 }
 
-function validateLocalePrefix(urls, localePrefix, locale) {
+/**
+ * Check the links of an exported site (see validateOutput), one output tree
+ * at a time when locales live on their own domains. Each tree counts its
+ * siteUrl/baseUrl origins as internal and gets its own report, in a
+ * subdirectory of the reports directory named after the tree.
+ *
+ * @param {string} outputDir - The export's output directory
+ * @param {Object} options - exportStatic options; uses localeConfig, siteUrl,
+ *   validate and reportsDir (the reports go to `validate.reportDir` when set)
+ * @returns {{ pagesChecked, referencesChecked, broken, reportDir }} Targets and referrers as
+ *   paths in outputDir; reportDir is where the reports went (null when skipped)
+ */
+export function validateSite(outputDir, options = {}, locales = createLocaleLayout(options.localeConfig, options)) {
+  const { localeConfig, siteUrl, validate } = options;
+  const linkCheckOptions = typeof validate === 'object' ? validate : {};
+  const reportDir = linkCheckOptions.reportDir === false
+    ? false
+    : getReportsDir(outputDir, linkCheckOptions.reportDir ?? options.reportsDir);
+  const validation = { pagesChecked: 0, referencesChecked: 0, broken: [], reportDir: reportDir || null };
+
+  for (const tree of locales.trees) {
+    const internalOrigins = [
+      tree === locales.trees[0] ? siteUrl : null,
+      ...tree.locales.map(locale => localeConfig?.[locale]?.baseUrl)
+    ].filter(Boolean);
+
+    const summary = validateOutput(locales.split ? path.join(outputDir, tree.name) : outputDir, {
+      internalOrigins,
+      ...linkCheckOptions,
+      // One report per tree
+      reportDir: reportDir && locales.split ? path.join(reportDir, tree.name) : reportDir
+    });
+
+    validation.pagesChecked += summary.pagesChecked;
+    validation.referencesChecked += summary.referencesChecked;
+    validation.broken.push(...summary.broken.map(item => (locales.split
+      ? { ...item, target: tree.prefix + item.target, referrers: item.referrers.map(referrer => tree.prefix + referrer) }
+      : item)));
+  }
+
+  return validation;
+}
+
+/** Headers telling the frontend which domain a page of a domain locale is rendered for */
+function previewHeaders(locales, tree) {
+  if (!locales.split || !tree.baseUrl) return {};
+
+  const { host, protocol } = new URL(tree.baseUrl);
+  return { 'X-Forwarded-Host': host, 'X-Forwarded-Proto': protocol.slice(0, -1) };
+}
+
+/**
+ * HTML of the frontend's 404 page (served with a 404 or 200 status), or null.
+ */
+async function fetchNotFoundPage(url, headers, retries, settings) {
+  try {
+    const response = await fetchWithRetry(url, { headers }, 30000, retries, { ...settings, acceptStatus: [404] });
+    return (response.headers.get('content-type') || '').includes('text/html') ? await response.text() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Domain locales are exported into their tree's subdirectory: prefix their
+ * URLs with it, and render them from the path they have on their domain.
+ */
+function placeInTree(entries, tree) {
+  if (!tree.prefix) return entries;
+
+  return entries.map(entry => ({
+    ...entry,
+    url: tree.prefix + entry.url,
+    renderUrl: entry.renderUrl || entry.url
+  }));
+}
+
+/** Per-locale part of the results */
+function summarizeLocales(localeConfig, locales, { outputDir, pages, renderedUrls, errors, notFoundPages, sitemapFilesByTree }) {
+  const summary = {};
+
+  for (const [locale, config] of Object.entries(localeConfig)) {
+    const tree = locales.treeForLocale(locale);
+    summary[locale] = {
+      outputDir: locales.split ? path.join(outputDir, tree.name) : outputDir,
+      baseUrl: config.baseUrl || null,
+      pagesRendered: 0,
+      errors: 0,
+      notFoundPage: notFoundPages.get(locale) || null,
+      sitemapFiles: sitemapFilesByTree.get(tree) || []
+    };
+  }
+
+  for (const url of renderedUrls) {
+    const locale = pages[url]?.locale ?? locales.localeFor(url);
+    if (summary[locale]) summary[locale].pagesRendered++;
+  }
+
+  for (const error of errors) {
+    const locale = error.url ? locales.localeFor(error.url) : null;
+    if (summary[locale]) summary[locale].errors++;
+  }
+
+  return summary;
+}
+
+function normalizeLinkPath(link) {
+  // aposMode only selects the draft version while exporting
+  link = link.replace(/([?&])aposMode=[^&]*&?/, '$1').replace(/[?&]$/, '');
+
+  const [pathname, search] = link.split('?');
+
+  if (pathname.endsWith('/') || /\.[a-z0-9]+$/i.test(pathname)) {
+    return link;
+  }
+
+  return pathname + '/' + (search !== undefined ? `?${search}` : '');
+}
+
+function validateLocalePrefix(urls, localePrefix, locale, logger) {
   if (!localePrefix || !Array.isArray(urls) || urls.length === 0) return;
 
   // Normalize "/de/" -> "de"
@@ -275,28 +940,49 @@ function validateLocalePrefix(urls, localePrefix, locale) {
   }
   const guess = [...firstSegFreq.entries()].sort((a, b) => b[1] - a[1])[0]?.[0];
 
-  console.warn(
+  logger.warn(
     `⚠️ Locale prefix mismatch for "${locale}": configured "${localePrefix}", ` +
-    `but sitemap URLs don’t appear under that path${guess ? ` (common segment observed: "/${guess}")` : ''}.`
+    `but sitemap URLs don’t appear under that path${guess ? ` (common segment observed: "/${guess}")` : ''}.`,
+    { event: 'locale.prefix-mismatch', locale, prefix: localePrefix }
   );
 }
 
 
-function applyLocalePrefix(urls, localePrefix) {
-  if (!localePrefix) return urls;
+function applyLocalePrefix(entries, localePrefix) {
+  if (!localePrefix) return entries;
 
-  return urls.map(url => {
-    if (url.startsWith(localePrefix + '/') || url === localePrefix) {
-      return url;
-    }
+  return entries.map(entry => ({
+    ...entry,
+    url: prefixUrl(entry.url, localePrefix),
+    ...(entry.renderUrl ? { renderUrl: prefixUrl(entry.renderUrl, localePrefix) } : {})
+  }));
+}
 
-    if (url === '/') {
-      return localePrefix + '/';
-    }
+function prefixUrl(url, localePrefix) {
+  if (url.startsWith(localePrefix + '/') || url === localePrefix) {
+    return url;
+  }
+
+  if (url === '/') {
+    return localePrefix + '/';
+  }
 
-    return localePrefix + url;
-  });
+  return localePrefix + url;
 }
 
-export { generateSitemap } from "./sitemap.js";
+export { generateSitemap, generateSitemapEntries } from "./sitemap.js";
+export { createLocaleLayout } from "./locales.js";
+export { resolveConfig, validateOptions, loadConfigFile, parseCliArgs, OPTION_SCHEMA } from "./config.js";
+export { initConfig, probeBackend } from "./init.js";
+export { builtinProcessorNames, createPage } from "./pipeline.js";
+export { validateOutput, formatValidationReport } from "./validate.js";
+export { listPreviousBuilds, rollbackOutput, resolveOutputDir, cleanOutput, currentBuild } from "./output.js";
+export { writeOutputFile, copyOutputFile } from "./utils.js";
+export { fetchRedirects, writeRedirects, REDIRECT_FORMATS } from "./redirects.js";
+export { deployOutput, resolveDeployTarget, builtinDeployAdapters, listDeployFiles } from "./deploy/index.js";
+export { serveHooks, createHookServer, signPayload, verifySignature } from "./hooks-server.js";
+export { serveStatic, createStaticServer } from "./serve.js";
+export { createLogger, LOG_LEVELS, LOG_FORMATS } from "./logger.js";
+export { BUILD_REPORT_FILENAME } from "./build-report.js";
+export { generateListingEntries, expandListingTemplate, DEFAULT_LISTING_TEMPLATES } from "./pagination.js";
 export * from "./processors/index.js";
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Config Scaffolding
+ *
+ * `apos-astro-static init` asks the backend what it serves and writes a
+ * starting configuration file:
+ * - checks that the API key can read pages
+ * - piece types with public URLs (the same discovery exports use)
+ * - locales of the i18n module, as a localeConfig
+ * - whether the redirect and form modules are installed
+ *
+ * The API key is never written to the file; it comes from
+ * APOS_EXTERNAL_FRONT_KEY when the export runs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchWithTimeout } from './utils.js';
+import { discoverPieceTypes } from './sitemap.js';
+
+async function probeJson(url, headers) {
+  try {
+    const response = await fetchWithTimeout(url, { headers }, 15000);
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** localeConfig from the locales of @apostrophecms/i18n, or null for a single locale */
+function toLocaleConfig(locales) {
+  if (!locales || typeof locales !== 'object' || Object.keys(locales).length < 2) return null;
+
+  return Object.fromEntries(Object.entries(locales).map(([name, locale]) => [name, {
+    ...(locale.hostname ? { baseUrl: `https://${locale.hostname}${locale.prefix || ''}` } : {}),
+    prefix: locale.prefix || '',
+    ...(locale._default ? { default: true } : {})
+  }]));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.aposHost
+ * @param {string} options.aposKey
+ * @returns {Promise<{ pieceTypes: string[], localeConfig: Object|null, redirects: boolean, forms: boolean }>}
+ */
+export async function probeBackend({ aposHost, aposKey }) {
+  const headers = { 'APOS-EXTERNAL-FRONT-KEY': aposKey };
+  let response;
+
+  try {
+    response = await fetchWithTimeout(`${aposHost}/api/v1/@apostrophecms/page?all=1&flat=1&published=1`, { headers });
+  } catch (error) {
+    throw new Error(`Could not reach ApostropheCMS at ${aposHost}: ${error.message}`);
+  }
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`ApostropheCMS at ${aposHost} refused the API key (${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`ApostropheCMS at ${aposHost} answered ${response.status} ${response.statusText} for the page API`);
+  }
+
+  const [pieceTypes, locales, redirects, forms] = await Promise.all([
+    discoverPieceTypes(aposHost, headers),
+    probeJson(`${aposHost}/api/v1/@apostrophecms/i18n/locales`, headers),
+    probeJson(`${aposHost}/api/v1/@apostrophecms/redirect?perPage=1`, headers),
+    probeJson(`${aposHost}/api/v1/@apostrophecms/form?perPage=1`, headers)
+  ]);
+
+  return {
+    pieceTypes,
+    localeConfig: toLocaleConfig(locales),
+    redirects: Boolean(redirects),
+    forms: Boolean(forms)
+  };
+}
+
+function toSource(value, indent = '') {
+  const inner = `${indent}  `;
+
+  if (Array.isArray(value)) {
+    return `[${value.map(item => toSource(item, inner)).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, item]) =>
+      `${inner}${/^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`}: ${toSource(item, inner)}`
+    );
+    return entries.length > 0 ? `{\n${entries.join(',\n')}\n${indent}}` : '{}';
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  }
+  return String(value);
+}
+
+/** The options written for a probed backend */
+export function scaffoldOptions(probe, { aposHost }) {
+  const defaultLocale = probe.localeConfig &&
+    (Object.values(probe.localeConfig).find(locale => locale.default) || Object.values(probe.localeConfig)[0]);
+
+  return {
+    aposHost,
+    outputDir: 'static-dist',
+    ...(defaultLocale?.baseUrl ? { siteUrl: new URL(defaultLocale.baseUrl).origin } : {}),
+    ...(probe.pieceTypes.length > 0 ? { pieceTypes: probe.pieceTypes } : {}),
+    ...(probe.localeConfig ? { localeConfig: probe.localeConfig } : {}),
+    ...(probe.redirects ? { redirects: true } : {}),
+    profiles: {
+      staging: { outputDir: 'static-dist-staging', robots: { disallow: ['/'] } },
+      draft: { mode: 'draft' }
+    }
+  };
+}
+
+/** Config file contents: a commented ES module, or JSON for .json files */
+export function renderConfigFile(options, { file, probe }) {
+  if (file.endsWith('.json')) {
+    return JSON.stringify(options, null, 2) + '\n';
+  }
+
+  const { profiles, ...base } = options;
+  const lines = Object.entries(base).map(([key, value]) => `  ${key}: ${toSource(value, '  ')},`);
+
+  if (!base.siteUrl) {
+    lines.push("  // Public site URL, used for sitemap.xml and robots.txt", "  // siteUrl: 'https://example.com',");
+  }
+  if (probe.forms) {
+    lines.push("  // Apostrophe forms were found: make them submit without the CMS", "  // forms: 'netlify',");
+  }
+  lines.push(
+    '  // Picked with --profile=<name> (or APOS_STATIC_PROFILE)',
+    `  profiles: ${toSource(profiles, '  ')}`
+  );
+
+  return `/**
+ * Apostrophe Astro Static configuration
+ *
+ * Generated by \`apos-astro-static init\`. The API key is read from
+ * APOS_EXTERNAL_FRONT_KEY; APOS_STATIC_* variables and command line
+ * options override what is set here.
+ */
+
+export default {
+${lines.join('\n')}
+};
+`;
+}
+
+/**
+ * Probe the backend and write a config file.
+ *
+ * @param {Object} options
+ * @param {string} options.aposHost
+ * @param {string} options.aposKey
+ * @param {string} [options.file='apos-static.config.js'] - .js, .mjs or .json
+ * @param {boolean} [options.force=false] - Overwrite an existing file
+ * @returns {Promise<{ file: string, options: Object, probe: Object }>}
+ */
+export async function initConfig({ aposHost, aposKey, file = 'apos-static.config.js', force = false }) {
+  const fullPath = path.resolve(file);
+
+  if (!/\.(m?js|json)$/.test(fullPath)) {
+    throw new Error(`Config file ${file} must end in .js, .mjs or .json`);
+  }
+  if (fs.existsSync(fullPath) && !force) {
+    throw new Error(`${file} already exists (use --force to overwrite it)`);
+  }
+
+  const probe = await probeBackend({ aposHost, aposKey });
+  const options = scaffoldOptions(probe, { aposHost });
+
+  fs.writeFileSync(fullPath, renderConfigFile(options, { file: fullPath, probe }));
+
+  return { file: fullPath, options, probe };
+}
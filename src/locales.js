@@ -0,0 +1,142 @@
+/**
+ * Locale Output Layout
+ *
+ * Groups the locales of a localeConfig by the domain of their `baseUrl`.
+ * Locales on one domain (told apart by `prefix`) share an output tree, as
+ * before. When some locales live on their own domains, every domain gets
+ * its own tree in a subdirectory of the output, named after its first
+ * locale (or the locale's `outputDir`):
+ *
+ *   static-dist/en/   example.com (en, and es under /es/)
+ *   static-dist/fr/   example.fr
+ *
+ * While exporting, a page of a domain tree is addressed by its path inside
+ * the output (`/fr/about/`); `pathInTree` gives the path it has on its
+ * domain (`/about/`).
+ */
+
+import { getDefaultLocale, toAbsoluteUrl } from './sitemap-xml.js';
+
+/** A locale prefix as `/fr`, or '' for none */
+export function normalizePrefix(prefix) {
+  const trimmed = String(prefix || '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+function hostOf(baseUrl) {
+  try {
+    return new URL(baseUrl).host;
+  } catch {
+    throw new Error(`Invalid baseUrl "${baseUrl}" in localeConfig`);
+  }
+}
+
+/**
+ * @param {Object|null} localeConfig
+ * @param {Object} [options]
+ * @param {string} [options.siteUrl]
+ * @returns {{ split: boolean, trees: Array<Object>, treeFor(urlPath), treeForLocale(locale),
+ *   pathInTree(urlPath), localeFor(urlPath), absoluteUrl(urlPath, locale?) }}
+ */
+export function createLocaleLayout(localeConfig, { siteUrl } = {}) {
+  if (typeof localeConfig === 'string') {
+    throw new Error(`localeConfig is a file path (${localeConfig}): load it first (loadConfigFile)`);
+  }
+
+  const defaultLocale = getDefaultLocale(localeConfig);
+  const groups = new Map();
+
+  // The default locale's domain comes first; locales without a baseUrl share it
+  const locales = localeConfig
+    ? [defaultLocale, ...Object.keys(localeConfig).filter(locale => locale !== defaultLocale)]
+    : [null];
+  const defaultBaseUrl = localeConfig?.[defaultLocale]?.baseUrl;
+  const defaultHost = defaultBaseUrl ? hostOf(defaultBaseUrl) : null;
+
+  for (const locale of locales) {
+    const config = localeConfig?.[locale] || {};
+    const host = config.baseUrl ? hostOf(config.baseUrl) : defaultHost;
+
+    if (!groups.has(host)) groups.set(host, []);
+    groups.get(host).push(locale);
+  }
+
+  const split = groups.size > 1;
+  const names = new Set();
+
+  const trees = Array.from(groups.entries(), ([host, treeLocales], index) => {
+    const configs = treeLocales.map(locale => localeConfig?.[locale] || {});
+    const name = configs.find(config => config.outputDir)?.outputDir || treeLocales[0] || '';
+
+    if (split) {
+      if (!/^[\w.-]+$/.test(name) || name === '.' || name === '..') {
+        throw new Error(`Locale outputDir "${name}" must be a single directory name`);
+      }
+      if (names.has(name)) {
+        throw new Error(`Two locale domains export into the same directory "${name}"`);
+      }
+      names.add(name);
+    }
+
+    // The public root of the domain: siteUrl, or the baseUrl of its unprefixed locale
+    const rootLocale = treeLocales.find(locale => !normalizePrefix(localeConfig?.[locale]?.prefix));
+    let baseUrl = index === 0 ? siteUrl : null;
+    if (!baseUrl && !split) {
+      baseUrl = toAbsoluteUrl('/', { locale: defaultLocale, localeConfig });
+    } else if (!baseUrl && host) {
+      baseUrl = localeConfig[rootLocale]?.baseUrl || new URL(configs.find(config => config.baseUrl).baseUrl).origin;
+    }
+
+    return {
+      name,
+      // Path of the tree inside the output ('' when there is a single tree)
+      prefix: split ? `/${name}` : '',
+      host,
+      baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : null,
+      locales: treeLocales,
+      // Locale prefixes inside the tree, longest first
+      localePrefixes: treeLocales
+        .filter(Boolean)
+        .map(locale => ({ locale, prefix: normalizePrefix(localeConfig[locale].prefix) }))
+        .sort((a, b) => b.prefix.length - a.prefix.length)
+    };
+  });
+
+  const treeByLocale = new Map(trees.flatMap(tree => tree.locales.map(locale => [locale, tree])));
+
+  function treeFor(urlPath) {
+    if (!split) return trees[0];
+    return trees.find(tree => urlPath === tree.prefix || urlPath.startsWith(`${tree.prefix}/`)) || trees[0];
+  }
+
+  function pathInTree(urlPath) {
+    const { prefix } = treeFor(urlPath);
+    return prefix ? urlPath.slice(prefix.length) || '/' : urlPath;
+  }
+
+  function localeFor(urlPath) {
+    const tree = treeFor(urlPath);
+    const pathname = pathInTree(urlPath);
+    const match = tree.localePrefixes.find(({ prefix }) =>
+      !prefix || pathname === prefix || pathname.startsWith(`${prefix}/`)
+    );
+    return match?.locale ?? null;
+  }
+
+  return {
+    split,
+    trees,
+    treeFor,
+    pathInTree,
+    localeFor,
+
+    treeForLocale(locale) {
+      return treeByLocale.get(locale) || trees[0];
+    },
+
+    /** Public URL of a page, from its locale's baseUrl (or siteUrl) */
+    absoluteUrl(urlPath, locale = localeFor(urlPath)) {
+      return toAbsoluteUrl(pathInTree(urlPath), { locale, localeConfig, siteUrl });
+    }
+  };
+}
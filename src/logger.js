@@ -0,0 +1,92 @@
+/**
+ * Logger
+ *
+ * Everything an export reports goes through one logger, so CI runs can
+ * turn the output down or parse it:
+ * - levels: error, warn, info, debug ('silent' reports nothing)
+ * - 'text' prints messages as they are, warnings and errors on stderr
+ * - 'json' writes one object per line (NDJSON) on stdout:
+ *   `{ time, level, event, message, ...fields }`
+ *
+ * Each call takes a message and optional fields naming the event and its
+ * details (`{ event: 'page.rendered', url, duration, bytes }`); text output
+ * only shows the message. JSON output defaults to the debug level, so it
+ * includes the per-page events.
+ */
+
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+export const LOG_FORMATS = ['text', 'json'];
+
+const CONSOLE_METHODS = { error: 'error', warn: 'warn', info: 'log', debug: 'log' };
+
+/** A message without its leading emoji and indentation */
+function plainMessage(message) {
+  return String(message).replace(/^[\s\p{Extended_Pictographic}\uFE0F✓]+/u, '').trim();
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.level] - One of LOG_LEVELS (default: info, debug for json)
+ * @param {string} [options.format='text'] - 'text' or 'json'
+ * @returns {Object} `{ error, warn, info, debug, child, enabled, level, format }`
+ */
+export function createLogger({ format = 'text', level = format === 'json' ? 'debug' : 'info' } = {}) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format "${format}" (use ${LOG_FORMATS.join(' or ')})`);
+  }
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (use ${LOG_LEVELS.join(', ')})`);
+  }
+
+  const threshold = LOG_LEVELS.indexOf(level);
+  const enabled = entryLevel => LOG_LEVELS.indexOf(entryLevel) <= threshold;
+
+  function write(entryLevel, message, fields) {
+    if (format === 'json') {
+      const { event = 'log', ...details } = fields;
+      console.log(JSON.stringify({
+        time: new Date().toISOString(),
+        level: entryLevel,
+        event,
+        message: plainMessage(message),
+        ...details
+      }));
+    } else {
+      console[CONSOLE_METHODS[entryLevel]](message);
+    }
+  }
+
+  /**
+   * A logger adding `bound` fields to every entry; warnings and errors are
+   * also collected into `warnings` (as plain messages) when given, whatever
+   * the level.
+   */
+  function bind(bound, warnings) {
+    const logger = { level, format, enabled };
+
+    for (const entryLevel of Object.keys(CONSOLE_METHODS)) {
+      logger[entryLevel] = (message, fields = {}) => {
+        if (warnings && (entryLevel === 'warn' || entryLevel === 'error')) {
+          warnings.push(plainMessage(message));
+        }
+        if (enabled(entryLevel)) write(entryLevel, message, { ...bound, ...fields });
+      };
+    }
+
+    logger.child = (fields = {}, options = {}) => bind({ ...bound, ...fields }, options.warnings || warnings);
+
+    return logger;
+  }
+
+  return bind({}, null);
+}
+
+/** Used by functions called without a logger: text, info level */
+export const defaultLogger = createLogger();
+
+/** The `logger` option, or one built from `logLevel` and `logFormat` */
+export function loggerFor(options = {}) {
+  if (options.logger) return options.logger;
+  if (!options.logLevel && !options.logFormat) return defaultLogger;
+  return createLogger({ format: options.logFormat, level: options.logLevel });
+}
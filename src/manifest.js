@@ -0,0 +1,189 @@
+/**
+ * Render Manifest
+ *
+ * Records what was written during an export so the next run can be
+ * incremental:
+ * - Source document (`_id`, `type`, `updatedAt`) for each URL
+ * - Content hash of the written HTML
+ * - Internal links found on each page (used to find dependent pages)
+ *
+ * It lives in the reports directory, outside the served output, and names
+ * the build it describes: after a rollback it no longer matches the live
+ * build and the next incremental export starts over.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { outputPathForUrl, writeOutputFile } from './utils.js';
+
+export const MANIFEST_FILENAME = '.apos-static-manifest.json';
+const MANIFEST_VERSION = 1;
+
+export function createManifest() {
+  return {
+    version: MANIFEST_VERSION,
+    generatedAt: null,
+    build: null,
+    pages: {}
+  };
+}
+
+/**
+ * The manifest in dir, or null when there is none, it is unreadable or it
+ * describes another build than `build` (when given).
+ */
+export function loadManifest(dir, { build } = {}) {
+  const manifestPath = path.join(dir, MANIFEST_FILENAME);
+  if (!fs.existsSync(manifestPath)) return null;
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    if (manifest?.version !== MANIFEST_VERSION || typeof manifest.pages !== 'object') {
+      return null;
+    }
+    if (build !== undefined && manifest.build !== build) return null;
+    return manifest;
+  } catch {
+    return null;
+  }
+}
+
+/** Write the manifest into dir, recording the name of the build it describes */
+export function saveManifest(dir, manifest, { build = null } = {}) {
+  const manifestPath = path.join(dir, MANIFEST_FILENAME);
+  manifest.generatedAt = new Date().toISOString();
+  manifest.build = build;
+  writeOutputFile(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Compare sitemap entries against the previous manifest.
+ *
+ * Returns the URLs that must be rendered (new or changed documents, pages
+ * whose output is missing, pages linking to changed or removed documents
+ * and the index pages listing added or removed pieces), the URLs whose
+ * output is still current, and the URLs of documents that were removed or
+ * unpublished.
+ *
+ * `changedUrls` are treated as changed even when their `updatedAt` is not
+ * (e.g. reported by a webhook for a change that doesn't touch the document).
+ * `indexTypeFor(pieceType)` names the page type listing a piece type.
+ */
+export function planIncrementalBuild(manifest, entries, outputDir, {
+  changedUrls = [],
+  indexTypeFor = pieceType => `${pieceType}-page`
+} = {}) {
+  const previousPages = manifest?.pages || {};
+  const currentUrls = new Set(entries.map(entry => entry.url));
+  const reported = new Set(changedUrls);
+
+  const render = new Set();
+  const changed = new Set();
+  const added = [];
+
+  for (const entry of entries) {
+    const previous = previousPages[entry.url];
+
+    if (!previous) {
+      render.add(entry.url);
+      added.push(entry);
+    } else if (reported.has(entry.url) ||
+      // Stored as null when the entry has none (the fallback homepage, documents without updatedAt)
+      (previous.id || null) !== (entry._id || null) ||
+      (previous.updatedAt || null) !== (entry.updatedAt || null)) {
+      render.add(entry.url);
+      changed.add(entry.url);
+    } else if (!fs.existsSync(outputPathForUrl(outputDir, entry.url))) {
+      render.add(entry.url);
+    }
+  }
+
+  // Documents that disappeared from the CMS. Crawled URLs (no `id`) are not
+  // in the sitemap to begin with: the export prunes those no page links to
+  // any more once it has crawled (see findUnreachablePages)
+  const removed = new Set(
+    Object.entries(previousPages)
+      .filter(([url, page]) => page.id && !currentUrls.has(url))
+      .map(([url]) => url)
+  );
+
+  for (const url of removed) {
+    changed.add(url);
+  }
+
+  for (const [url, page] of Object.entries(previousPages)) {
+    if (removed.has(url) || render.has(url)) continue;
+
+    if ((page.links || []).some(link => changed.has(link))) {
+      render.add(url);
+      continue;
+    }
+
+    if (!page.id && !fs.existsSync(outputPathForUrl(outputDir, url))) {
+      render.add(url);
+    }
+  }
+
+  // Added and removed pieces shift the listings of their index page (and the
+  // crawled variants of it, `/blog/?page=2`), which must be re-rendered
+  const shifted = [
+    ...added.map(entry => ({ url: entry.url, type: entry.type })),
+    ...Array.from(removed, url => ({ url, type: previousPages[url].type }))
+  ];
+
+  for (const piece of shifted) {
+    if (!piece.type) continue;
+    const indexType = indexTypeFor(piece.type);
+
+    for (const parentUrl of Object.keys(previousPages)) {
+      if (removed.has(parentUrl)) continue;
+
+      const parentPath = parentUrl.split('?')[0];
+      const base = parentPath.endsWith('/') ? parentPath : `${parentPath}/`;
+      if (parentPath === piece.url || !piece.url.startsWith(base)) continue;
+
+      if (previousPages[parentPath]?.type === indexType) {
+        render.add(parentUrl);
+      }
+    }
+  }
+
+  const unchanged = new Set(
+    Object.keys(previousPages).filter(url => !render.has(url) && !removed.has(url))
+  );
+
+  return { render, unchanged, removed: Array.from(removed) };
+}
+
+/**
+ * Crawled pages (no `id`) that can no longer be reached by following links
+ * from the sitemap entries, such as a `?page=4` that dropped off a listing.
+ * Links of pages missing from `manifest` (they failed this run) are taken
+ * from `previousManifest`.
+ *
+ * @returns {string[]}
+ */
+export function findUnreachablePages(manifest, entryUrls, previousManifest = null) {
+  const reached = new Set();
+  const queue = [...entryUrls];
+
+  while (queue.length > 0) {
+    const url = queue.pop();
+    if (reached.has(url)) continue;
+    reached.add(url);
+
+    const page = manifest.pages[url] || previousManifest?.pages[url];
+    for (const link of page?.links || []) {
+      if (!reached.has(link)) queue.push(link);
+    }
+  }
+
+  return Object.entries(manifest.pages)
+    .filter(([url, page]) => !page.id && !reached.has(url))
+    .map(([url]) => url);
+}
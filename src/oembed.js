@@ -0,0 +1,236 @@
+/**
+ * oEmbed Lookups
+ *
+ * Resolves video URLs to oEmbed data for the video widget processor:
+ * - Identical URLs are looked up once per run
+ * - Results persist in a JSON cache between runs (and stale entries are
+ *   used when a refresh fails)
+ * - YouTube and Vimeo embeds can be generated from the URL alone, as a
+ *   fallback when the CMS request fails or always ('always'), so builds
+ *   work without network access to the providers
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchWithRetry } from './utils.js';
+import { defaultLogger } from './logger.js';
+
+export const DEFAULT_OEMBED_CACHE_FILE = path.join('node_modules', '.cache', 'apos-astro-static', 'oembed.json');
+const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const CACHE_VERSION = 1;
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/** YouTube `t`/`start` values ("90", "90s", "1m30s", "1h2m3s") in seconds */
+function parseStartTime(value) {
+  if (!value) return 0;
+  if (/^\d+$/.test(value)) return Number(value);
+
+  const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+  return match ? Number(match[1] || 0) * 3600 + Number(match[2] || 0) * 60 + Number(match[3] || 0) : 0;
+}
+
+function iframeHtml(src, title) {
+  return `<iframe width="640" height="360" src="${escapeAttribute(src)}" title="${escapeAttribute(title)}" ` +
+    'frameborder="0" allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture" ' +
+    'allowfullscreen></iframe>';
+}
+
+/**
+ * oEmbed data for a YouTube or Vimeo URL, built without any request.
+ *
+ * @returns {Object|null} `{ type, provider_name, html, width, height, thumbnail_url? }`,
+ *   or null for other URLs
+ */
+export function offlineOembed(videoUrl, title = 'Video content') {
+  let url;
+  try {
+    url = new URL(videoUrl);
+  } catch {
+    return null;
+  }
+
+  const host = url.hostname.replace(/^(www|m)\./, '');
+
+  if (['youtube.com', 'youtu.be', 'youtube-nocookie.com'].includes(host)) {
+    const id = host === 'youtu.be'
+      ? url.pathname.slice(1).split('/')[0]
+      : url.searchParams.get('v') || url.pathname.match(/^\/(?:embed|shorts|live|v)\/([^/?#]+)/)?.[1];
+
+    if (!id || !/^[\w-]{6,}$/.test(id)) return null;
+
+    const start = parseStartTime(url.searchParams.get('t') || url.searchParams.get('start'));
+    const embedUrl = `https://www.youtube.com/embed/${id}${start ? `?start=${start}` : ''}`;
+
+    return {
+      type: 'video',
+      provider_name: 'YouTube',
+      html: iframeHtml(embedUrl, title),
+      width: 640,
+      height: 360,
+      thumbnail_url: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+    };
+  }
+
+  if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+    // vimeo.com/123, vimeo.com/123/hash (unlisted), vimeo.com/channels/x/123, player.vimeo.com/video/123
+    const segments = url.pathname.split('/').filter(Boolean);
+    const index = segments.findIndex(segment => /^\d+$/.test(segment));
+    if (index === -1) return null;
+
+    const id = segments[index];
+    const hash = url.searchParams.get('h') || (/^[\da-f]+$/i.test(segments[index + 1] || '') ? segments[index + 1] : null);
+    const embedUrl = `https://player.vimeo.com/video/${id}${hash ? `?h=${hash}` : ''}`;
+
+    return {
+      type: 'video',
+      provider_name: 'Vimeo',
+      html: iframeHtml(embedUrl, title),
+      width: 640,
+      height: 360
+    };
+  }
+
+  return null;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.aposHost
+ * @param {string} options.aposKey
+ * @param {number} [options.retries=3]
+ * @param {string|false} [options.cacheFile=DEFAULT_OEMBED_CACHE_FILE] - false keeps
+ *   results for this run only
+ * @param {string|false} [options.offline='fallback'] - 'fallback' generates YouTube/Vimeo
+ *   embeds when the CMS lookup fails, 'always' never asks the CMS for them, false never
+ * @param {number} [options.maxAge=30 days] - Milliseconds before a cached entry is refreshed
+ * @param {Object} [options.logger]
+ * @returns {{ get(videoUrl): Promise<Object|null>, save(): void, stats: Object }}
+ */
+export function createOembedClient({
+  aposHost,
+  aposKey,
+  retries = 3,
+  cacheFile = DEFAULT_OEMBED_CACHE_FILE,
+  offline = 'fallback',
+  maxAge = DEFAULT_MAX_AGE,
+  logger = defaultLogger
+}) {
+  if (![false, 'fallback', 'always'].includes(offline)) {
+    throw new Error(`oembedOffline must be 'fallback', 'always' or false (got '${offline}')`);
+  }
+
+  const cachePath = cacheFile ? path.resolve(cacheFile) : null;
+  const stats = { fetched: 0, cached: 0, offline: 0, failed: 0 };
+  const lookups = new Map();
+  let entries = {};
+  let dirty = false;
+
+  if (cachePath && fs.existsSync(cachePath)) {
+    try {
+      const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (cache.version === CACHE_VERSION) entries = cache.entries || {};
+    } catch {
+      logger.warn(`   ⚠️  Ignoring unreadable oEmbed cache ${cachePath}`, { event: 'cache.unreadable', file: cachePath });
+    }
+  }
+
+  async function fetchFromCms(videoUrl) {
+    const oembedUrl = `${aposHost}/api/v1/@apostrophecms/oembed/query?` +
+      new URLSearchParams({ url: videoUrl });
+
+    const response = await fetchWithRetry(
+      oembedUrl,
+      {
+        headers: {
+          'APOS-EXTERNAL-FRONT-KEY': aposKey
+        }
+      },
+      15000,
+      retries,
+      { logger }
+    );
+
+    return response.json();
+  }
+
+  async function lookup(videoUrl) {
+    const entry = entries[videoUrl];
+    if (entry && Date.now() - entry.fetchedAt < maxAge) {
+      stats.cached++;
+      return entry.data;
+    }
+
+    // Results are shared by every widget with this URL, so they carry no widget
+    // title: the video widget renderer sets it on each iframe
+    const generated = offline ? offlineOembed(videoUrl) : null;
+    if (generated && offline === 'always') {
+      stats.offline++;
+      return generated;
+    }
+
+    try {
+      const started = Date.now();
+      const data = await fetchFromCms(videoUrl);
+      if (data?.html) {
+        entries[videoUrl] = { data, fetchedAt: Date.now() };
+        dirty = true;
+        stats.fetched++;
+        logger.debug(`   📼 oEmbed for ${videoUrl}`, { event: 'oembed.fetched', url: videoUrl, duration: Date.now() - started });
+        return data;
+      }
+      throw new Error('response has no embed HTML');
+    } catch (error) {
+      if (entry) {
+        logger.warn(`   ⚠️  Failed to refresh oEmbed for ${videoUrl} (${error.message}); using the cached result`, {
+          event: 'oembed.failed',
+          url: videoUrl,
+          error: error.message
+        });
+        stats.cached++;
+        return entry.data;
+      }
+      if (generated) {
+        logger.warn(`   ⚠️  Failed to fetch oEmbed for ${videoUrl} (${error.message}); generated the embed offline`, {
+          event: 'oembed.failed',
+          url: videoUrl,
+          error: error.message
+        });
+        stats.offline++;
+        return generated;
+      }
+      logger.warn(`   ⚠️  Failed to fetch oEmbed for ${videoUrl}: ${error.message}`, {
+        event: 'oembed.failed',
+        url: videoUrl,
+        error: error.message
+      });
+      stats.failed++;
+      return null;
+    }
+  }
+
+  return {
+    stats,
+
+    /** oEmbed data for a video URL, or null when it can't be resolved */
+    get(videoUrl) {
+      if (!lookups.has(videoUrl)) {
+        lookups.set(videoUrl, lookup(videoUrl));
+      }
+      return lookups.get(videoUrl);
+    },
+
+    /** Write new results to the cache file */
+    save() {
+      if (!cachePath || !dirty) return;
+
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      const tempPath = `${cachePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: CACHE_VERSION, entries }, null, 2));
+      fs.renameSync(tempPath, cachePath);
+      dirty = false;
+    }
+  };
+}
@@ -0,0 +1,247 @@
+/**
+ * Output Directory Management
+ *
+ * Exports are written into a staging directory next to the output
+ * directory. Once the run succeeded, the staging directory becomes a
+ * versioned build (`<outputDir>.builds/<timestamp>`) and outputDir, a
+ * symlink, is pointed at it with a single rename: a web server serving
+ * outputDir sees the old build or the new one, never a half-written or
+ * missing one. Replaced builds can be kept as rollback copies.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { cleanDir } from './utils.js';
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function pathExists(target) {
+  try {
+    fs.lstatSync(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The directory an export with these options writes: outputDir, or for
+ * draft exports draftOutputDir (default: `<outputDir>-draft`).
+ */
+export function resolveOutputDir({ outputDir = 'static-dist', mode, draftOutputDir } = {}) {
+  return path.resolve(mode === 'draft' ? (draftOutputDir || `${outputDir}-draft`) : outputDir);
+}
+
+export function getStagingDir(outputDir) {
+  return `${path.resolve(outputDir)}.staging`;
+}
+
+/** Where the versioned builds outputDir points at live */
+export function getBuildsDir(outputDir) {
+  return `${path.resolve(outputDir)}.builds`;
+}
+
+/**
+ * Where an export keeps what it writes about itself (manifest, reports):
+ * reportsDir, or `<outputDir>.reports`. Never inside outputDir, which is
+ * served as it is.
+ */
+export function getReportsDir(outputDir, reportsDir) {
+  const resolved = path.resolve(outputDir);
+  const dir = reportsDir ? path.resolve(reportsDir) : `${resolved}.reports`;
+
+  if (dir === resolved || dir.startsWith(resolved + path.sep)) {
+    throw new Error(`reportsDir ${dir} is inside the output directory, which is served: choose a directory outside it`);
+  }
+  return dir;
+}
+
+/** The build outputDir points at, or null when it is not a link (or missing) */
+export function currentBuild(outputDir) {
+  const resolved = path.resolve(outputDir);
+  if (!pathExists(resolved) || !fs.lstatSync(resolved).isSymbolicLink()) return null;
+
+  return path.resolve(path.dirname(resolved), fs.readlinkSync(resolved));
+}
+
+/** Hard-link every file of sourceDir into destDir, copying where links aren't possible */
+function linkTree(sourceDir, destDir) {
+  fs.mkdirSync(destDir, { recursive: true });
+
+  for (const entry of fs.readdirSync(sourceDir, { withFileTypes: true })) {
+    const sourcePath = path.join(sourceDir, entry.name);
+    const destPath = path.join(destDir, entry.name);
+
+    if (entry.isDirectory()) {
+      linkTree(sourcePath, destPath);
+      continue;
+    }
+
+    try {
+      fs.linkSync(sourcePath, destPath);
+    } catch {
+      // Another filesystem, or one without hard links
+      fs.copyFileSync(sourcePath, destPath);
+    }
+  }
+}
+
+/**
+ * Create an empty staging directory, discarding any leftover from an
+ * interrupted run. With `seedFrom`, it starts with hard links to the files
+ * of the current output (incremental exports build on top of it), so
+ * nothing is copied. Files of the staged output must then be replaced,
+ * never written in place: see writeOutputFile.
+ */
+export function prepareStagingDir(stagingDir, seedFrom = null) {
+  cleanDir(stagingDir);
+
+  if (seedFrom && fs.existsSync(seedFrom)) {
+    linkTree(fs.realpathSync(seedFrom), stagingDir);
+  }
+}
+
+/**
+ * Rollback copies of an output directory: every build but the current
+ * one, newest first.
+ */
+export function listPreviousBuilds(outputDir) {
+  const buildsDir = getBuildsDir(outputDir);
+  const current = currentBuild(outputDir);
+
+  if (!fs.existsSync(buildsDir)) return [];
+
+  return fs.readdirSync(buildsDir)
+    .sort()
+    .reverse()
+    .map(name => path.join(buildsDir, name))
+    .filter(dir => dir !== current);
+}
+
+function prunePreviousBuilds(outputDir, keepPrevious) {
+  for (const dir of listPreviousBuilds(outputDir).slice(keepPrevious)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/** Point the outputDir link at a build, replacing the link in one rename */
+function pointAt(outputDir, buildDir) {
+  const link = `${outputDir}.link-${process.pid}`;
+  fs.rmSync(link, { force: true });
+  // Junctions on Windows, where directory symlinks need extra privileges
+  fs.symlinkSync(path.relative(path.dirname(outputDir), buildDir), link, 'junction');
+
+  try {
+    fs.renameSync(link, outputDir);
+  } catch (error) {
+    fs.rmSync(link, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Make the staging directory the live build: it moves into the builds
+ * directory, then the outputDir link is switched to it in one rename.
+ *
+ * An outputDir that is still a plain directory (exported before builds
+ * were versioned) first becomes a build itself. That first swap takes two
+ * renames, with a moment where outputDir does not exist; if the second one
+ * fails, the first is undone.
+ *
+ * @returns {string|null} Path of the replaced build, when it was kept
+ */
+export function swapIntoPlace(stagingDir, outputDir, { keepPrevious = 0 } = {}) {
+  const resolved = path.resolve(outputDir);
+  const buildsDir = getBuildsDir(resolved);
+  fs.mkdirSync(buildsDir, { recursive: true });
+
+  const buildDir = newBuildDir(buildsDir, timestamp());
+  fs.renameSync(stagingDir, buildDir);
+
+  let previousDir = currentBuild(resolved);
+  let migrated = false;
+
+  if (!previousDir && pathExists(resolved)) {
+    previousDir = newBuildDir(buildsDir, timestamp(fs.statSync(resolved).mtime));
+    fs.renameSync(resolved, previousDir);
+    migrated = true;
+  }
+
+  try {
+    pointAt(resolved, buildDir);
+  } catch (error) {
+    if (migrated) fs.renameSync(previousDir, resolved);
+    fs.renameSync(buildDir, stagingDir);
+    throw error;
+  }
+
+  prunePreviousBuilds(resolved, keepPrevious);
+
+  return previousDir && fs.existsSync(previousDir) ? previousDir : null;
+}
+
+/** Path for a new build named after `stamp`, suffixed when it is taken */
+function newBuildDir(buildsDir, stamp) {
+  let buildDir = path.join(buildsDir, stamp);
+  for (let n = 1; fs.existsSync(buildDir); n++) {
+    buildDir = path.join(buildsDir, `${stamp}-${n}`);
+  }
+  return buildDir;
+}
+
+/**
+ * Point the output back at the most recent rollback copy. The build it
+ * replaces is newer, so it becomes the most recent rollback copy itself and
+ * a rollback can be undone with another one.
+ *
+ * @returns {string} Path of the restored build
+ */
+export function rollbackOutput(outputDir) {
+  const [latest] = listPreviousBuilds(outputDir);
+  if (!latest) {
+    throw new Error(`No previous build found for ${path.resolve(outputDir)}`);
+  }
+
+  pointAt(path.resolve(outputDir), latest);
+  return latest;
+}
+
+/**
+ * Remove an output directory with its staging directory, rollback copies
+ * and reports, plus any extra paths (caches). Refuses to remove the current
+ * directory or one containing it.
+ *
+ * @param {string} outputDir
+ * @param {Object} [options]
+ * @param {string} [options.reportsDir] - See getReportsDir
+ * @param {string[]} [options.extraPaths=[]]
+ * @param {boolean} [options.previous=true] - Also remove rollback copies
+ * @param {boolean} [options.dryRun=false] - Only list what would be removed
+ * @returns {string[]} Paths that existed (and were removed, unless dryRun)
+ */
+export function cleanOutput(outputDir, { reportsDir, extraPaths = [], previous = true, dryRun = false } = {}) {
+  const resolved = path.resolve(outputDir);
+  const fromOutput = path.relative(resolved, process.cwd());
+
+  if (!/^\.\.([\\/]|$)/.test(fromOutput) || path.isAbsolute(fromOutput)) {
+    throw new Error(`Refusing to clean ${resolved}: it contains the current directory`);
+  }
+
+  const targets = [
+    resolved,
+    getStagingDir(resolved),
+    ...(previous ? [getBuildsDir(resolved)] : [currentBuild(resolved)]),
+    getReportsDir(resolved, reportsDir),
+    ...extraPaths.map(extraPath => path.resolve(extraPath))
+  ].filter(target => target && pathExists(target));
+
+  if (!dryRun) {
+    for (const target of targets) {
+      fs.rmSync(target, { recursive: true, force: true });
+    }
+  }
+
+  return targets;
+}
@@ -0,0 +1,225 @@
+/**
+ * Listing Discovery
+ *
+ * Computes the paginated and filtered variants of piece index pages from
+ * the CMS instead of relying on the crawler finding links to them:
+ * - Index pages are the pages of each piece type's index page type
+ * - Page counts come from the piece REST API with the configured perPage.
+ *   The API does not expose the piece page type's `perPage` option, so it
+ *   has to be configured when it is not Apostrophe's default of 10
+ * - Filter values come from the API's `choices` for each configured filter
+ * - Each index page is queried on its own, with its locale and the query
+ *   parameters of its `query` option, since index pages of the same type
+ *   can list different pieces. A failed query leaves that index page's
+ *   variants to the crawler
+ *
+ * Each variant becomes a sitemap entry whose `url` is the static output
+ * path (from a URL template) and whose `renderUrl` is the query string URL
+ * the Astro frontend understands.
+ */
+
+import { fetchWithTimeout } from './utils.js';
+import { defaultLogger } from './logger.js';
+
+export const DEFAULT_LISTING_TEMPLATES = {
+  pageTemplate: '{path}/page-{n}/',
+  filterTemplate: '{path}/{filter}-{value}/',
+  filterPageTemplate: '{path}/{filter}-{value}-page-{n}/'
+};
+
+/**
+ * Canonical form of an internal link for route lookups: trailing-slash
+ * pathname with sorted query parameters, without aposMode.
+ */
+export function canonicalLink(link) {
+  const [pathname, search = ''] = link.split('#')[0].split('?');
+  const params = new URLSearchParams(search);
+  params.delete('aposMode');
+  params.sort();
+
+  const query = params.toString();
+  return pathname + (query ? `?${query}` : '');
+}
+
+/**
+ * Fill a URL template. `{path}` is the index page path without its trailing
+ * slash, `{n}` the page number, `{filter}`/`{value}` the filter name and
+ * value; a filter can also be referenced by name (`{tag}`).
+ */
+export function expandListingTemplate(template, { path, n, filter, value }) {
+  const url = template.replace(/\{([a-zA-Z0-9_-]+)\}/g, (match, token) => {
+    if (token === 'path') return path;
+    if (token === 'n') return String(n);
+    if (token === 'filter') return filter;
+    if (token === 'value' || token === filter) return encodeURIComponent(value);
+    return match;
+  });
+
+  return url.replace(/\/{2,}/g, '/');
+}
+
+/** The page type listing a piece type: its `indexType`, or `<pieceType>-page` */
+export function listingIndexType(pieceType, config) {
+  return (config && typeof config === 'object' && config.indexType) || `${pieceType}-page`;
+}
+
+function resolveListingConfig(pieceType, config) {
+  return {
+    indexType: listingIndexType(pieceType, config),
+    // The default perPage of Apostrophe's piece page types
+    perPage: 10,
+    filters: [],
+    query: {},
+    ...DEFAULT_LISTING_TEMPLATES,
+    ...(config === true ? {} : config)
+  };
+}
+
+async function fetchPieceQuery(aposHost, headers, pieceType, params) {
+  const url = `${aposHost}/api/v1/${pieceType}?${params}`;
+  const response = await fetchWithTimeout(url, { headers }, 30000);
+
+  if (!response.ok) {
+    throw new Error(`Failed to query ${pieceType}: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+function pageCount(json) {
+  return Math.max(1, Number(json?.pages) || 1);
+}
+
+/** Extra query parameters of an index page: the `query` option, or its result for the page */
+function indexPageQuery(config, indexPage) {
+  const query = typeof config.query === 'function' ? config.query(indexPage) : config.query;
+  return new URLSearchParams(query || {}).toString();
+}
+
+/** Listing variants of one index page (see generateListingEntries) */
+async function listingVariants(config, pieceType, indexPage, fetchQuery, modeQuery) {
+  const variants = [];
+  const extra = indexPageQuery(config, indexPage);
+  const base = `perPage=${config.perPage}&page=1${extra ? `&${extra}` : ''}${modeQuery}`;
+
+  const all = await fetchQuery(pieceType, base);
+  for (let n = 2; n <= pageCount(all); n++) {
+    variants.push({ n, params: { page: String(n) }, template: config.pageTemplate });
+  }
+
+  if (config.filters.length > 0) {
+    const json = await fetchQuery(pieceType, `${base}&choices=${config.filters.join(',')}`);
+
+    for (const filter of config.filters) {
+      for (const choice of json?.choices?.[filter] || []) {
+        const value = String(choice?.value ?? '');
+        if (!value) continue;
+
+        const filtered = await fetchQuery(pieceType, `${base}&${filter}=${encodeURIComponent(value)}`);
+
+        for (let n = 1; n <= pageCount(filtered); n++) {
+          variants.push({
+            n,
+            filter,
+            value,
+            params: n === 1 ? { [filter]: value } : { [filter]: value, page: String(n) },
+            template: n === 1 ? config.filterTemplate : config.filterPageTemplate
+          });
+        }
+      }
+    }
+  }
+
+  return variants;
+}
+
+/**
+ * Compute the listing variants (pages 2..n, filter values and their pages)
+ * of every piece index page.
+ *
+ * @param {Object} options
+ * @param {string} options.aposHost
+ * @param {Object} options.headers - API request headers
+ * @param {Object} options.pagination - Per piece type: true, or
+ *   `{ indexType, perPage, filters, query, pageTemplate, filterTemplate, filterPageTemplate }`;
+ *   perPage must match the piece page type's, which the API does not report.
+ *   `query` is an object of query parameters, or a function of the index
+ *   page entry returning one
+ * @param {Array} options.pageEntries - Page entries (to find index pages)
+ * @param {Array} options.pieceEntries - Piece entries (for freshness)
+ * @param {string} [options.locale] - Locale of the page entries
+ * @param {string} [options.modeQuery] - aposLocale/aposMode query parameters of that locale
+ * @param {Object} [options.logger] - Gets the index pages whose queries failed
+ * @returns {Promise<Array>} Listing entries
+ */
+export async function generateListingEntries(options) {
+  const {
+    aposHost,
+    headers,
+    pagination,
+    pageEntries,
+    pieceEntries,
+    locale = null,
+    modeQuery = '',
+    logger = defaultLogger
+  } = options;
+
+  const entries = [];
+
+  // Index pages with the same query share its responses
+  const responses = new Map();
+  const fetchQuery = (pieceType, params) => {
+    const key = `${pieceType}?${params}`;
+    if (!responses.has(key)) {
+      responses.set(key, fetchPieceQuery(aposHost, headers, pieceType, params));
+    }
+    return responses.get(key);
+  };
+
+  for (const [pieceType, rawConfig] of Object.entries(pagination)) {
+    if (!rawConfig) continue;
+
+    const config = resolveListingConfig(pieceType, rawConfig);
+    const indexPages = pageEntries.filter(entry => entry.type === config.indexType);
+    if (indexPages.length === 0) continue;
+
+    // Listings change whenever one of their pieces does
+    const newestPiece = pieceEntries
+      .filter(entry => entry.type === pieceType)
+      .reduce((newest, entry) => (entry.updatedAt > newest ? entry.updatedAt : newest), '');
+
+    for (const indexPage of indexPages) {
+      const indexPath = indexPage.url.replace(/\/+$/, '');
+
+      let variants;
+      try {
+        variants = await listingVariants(config, pieceType, indexPage, fetchQuery, modeQuery);
+      } catch (error) {
+        logger.warn(`   ⚠️  Could not compute the listings of ${indexPage.url}, crawling its links instead: ${error.message}`, {
+          event: 'listing.failed',
+          url: indexPage.url,
+          pieceType,
+          error: error.message
+        });
+        continue;
+      }
+
+      for (const variant of variants) {
+        const url = expandListingTemplate(variant.template, { path: indexPath, ...variant });
+        const renderUrl = canonicalLink(`${indexPath}/?${new URLSearchParams(variant.params)}`);
+
+        entries.push({
+          url,
+          renderUrl,
+          source: 'listing',
+          type: indexPage.type,
+          _id: `listing:${url}`,
+          updatedAt: [indexPage.updatedAt || '', newestPiece].sort().pop(),
+          locale
+        });
+      }
+    }
+  }
+
+  return entries;
+}
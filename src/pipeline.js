@@ -0,0 +1,150 @@
+/**
+ * Processor Pipeline
+ *
+ * Runs ordered processor plugins over every rendered page. A processor is
+ * an object with a `name` and any of these lifecycle hooks:
+ * - beforeCrawl(context)          Before rendering; may return a new URL list
+ * - transformHtml(page, context)  Per page; edit `page.document` or `page.html`
+ * - afterWrite(page, context)     Per page, once the HTML is in the output dir
+ * - afterExport(context)          Once per output tree (each domain's directory
+ *                                 with split locales), after uploads, 404 page and sitemap
+ *
+ * Processors report through `page.logger` (per page: its warnings end up in
+ * the page's build report entry) or `context.logger` (see logger.js).
+ */
+
+import { JSDOM } from 'jsdom';
+import { internalLinksProcessor, urlRewriterProcessor } from './processors/url-rewriter.js';
+import { customElementsProcessor } from './processors/custom-elements.js';
+import { defaultLogger } from './logger.js';
+
+const BUILTIN_PROCESSORS = [
+  internalLinksProcessor,
+  customElementsProcessor,
+  urlRewriterProcessor
+];
+
+// Earlier names of built-ins, still accepted in the processors option
+const BUILTIN_ALIASES = {
+  'video-widgets': 'custom-elements'
+};
+
+export const builtinProcessorNames = BUILTIN_PROCESSORS.map(processor => processor.name);
+
+/**
+ * Resolve the `processors` option into the ordered list that will run.
+ *
+ * - No option: the built-ins in their default order
+ * - An array of plugin objects: the built-ins, then the plugins
+ * - An array that names built-ins as strings: exactly that order, so
+ *   built-ins can be reordered or left out
+ * - A plugin whose `name` matches a built-in replaces it in place
+ */
+export function resolveProcessors(processors = []) {
+  const builtins = new Map(BUILTIN_PROCESSORS.map(processor => [processor.name, processor]));
+  const explicit = processors.some(processor => typeof processor === 'string');
+
+  const list = explicit ? [] : [...BUILTIN_PROCESSORS];
+
+  for (const processor of processors) {
+    if (typeof processor === 'string') {
+      const builtinName = BUILTIN_ALIASES[processor] || processor;
+      if (!builtins.has(builtinName)) {
+        throw new Error(
+          `Unknown built-in processor "${processor}" (available: ${builtinProcessorNames.join(', ')})`
+        );
+      }
+      list.push(builtins.get(builtinName));
+      continue;
+    }
+
+    if (!processor || typeof processor !== 'object' || !processor.name) {
+      throw new Error('Processors must be objects with a name, or the name of a built-in processor');
+    }
+
+    const replaceIndex = list.findIndex(existing => existing.name === processor.name);
+    if (replaceIndex >= 0) {
+      list[replaceIndex] = processor;
+    } else {
+      list.push(processor);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Run a lifecycle hook on every processor that defines it, in order.
+ * For `beforeCrawl`, a returned array replaces `context.urls`.
+ */
+export async function runHook(processors, hook, ...args) {
+  for (const processor of processors) {
+    if (typeof processor[hook] !== 'function') continue;
+
+    const result = await processor[hook](...args);
+
+    if (hook === 'beforeCrawl' && Array.isArray(result)) {
+      args[0].urls = result;
+    }
+  }
+}
+
+/**
+ * Create the page object handed to `transformHtml`. The DOM is parsed
+ * lazily the first time `page.document` is read and is shared by every
+ * processor after that; assigning `page.html` replaces it. Reading
+ * `page.html` serializes the DOM once and returns that markup until
+ * `page.document` is read again, so the exporter serializes each page once
+ * after the last processor. Processors that only read or rewrite attributes
+ * can check `page.hasDocument` and work on the markup directly instead.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.parser='auto'] - 'auto' parses on demand,
+ *   'dom' always parses up front
+ * @param {Object} [options.logger] - The page's logger (`page.logger`)
+ */
+export function createPage(url, html, { parser = 'auto', logger = defaultLogger } = {}) {
+  let currentHtml = html;
+  let dom = null;
+  // Whether the DOM may have changed since currentHtml was serialized
+  let touched = false;
+
+  const page = {
+    url,
+    links: [],
+    outputPath: null,
+    logger,
+
+    get hasDocument() {
+      return dom !== null;
+    },
+
+    get html() {
+      if (touched) {
+        currentHtml = dom.serialize();
+        touched = false;
+      }
+      return currentHtml;
+    },
+
+    set html(value) {
+      currentHtml = value;
+      dom = null;
+      touched = false;
+    },
+
+    get document() {
+      if (!dom) {
+        dom = new JSDOM(currentHtml);
+      }
+      touched = true;
+      return dom.window.document;
+    }
+  };
+
+  if (parser === 'dom') {
+    page.document;
+  }
+
+  return page;
+}
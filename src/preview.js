@@ -0,0 +1,325 @@
+/**
+ * Astro Build & Preview Server
+ *
+ * Builds the Astro project and runs its preview server, which every page
+ * is rendered through:
+ * - scripts run through the project's package manager (npm, pnpm, yarn or
+ *   bun, found from package.json or the lockfile, up to the workspace root)
+ * - their output is captured: shown with debug logging, and the last lines
+ *   are part of the error when the build fails or the server doesn't start
+ * - the preview server runs in its own process group so the whole
+ *   package manager -> astro process tree can be stopped
+ *
+ * `renderUrl` renders through a server that is already running instead,
+ * and `skipBuild` uses the existing build. The 'in-process' renderer
+ * builds but renders through the server build directly (see
+ * in-process-renderer.js), and falls back to the preview server when the
+ * build has no server entry.
+ */
+
+import fs from "fs";
+import net from "net";
+import path from "path";
+import { spawn } from "child_process";
+import { fetchWithTimeout, waitForServer } from "./utils.js";
+import { defaultLogger } from "./logger.js";
+import { createInProcessRenderer, DEFAULT_SERVER_ENTRY } from "./in-process-renderer.js";
+
+export const PACKAGE_MANAGERS = ['npm', 'pnpm', 'yarn', 'bun'];
+export const RENDERERS = ['http', 'in-process'];
+
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['yarn.lock', 'yarn'],
+  ['bun.lockb', 'bun'],
+  ['bun.lock', 'bun'],
+  ['package-lock.json', 'npm']
+];
+
+// Lines of child output kept for error messages
+const OUTPUT_TAIL_LINES = 30;
+
+/**
+ * The package manager of a project: the `packageManager` field of the
+ * nearest package.json that has one, or the nearest lockfile (so
+ * workspace packages use the root's); npm when neither is found.
+ */
+export function detectPackageManager(cwd = process.cwd()) {
+  for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+    try {
+      const declared = JSON.parse(fs.readFileSync(path.join(dir, 'package.json'), 'utf8')).packageManager;
+      const name = typeof declared === 'string' ? declared.split('@')[0] : null;
+      if (PACKAGE_MANAGERS.includes(name)) return name;
+    } catch {
+      // No package.json here
+    }
+
+    const lockfile = LOCKFILES.find(([file]) => fs.existsSync(path.join(dir, file)));
+    if (lockfile) return lockfile[1];
+
+    if (path.dirname(dir) === dir) return 'npm';
+  }
+}
+
+/** Command running a package.json script; only npm needs `--` before the script's arguments */
+export function scriptCommand(packageManager, script, args = []) {
+  if (!PACKAGE_MANAGERS.includes(packageManager)) {
+    throw new Error(`Unknown package manager "${packageManager}" (use ${PACKAGE_MANAGERS.join(', ')})`);
+  }
+
+  const scriptArgs = packageManager === 'npm' && args.length > 0 ? ['--', ...args] : args;
+  return [packageManager, 'run', script, ...scriptArgs];
+}
+
+function runScript(command, options) {
+  return spawn(command[0], command.slice(1), {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    // npm, pnpm and yarn are .cmd shims on Windows
+    shell: process.platform === 'win32',
+    ...options
+  });
+}
+
+/** Collect a child's output lines, echoing them as `<name>.output` debug events */
+function captureOutput(child, logger, name) {
+  const lines = [];
+
+  function record(line) {
+    const plain = line.replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+    if (!plain.trim()) return;
+    logger.debug(`   │ ${plain}`, { event: `${name}.output`, line: plain });
+    lines.push(plain);
+    if (lines.length > OUTPUT_TAIL_LINES) lines.shift();
+  }
+
+  for (const stream of [child.stdout, child.stderr]) {
+    let partial = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => {
+      const parts = (partial + chunk).split(/\r?\n/);
+      partial = parts.pop();
+      parts.forEach(record);
+    });
+    stream.on('end', () => record(partial));
+  }
+
+  return {
+    /** The last lines of output, to append to an error message */
+    tail() {
+      return lines.length > 0 ? `\n${lines.map(line => `   │ ${line}`).join('\n')}` : '';
+    }
+  };
+}
+
+function spawnError(command, error) {
+  return new Error(error.code === 'ENOENT'
+    ? `Could not run ${command[0]}: it isn't installed or not on the PATH (set packageManager to change it)`
+    : `Could not run ${command.join(' ')}: ${error.message}`);
+}
+
+/**
+ * Run the Astro build script.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.packageManager] - npm, pnpm, yarn or bun (default: detected)
+ * @param {string} [options.script='build']
+ * @param {string[]} [options.args=[]] - Arguments passed to the script
+ * @param {Object} [options.logger]
+ * @returns {Promise<void>}
+ */
+export async function buildAstro({
+  packageManager = detectPackageManager(),
+  script = 'build',
+  args = [],
+  logger = defaultLogger
+} = {}) {
+  const command = scriptCommand(packageManager, script, args);
+  logger.debug(`   $ ${command.join(' ')}`, { event: 'build.start', command: command.join(' ') });
+
+  const started = Date.now();
+  const child = runScript(command);
+  const output = captureOutput(child, logger, 'build');
+
+  const code = await new Promise((resolve, reject) => {
+    child.once('error', error => reject(spawnError(command, error)));
+    child.once('close', resolve);
+  });
+
+  if (code !== 0) {
+    throw new Error(`Astro build failed: ${command.join(' ')} exited with code ${code}${output.tail()}`);
+  }
+
+  logger.debug(`   ✓ Built in ${Date.now() - started} ms`, { event: 'build.done', duration: Date.now() - started });
+}
+
+/** Resolves to the error code of listening on host:port (e.g. 'EADDRINUSE'), or null when it's free */
+function probePort(host, port) {
+  return new Promise(resolve => {
+    const server = net.createServer();
+    server.once('error', error => resolve(error.code));
+    server.listen(port, host, () => server.close(() => resolve(null)));
+  });
+}
+
+async function assertPortFree(host, port) {
+  if (await probePort(host, port) !== 'EADDRINUSE') return;
+
+  const url = `http://${host}:${port}`;
+  const answers = await fetchWithTimeout(url, {}, 2000).then(() => true, () => false);
+
+  throw new Error(`Port ${port} on ${host} is already in use` +
+    (answers ? ' by a server that answers HTTP' : '') +
+    `: stop it, pick another port (--port), or render through it with --render-url=${url}`);
+}
+
+/**
+ * Start the preview script and wait until it answers.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.port=4321]
+ * @param {string} [options.packageManager] - npm, pnpm, yarn or bun (default: detected)
+ * @param {string} [options.script='preview']
+ * @param {string[]} [options.args=[]] - Arguments after --host and --port
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ url: string, stop: Function }>}
+ */
+export async function startPreviewServer({
+  host = '127.0.0.1',
+  port = 4321,
+  packageManager = detectPackageManager(),
+  script = 'preview',
+  args = [],
+  logger = defaultLogger
+} = {}) {
+  const url = `http://${host}:${port}`;
+  const command = scriptCommand(packageManager, script, ['--host', host, '--port', String(port), ...args]);
+
+  await assertPortFree(host, port);
+  logger.debug(`   $ ${command.join(' ')}`, { event: 'preview.start', command: command.join(' '), url });
+
+  const astroProcess = runScript(command, { detached: process.platform !== "win32" });
+  const output = captureOutput(astroProcess, logger, 'preview');
+  let ready = false;
+  let stopped = false;
+  let exited = null;
+
+  const waiting = new AbortController();
+  const exit = new Promise((resolve, reject) => {
+    astroProcess.once('error', error => {
+      exited = spawnError(command, error);
+      waiting.abort();
+      reject(exited);
+    });
+    astroProcess.once('exit', code => {
+      exited = new Error(`The preview server exited with code ${code} before answering at ${url}${output.tail()}`);
+      waiting.abort();
+      if (ready && !stopped) {
+        logger.warn(`⚠️  The preview server exited (code ${code})`, { event: 'preview.exit', code });
+      }
+      reject(exited);
+    });
+  });
+  // Only awaited while starting up
+  exit.catch(() => {});
+
+  function stop() {
+    stopped = true;
+    if (!astroProcess.killed && astroProcess.exitCode === null) {
+      if (process.platform === "win32") {
+        spawn("taskkill", ["/pid", String(astroProcess.pid), "/T", "/F"]);
+      } else {
+        try {
+          process.kill(-astroProcess.pid, "SIGTERM");
+        } catch {
+          try {
+            astroProcess.kill("SIGTERM");
+          } catch {}
+        }
+      }
+    }
+  }
+
+  try {
+    await Promise.race([
+      waitForServer(url, { timeoutMs: 90000, intervalMs: 800, signal: waiting.signal }),
+      exit
+    ]);
+  } catch (error) {
+    stop();
+    throw exited || new Error(`${error.message}${output.tail()}`);
+  }
+
+  ready = true;
+  return { url, stop };
+}
+
+/**
+ * What pages are rendered through: `renderUrl` when set (nothing is built
+ * or started), otherwise the Astro build (unless `skipBuild`) and a preview
+ * server, or the server build itself with the 'in-process' renderer.
+ * `fetch`, when there is one, replaces the global fetch for page requests;
+ * `stop()` only stops what was started here.
+ *
+ * @param {Object} options - exportStatic options; uses renderer, renderUrl, serverEntry,
+ *   skipBuild, host, port, packageManager, buildScript, buildArgs, previewScript and previewArgs
+ * @param {Object} [settings]
+ * @param {Object} [settings.logger]
+ * @param {Function} [settings.onProgress]
+ * @returns {Promise<{ url: string, fetch?: Function, stop: Function }>}
+ */
+export async function startRenderer(options, { logger = defaultLogger, onProgress = () => {} } = {}) {
+  const {
+    renderer = 'http',
+    renderUrl,
+    serverEntry = DEFAULT_SERVER_ENTRY,
+    skipBuild = false,
+    host = '127.0.0.1',
+    port = 4321,
+    packageManager = detectPackageManager(),
+    buildScript = 'build',
+    buildArgs = [],
+    previewScript = 'preview',
+    previewArgs = []
+  } = options;
+
+  if (!RENDERERS.includes(renderer)) {
+    throw new Error(`Unknown renderer "${renderer}" (use ${RENDERERS.join(' or ')})`);
+  }
+  if (renderUrl && renderer === 'in-process') {
+    throw new Error('renderUrl renders over HTTP; it can\'t be combined with the in-process renderer');
+  }
+
+  if (renderUrl) {
+    const url = renderUrl.replace(/\/+$/, '');
+    onProgress(10, 100, `Rendering through ${url}`);
+    try {
+      await fetchWithTimeout(url, {}, 15000);
+    } catch (error) {
+      throw new Error(`Nothing answers at ${url} (renderUrl): ${error.message}`);
+    }
+    return { url, stop() {} };
+  }
+
+  if (!skipBuild) {
+    onProgress(0, 100, 'Building Astro...');
+    await buildAstro({ packageManager, script: buildScript, args: buildArgs, logger });
+  }
+
+  if (renderer === 'in-process') {
+    onProgress(10, 100, 'Loading the Astro server build...');
+    try {
+      const inProcess = await createInProcessRenderer({ serverEntry, url: `http://${host}:${port}` });
+      logger.debug(`   Rendering in-process through ${serverEntry}`, { event: 'renderer.in-process', serverEntry });
+      return inProcess;
+    } catch (error) {
+      logger.warn(`⚠️  Can't render in-process, using the preview server: ${error.message}`, {
+        event: 'renderer.fallback',
+        error: error.message
+      });
+    }
+  }
+
+  onProgress(10, 100, 'Starting preview server...');
+  return startPreviewServer({ host, port, packageManager, script: previewScript, args: previewArgs, logger });
+}
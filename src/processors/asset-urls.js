@@ -0,0 +1,188 @@
+/**
+ * Asset URL Rewrite Processor
+ *
+ * Points upload references at a public asset host when uploads are not
+ * downloaded, e.g. `http://localhost:3000/uploads/...` from a staging
+ * backend becomes `https://cdn.example.com/uploads/...`:
+ * - src, srcset, href, poster and meta content attributes
+ * - url() in style attributes and <style> elements
+ * - url() in CSS files in the output (copied from dist/client)
+ *
+ * Once the export is written, any reference to the backend host that is
+ * left in HTML or CSS is reported.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { rewriteAttributes } from '../html-scanner.js';
+import { toUploadPath } from './uploads.js';
+import { writeOutputFile } from '../utils.js';
+
+const URL_ATTRIBUTES = new Set(['src', 'href', 'srcset', 'poster']);
+const CSS_URL_RE = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+const STYLE_ELEMENT_RE = /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi;
+
+function listFiles(dir, extensions, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listFiles(filePath, extensions, files);
+    } else if (extensions.includes(path.extname(entry.name))) {
+      files.push(filePath);
+    }
+  }
+  return files;
+}
+
+/**
+ * @param {string|Object} options - Target base URL, or:
+ * @param {string} options.to - Base URL replacing `/uploads`, e.g.
+ *   'https://cdn.example.com/uploads'; '/uploads' makes references root-relative
+ *   (for uploads copied into the output)
+ * @param {string[]} [options.from] - Upload origins besides `<aposHost>/uploads` and
+ *   root-relative `/uploads/` (default: the uploadOrigins option)
+ */
+export function createAssetUrlRewriteProcessor(options) {
+  const { to, from } = typeof options === 'string' ? { to: options } : (options || {});
+
+  if (!to) {
+    throw new Error('assetUrlRewrite needs a target base URL (e.g. https://cdn.example.com/uploads)');
+  }
+
+  const target = to.replace(/\/+$/, '');
+  let rewritten = 0;
+
+  function rewriteUrl(url, context) {
+    const uploadPath = toUploadPath(url, context.aposHost, from || context.uploadOrigins);
+    if (!uploadPath) return url;
+
+    const result = target + uploadPath.slice('/uploads'.length) + (url.match(/[?#].*$/)?.[0] || '');
+    if (result !== url) rewritten++;
+    return result;
+  }
+
+  function rewriteCss(css, context) {
+    return css.replace(CSS_URL_RE, (match, quote, url) => {
+      const result = rewriteUrl(url.trim(), context);
+      return result === url.trim() ? match : `url(${quote}${result}${quote})`;
+    });
+  }
+
+  function rewriteValue(attribute, value, context) {
+    if (attribute === 'style') return rewriteCss(value, context);
+
+    if (attribute === 'srcset') {
+      return value
+        .split(',')
+        .map(candidate => {
+          const [url, ...descriptor] = candidate.trim().split(/\s+/);
+          return [rewriteUrl(url, context), ...descriptor].join(' ');
+        })
+        .join(', ');
+    }
+
+    return rewriteUrl(value.trim(), context);
+  }
+
+  function shouldRewrite(tagName, attribute) {
+    return URL_ATTRIBUTES.has(attribute) || attribute === 'style' || (tagName === 'meta' && attribute === 'content');
+  }
+
+  function rewriteMarkup(html, context) {
+    const output = rewriteAttributes(html, (tagName, attribute, value) => {
+      if (!value || !shouldRewrite(tagName, attribute)) return undefined;
+      const start = rewritten;
+      const result = rewriteValue(attribute, value, context);
+      // Leave untouched values byte for byte (srcset spacing, etc.)
+      return rewritten === start ? undefined : result;
+    });
+
+    return output.replace(STYLE_ELEMENT_RE, (match, open, css, close) => {
+      const start = rewritten;
+      const result = rewriteCss(css, context);
+      return rewritten === start ? match : open + result + close;
+    });
+  }
+
+  return {
+    name: 'asset-url-rewrite',
+
+    transformHtml(page, context) {
+      if (!page.hasDocument) {
+        page.html = rewriteMarkup(page.html, context);
+        return;
+      }
+
+      for (const element of page.document.querySelectorAll('[src], [href], [srcset], [poster], [style], meta[content]')) {
+        const tagName = element.tagName.toLowerCase();
+
+        for (const attribute of Array.from(element.attributes)) {
+          if (!attribute.value || !shouldRewrite(tagName, attribute.name)) continue;
+
+          const start = rewritten;
+          const result = rewriteValue(attribute.name, attribute.value, context);
+          if (rewritten !== start) element.setAttribute(attribute.name, result);
+        }
+      }
+
+      for (const style of page.document.querySelectorAll('style')) {
+        const start = rewritten;
+        const css = rewriteCss(style.textContent, context);
+        if (rewritten !== start) style.textContent = css;
+      }
+    },
+
+    afterExport(context) {
+      // Stylesheets from dist/client and 404 pages don't go through transformHtml
+      for (const file of listFiles(context.outputDir, ['.css', '.html'])) {
+        if (file.endsWith('.html') && path.basename(file) !== '404.html') continue;
+
+        const content = fs.readFileSync(file, 'utf8');
+        const start = rewritten;
+        const result = file.endsWith('.css') ? rewriteCss(content, context) : rewriteMarkup(content, context);
+        if (rewritten !== start) writeOutputFile(file, result);
+      }
+
+      const remaining = findBackendReferences(context.outputDir, context.aposHost);
+      // Multi-domain exports run this once per output tree
+      const treeName = context.locales?.split ? `${context.tree.name}/` : '';
+      const previous = context.results.assetUrls;
+      remaining.count += previous?.remaining || 0;
+      remaining.files = [...(previous?.files || []), ...remaining.files.map(file => treeName + file)];
+      context.results.assetUrls = { rewritten, remaining: remaining.count, files: remaining.files };
+
+      if (remaining.count > 0) {
+        const examples = remaining.files.slice(0, 3).join(', ');
+        context.logger.warn(`⚠️  ${remaining.count} reference(s) to ${context.aposHost} remain in ` +
+          `${remaining.files.length} file(s): ${examples}${remaining.files.length > 3 ? ', ...' : ''}`, {
+          event: 'asset-urls.remaining',
+          count: remaining.count,
+          files: remaining.files
+        });
+      }
+    }
+  };
+}
+
+/**
+ * Count references to the backend host (on http, https or protocol-relative)
+ * in the HTML and CSS files of an output directory.
+ *
+ * @returns {{ count: number, files: string[] }} files are relative to outputDir
+ */
+export function findBackendReferences(outputDir, aposHost) {
+  const host = new URL(aposHost).host.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?:https?:)?//${host}(?![\\w.-])`, 'gi');
+  const files = [];
+  let count = 0;
+
+  for (const file of listFiles(outputDir, ['.html', '.css'])) {
+    const matches = fs.readFileSync(file, 'utf8').match(pattern);
+    if (matches) {
+      count += matches.length;
+      files.push(path.relative(outputDir, file).split(path.sep).join('/'));
+    }
+  }
+
+  return { count, files: files.sort() };
+}
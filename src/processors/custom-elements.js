@@ -0,0 +1,274 @@
+/**
+ * Custom Elements Processor
+ *
+ * Renders client-side custom elements (<video-widget>, maps, counters, ...)
+ * to static HTML at build time. A registry maps tag names to renderers:
+ *
+ *   {
+ *     'map-widget': async ({ attributes, cms, cache }) => '<img ...>',
+ *     'counter-widget': {
+ *       render(element) {},    // Returns HTML replacing the element,
+ *                              // or null/undefined to leave it
+ *       finalize(page) {},     // Optional, once per page where the tag was rendered
+ *       afterExport(context)   // Optional, once per output tree where the tag was rendered
+ *     }
+ *   }
+ *
+ * `render` receives `{ tagName, attributes, element, document, page, cms, cache,
+ * state, context }`:
+ * - cms: `{ aposHost, aposKey, retries, fetch(path, init) }`, fetch returns the
+ *   parsed JSON of a CMS request made with the API key
+ * - cache: `get(key)`, `set(key, value)` and `wrap(key, fn, { maxAge })`,
+ *   persisted between exports and separate for every tag
+ * - state: an object shared by the elements of one tag on one page
+ *
+ * `finalize` receives `{ document, page, state, rendered, context }`.
+ *
+ * `<video-widget>` is registered by default (see video-widgets.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchWithRetry } from '../utils.js';
+import { defaultLogger } from '../logger.js';
+import { videoWidgetRenderer } from './video-widgets.js';
+
+export const DEFAULT_ELEMENT_CACHE_FILE = path.join('node_modules', '.cache', 'apos-astro-static', 'custom-elements.json');
+const CACHE_VERSION = 1;
+
+export const defaultElementRenderers = {
+  'video-widget': videoWidgetRenderer
+};
+
+/**
+ * Merge renderers into the defaults. A function is shorthand for `{ render }`;
+ * false removes a default renderer.
+ */
+export function resolveElementRenderers(renderers = {}) {
+  const resolved = new Map();
+
+  for (const [tagName, renderer] of Object.entries({ ...defaultElementRenderers, ...renderers })) {
+    if (renderer === false) continue;
+
+    const normalized = typeof renderer === 'function' ? { render: renderer } : renderer;
+    if (!normalized || typeof normalized.render !== 'function') {
+      throw new Error(`Custom element renderer for <${tagName}> must be a function or an object with render()`);
+    }
+    if (!/^[a-z][a-z0-9._]*-[a-z0-9._-]*$/.test(tagName)) {
+      throw new Error(`"${tagName}" is not a custom element name (lowercase, with a hyphen)`);
+    }
+    resolved.set(tagName, normalized);
+  }
+
+  return resolved;
+}
+
+/**
+ * Renderer cache: in memory for the run, and in a JSON file between runs.
+ *
+ * @param {string|false} [file=DEFAULT_ELEMENT_CACHE_FILE] - false keeps entries for this run only
+ * @param {Object} [logger]
+ */
+export function createElementCache(file = DEFAULT_ELEMENT_CACHE_FILE, logger = defaultLogger) {
+  const cachePath = file ? path.resolve(file) : null;
+  const pending = new Map();
+  let entries = {};
+  let dirty = false;
+
+  if (cachePath && fs.existsSync(cachePath)) {
+    try {
+      const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (cache.version === CACHE_VERSION) entries = cache.entries || {};
+    } catch {
+      logger.warn(`   ⚠️  Ignoring unreadable custom element cache ${cachePath}`, { event: 'cache.unreadable', file: cachePath });
+    }
+  }
+
+  return {
+    /** The cache of one tag */
+    forTag(tagName) {
+      const cache = {
+        get(key, { maxAge = Infinity } = {}) {
+          const entry = entries[tagName]?.[key];
+          return entry && Date.now() - entry.storedAt < maxAge ? entry.value : undefined;
+        },
+
+        set(key, value) {
+          (entries[tagName] ||= {})[key] = { value, storedAt: Date.now() };
+          dirty = true;
+        },
+
+        /** Cached value of key, computing (once per run) and storing it when missing */
+        wrap(key, compute, { maxAge } = {}) {
+          const cached = cache.get(key, { maxAge });
+          if (cached !== undefined) return Promise.resolve(cached);
+
+          const pendingKey = `${tagName}\n${key}`;
+          if (!pending.has(pendingKey)) {
+            pending.set(pendingKey, (async () => {
+              const value = await compute();
+              if (value !== undefined && value !== null) cache.set(key, value);
+              return value;
+            })().finally(() => pending.delete(pendingKey)));
+          }
+          return pending.get(pendingKey);
+        }
+      };
+
+      return cache;
+    },
+
+    save() {
+      if (!cachePath || !dirty) return;
+
+      fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+      const tempPath = `${cachePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: CACHE_VERSION, entries }));
+      fs.renameSync(tempPath, cachePath);
+      dirty = false;
+    }
+  };
+}
+
+function createCmsClient({ aposHost, aposKey, retries = 3, logger }) {
+  return {
+    aposHost,
+    aposKey,
+    retries,
+
+    async fetch(apiPath, init = {}) {
+      const response = await fetchWithRetry(
+        new URL(apiPath, aposHost).href,
+        { ...init, headers: { 'APOS-EXTERNAL-FRONT-KEY': aposKey, ...init.headers } },
+        30000,
+        retries,
+        { logger }
+      );
+      return response.json();
+    }
+  };
+}
+
+/**
+ * Render every registered custom element in a parsed document.
+ *
+ * @param {Map} renderers - From resolveElementRenderers
+ * @param {Object} context - Needs aposHost and aposKey; elementCache and logger are optional
+ * @returns {Promise<Object>} Elements rendered per tag name
+ */
+export async function renderCustomElements(document, renderers, context, page = null) {
+  const counts = {};
+  const logger = page?.logger || context.logger || defaultLogger;
+  const cms = createCmsClient({ aposHost: context.aposHost, aposKey: context.aposKey, retries: context.retries, logger });
+  const cacheStore = context.elementCache || createElementCache(false);
+
+  for (const [tagName, renderer] of renderers) {
+    const elements = Array.from(document.querySelectorAll(tagName));
+    if (elements.length === 0) continue;
+
+    const state = {};
+    const cache = cacheStore.forTag(tagName);
+    const started = Date.now();
+    let rendered = 0;
+
+    for (const element of elements) {
+      // Inside an element rendered earlier
+      if (!element.isConnected) continue;
+
+      const attributes = Object.fromEntries(
+        Array.from(element.attributes, attribute => [attribute.name, attribute.value])
+      );
+
+      try {
+        const html = await renderer.render({ tagName, attributes, element, document, page, cms, cache, state, context });
+        if (html === null || html === undefined) continue;
+
+        element.outerHTML = String(html);
+        rendered++;
+      } catch (error) {
+        logger.warn(`   ⚠️  Failed to render <${tagName}>${page ? ` on ${page.url}` : ''}: ${error.message}`, {
+          event: 'element.failed',
+          tag: tagName,
+          error: error.message
+        });
+      }
+    }
+
+    if (rendered > 0) {
+      await renderer.finalize?.({ document, page, state, rendered, context });
+      counts[tagName] = rendered;
+      logger.debug(`   🧩 <${tagName}> ×${rendered}${page ? ` on ${page.url}` : ''}`, {
+        event: 'element.rendered',
+        tag: tagName,
+        count: rendered,
+        duration: Date.now() - started
+      });
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * @param {Object} [renderers] - Renderers added to (or replacing) the defaults;
+ *   the export's `customElements` option is used when omitted
+ * @param {Object} [options]
+ * @param {string} [options.name='custom-elements']
+ */
+export function createCustomElementsProcessor(renderers, { name = 'custom-elements' } = {}) {
+  const fixed = renderers ? resolveElementRenderers(renderers) : null;
+  const resolvedByContext = new WeakMap();
+  // Tags rendered in each output tree, whose renderers' afterExport runs for it
+  const renderedByContext = new WeakMap();
+
+  function renderersFor(context) {
+    if (fixed) return fixed;
+    if (!resolvedByContext.has(context)) {
+      resolvedByContext.set(context, resolveElementRenderers(context.options?.customElements));
+    }
+    return resolvedByContext.get(context);
+  }
+
+  return {
+    name,
+
+    async transformHtml(page, context) {
+      const renderers = renderersFor(context);
+
+      // Only pay for a DOM when the page has a registered element
+      if (!page.hasDocument && !Array.from(renderers.keys()).some(tagName => page.html.includes(`<${tagName}`))) {
+        return;
+      }
+
+      const counts = await renderCustomElements(page.document, renderers, context, page);
+      const totals = (context.results.customElements ||= {});
+      if (!renderedByContext.has(context)) renderedByContext.set(context, new Set());
+
+      for (const [tagName, count] of Object.entries(counts)) {
+        totals[tagName] = (totals[tagName] || 0) + count;
+        if (count > 0) renderedByContext.get(context).add(tagName);
+      }
+      if (counts['video-widget']) {
+        context.results.videoWidgetsProcessed = (context.results.videoWidgetsProcessed || 0) + counts['video-widget'];
+      }
+    },
+
+    async afterExport(context) {
+      context.elementCache?.save();
+
+      for (const [tagName, renderer] of renderersFor(context)) {
+        if (renderedByContext.get(context)?.has(tagName)) {
+          await renderer.afterExport?.(context);
+        }
+      }
+    }
+  };
+}
+
+export const customElementsProcessor = createCustomElementsProcessor();
+
+/** Renders <video-widget> only; kept for configurations that use it directly */
+export const videoWidgetsProcessor = createCustomElementsProcessor(
+  { 'video-widget': videoWidgetRenderer },
+  { name: 'video-widgets' }
+);
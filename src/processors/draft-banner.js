@@ -0,0 +1,62 @@
+/**
+ * Draft Banner Processor
+ *
+ * Marks every page of a draft export as a preview:
+ * - Replaces any robots meta tag with `noindex, nofollow`
+ * - Adds a visible "Draft preview" banner at the top of the body
+ */
+
+const ROBOTS_META = '<meta name="robots" content="noindex, nofollow">';
+const ROBOTS_META_RE = /<meta\b[^>]*\bname=["']?robots["']?[^>]*>/gi;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function createBannerHtml(text) {
+  return '<div class="apos-static-draft-banner" role="status" style="position: sticky; top: 0; ' +
+    'z-index: 2147483647; padding: 0.5rem 1rem; background: #ffd400; color: #000; ' +
+    `font: 600 14px/1.4 system-ui, sans-serif; text-align: center;">${escapeHtml(text)}</div>`;
+}
+
+function insertAfterOpeningTag(html, tagName, markup) {
+  const match = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'i'));
+  if (!match) return null;
+
+  const index = match.index + match[0].length;
+  return html.slice(0, index) + markup + html.slice(index);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.text] - Banner text (default: "Draft preview" plus the export date)
+ */
+export function createDraftBannerProcessor(options = {}) {
+  const text = options.text || `Draft preview — generated ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  const bannerHtml = createBannerHtml(text);
+
+  return {
+    name: 'draft-banner',
+
+    transformHtml(page) {
+      if (page.hasDocument) {
+        const document = page.document;
+        for (const meta of document.querySelectorAll('meta[name="robots" i]')) {
+          meta.remove();
+        }
+        document.head.insertAdjacentHTML('afterbegin', ROBOTS_META);
+        document.body.insertAdjacentHTML('afterbegin', bannerHtml);
+        return;
+      }
+
+      let html = page.html.replace(ROBOTS_META_RE, '');
+      html = insertAfterOpeningTag(html, 'head', ROBOTS_META) ?? ROBOTS_META + html;
+      html = insertAfterOpeningTag(html, 'body', bannerHtml) ?? html + bannerHtml;
+      page.html = html;
+    }
+  };
+}
@@ -0,0 +1,422 @@
+/**
+ * Forms Processor
+ *
+ * Keeps Apostrophe form widgets (`@apostrophecms/form`) working on a static
+ * host, where there is no CMS to post submissions to:
+ * - 'netlify' adds the Netlify Forms attributes, so Netlify collects them
+ * - 'endpoint' posts them to a Formspree-style URL or your own handler
+ * - 'schema' leaves the markup alone and only exports the schema
+ *
+ * Field validation attributes and the widget's success and error messages
+ * stay in the markup; a small client script (_apos-static/forms.js) checks
+ * the fields, posts the submission and shows the message. The schema of
+ * every form (fields, validation, messages) can also be written as JSON,
+ * to forms/<name>.json.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeOutputFile, copyOutputFile } from '../utils.js';
+
+export const FORM_SCHEMA_VERSION = 1;
+export const DEFAULT_FORM_SELECTOR = 'form[data-apos-form-form], form[data-apos-form]';
+
+const CLIENT_SCRIPT_PATH = fileURLToPath(new URL('../client/forms.js', import.meta.url));
+const SCRIPT_SRC = '/_apos-static/forms.js';
+const TARGETS = ['netlify', 'endpoint', 'schema'];
+const SUCCESS_SELECTOR = '[data-apos-form-thank-you], [data-apos-form-thankyou], .apos-form-thank-you';
+const ERROR_SELECTOR = '[data-apos-form-submit-error], .apos-form-error';
+const SKIPPED_TYPES = ['submit', 'button', 'reset', 'image'];
+const VALIDATION_ATTRIBUTES = {
+  pattern: 'pattern',
+  min: 'min',
+  max: 'max',
+  step: 'step',
+  minlength: 'minLength',
+  maxlength: 'maxLength',
+  accept: 'accept'
+};
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function slugify(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/** What makes two forms with the same name the same form: their ID and fields */
+function formIdentity(formSchema) {
+  return JSON.stringify([formSchema.id, formSchema.fields]);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Normalize the `forms` option: 'netlify', 'schema', an endpoint URL, or an object.
+ */
+export function normalizeFormsOptions(options) {
+  const normalized = typeof options === 'string'
+    ? (TARGETS.includes(options) ? { target: options } : { target: 'endpoint', endpoint: options })
+    : { ...options };
+
+  normalized.target ||= normalized.endpoint ? 'endpoint' : 'schema';
+
+  if (!TARGETS.includes(normalized.target)) {
+    throw new Error(`forms target must be one of ${TARGETS.join(', ')} (got '${normalized.target}')`);
+  }
+  if (normalized.target === 'endpoint' && !normalized.endpoint) {
+    throw new Error("forms target 'endpoint' needs an endpoint (e.g. https://formspree.io/f/{name})");
+  }
+  if (normalized.encoding && !['form', 'json'].includes(normalized.encoding)) {
+    throw new Error(`forms encoding must be 'form' or 'json' (got '${normalized.encoding}')`);
+  }
+
+  return normalized;
+}
+
+function fieldLabel(form, element) {
+  const id = element.getAttribute('id');
+  const label = (id && form.querySelector(`label[for="${id.replace(/["\\]/g, '\\$&')}"]`)) ||
+    element.closest('label') ||
+    element.closest('fieldset')?.querySelector('legend');
+
+  return label ? normalizeText(label.textContent) : null;
+}
+
+/** Fields of a form, with radio and checkbox groups merged into one field */
+function extractFields(form) {
+  const fields = [];
+  const byName = new Map();
+
+  for (const element of form.querySelectorAll('input, select, textarea')) {
+    const name = element.getAttribute('name');
+    const type = element.tagName === 'INPUT' ? (element.getAttribute('type') || 'text').toLowerCase() : element.tagName.toLowerCase();
+
+    // Apostrophe's own fields (_formId, ...) and buttons aren't form data
+    if (!name || name.startsWith('_') || SKIPPED_TYPES.includes(type)) continue;
+    // Netlify's form-name and honeypot fields
+    if (name === 'form-name' || name === 'bot-field') continue;
+
+    if ((type === 'radio' || type === 'checkbox') && byName.has(name)) {
+      const field = byName.get(name);
+      field.options.push({ value: element.getAttribute('value') ?? 'on', label: normalizeText(element.closest('label')?.textContent) });
+      field.required ||= element.hasAttribute('required');
+      continue;
+    }
+
+    const field = { name, type, label: null, required: element.hasAttribute('required') };
+
+    if (type === 'radio' || type === 'checkbox') {
+      field.label = normalizeText(element.closest('fieldset')?.querySelector('legend')?.textContent) || fieldLabel(form, element);
+      field.options = [{ value: element.getAttribute('value') ?? 'on', label: normalizeText(element.closest('label')?.textContent) }];
+    } else {
+      field.label = fieldLabel(form, element);
+    }
+
+    if (type === 'select') {
+      field.options = Array.from(element.querySelectorAll('option'), option => ({
+        value: option.getAttribute('value') ?? normalizeText(option.textContent),
+        label: normalizeText(option.textContent)
+      }));
+      if (element.hasAttribute('multiple')) field.multiple = true;
+    }
+
+    const validation = {};
+    for (const [attribute, key] of Object.entries(VALIDATION_ATTRIBUTES)) {
+      if (element.hasAttribute(attribute)) validation[key] = element.getAttribute(attribute);
+    }
+    if (Object.keys(validation).length > 0) field.validation = validation;
+
+    if (element.hasAttribute('placeholder')) field.placeholder = element.getAttribute('placeholder');
+
+    fields.push(field);
+    byName.set(name, field);
+  }
+
+  return fields;
+}
+
+/** What a form widget says about itself, read from its markup */
+export function extractFormSchema(form) {
+  const wrapper = form.closest('[data-apos-form-wrapper]') || form.parentElement;
+  const id = form.getAttribute('data-apos-form-id') ||
+    form.querySelector('input[name="_formId"]')?.getAttribute('value') ||
+    form.getAttribute('id') ||
+    null;
+  const title = normalizeText((form.querySelector('h1, h2, h3, h4') || wrapper.querySelector('h1, h2, h3, h4'))?.textContent) || null;
+  const name = slugify(form.getAttribute('data-apos-form-name') || form.getAttribute('name') || title || id || 'form');
+  const submit = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+  const success = wrapper.querySelector(SUCCESS_SELECTOR);
+  const error = wrapper.querySelector(ERROR_SELECTOR);
+
+  return {
+    id,
+    name,
+    title,
+    fields: extractFields(form),
+    submitLabel: submit ? normalizeText(submit.tagName === 'INPUT' ? submit.getAttribute('value') : submit.textContent) || null : null,
+    messages: {
+      success: success ? success.innerHTML.trim() : null,
+      error: error ? normalizeText(error.textContent) || null : null
+    }
+  };
+}
+
+/**
+ * @param {Object|string} options - 'netlify', 'schema', an endpoint URL, or:
+ * @param {string} [options.target] - 'netlify', 'endpoint' or 'schema'
+ * @param {string|Object|Function} [options.endpoint] - Where 'endpoint' forms post:
+ *   a URL ({name} and {id} are replaced), an object of URLs by form name or id
+ *   (with an optional `default`), or `(schema) => url`
+ * @param {string} [options.encoding='form'] - 'form' (urlencoded) or 'json'
+ * @param {boolean} [options.schema] - Write forms/<name>.json (always for 'schema')
+ * @param {string} [options.directory='forms'] - Output subdirectory for the schema files
+ * @param {string} [options.selector=DEFAULT_FORM_SELECTOR] - Selector for form widgets
+ * @param {string} [options.successMessage='Thank you!'] - Shown for forms without one
+ * @param {string} [options.errorMessage] - Shown for forms without one when a submission fails
+ * @param {string} [options.successPage] - Netlify: page shown after a submission without JavaScript
+ */
+export function createFormsProcessor(options) {
+  const {
+    target,
+    endpoint,
+    encoding = 'form',
+    schema = target === 'schema',
+    directory = 'forms',
+    selector = DEFAULT_FORM_SELECTOR,
+    successMessage = 'Thank you!',
+    errorMessage = 'Sorry, something went wrong. Please try again.',
+    successPage
+  } = normalizeFormsOptions(options);
+
+  // Per output tree (multi-domain exports run afterExport once per tree):
+  // `{ schemas, pages, rendered, conflicts }`: the forms by name, the pages
+  // with forms, every page seen and the names shared by different forms
+  const formsByTree = new Map();
+
+  function formsOf(context) {
+    const tree = context?.tree || null;
+    if (!formsByTree.has(tree)) {
+      formsByTree.set(tree, { schemas: new Map(), pages: new Set(), rendered: new Set(), conflicts: new Set() });
+    }
+    return formsByTree.get(tree);
+  }
+
+  /**
+   * Incremental exports only see the pages they re-render: add the pages of
+   * schema files from earlier runs that weren't re-rendered and still exist,
+   * and remove the files of forms no page has anymore.
+   */
+  function mergePreviousSchemas(context, schemaDir, { schemas, pages, rendered }) {
+    if (!fs.existsSync(schemaDir)) return;
+
+    const tree = context.locales?.split ? context.tree : null;
+    const currentUrls = new Set(
+      Object.keys(context.manifest?.pages || {})
+        .filter(url => !tree || context.locales.treeFor(url) === tree)
+        .map(url => (tree ? context.locales.pathInTree(url) : url))
+    );
+
+    for (const fileName of fs.readdirSync(schemaDir)) {
+      if (!fileName.endsWith('.json')) continue;
+
+      const filePath = path.join(schemaDir, fileName);
+      let previous;
+      try {
+        previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      } catch {
+        continue;
+      }
+      if (previous?.version !== FORM_SCHEMA_VERSION || !previous.name || !Array.isArray(previous.pages)) continue;
+
+      const keptPages = previous.pages.filter(url => currentUrls.has(url) && !rendered.has(url));
+
+      if (schemas.has(previous.name)) {
+        const current = schemas.get(previous.name);
+        current.pages = Array.from(new Set([...keptPages, ...current.pages])).sort();
+      } else if (keptPages.length > 0) {
+        // version, target and endpoint are written again from the current options
+        const formSchema = { ...previous, pages: keptPages };
+        delete formSchema.version;
+        delete formSchema.target;
+        delete formSchema.endpoint;
+        schemas.set(previous.name, formSchema);
+      } else {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+
+      keptPages.forEach(url => pages.add(url));
+    }
+  }
+
+  function resolveEndpoint(formSchema) {
+    let url = endpoint;
+    if (typeof endpoint === 'function') {
+      url = endpoint(formSchema);
+    } else if (endpoint && typeof endpoint === 'object') {
+      url = endpoint[formSchema.name] || (formSchema.id && endpoint[formSchema.id]) || endpoint.default;
+    }
+
+    return url && String(url)
+      .replace(/\{name\}/g, encodeURIComponent(formSchema.name))
+      .replace(/\{id\}/g, encodeURIComponent(formSchema.id || formSchema.name));
+  }
+
+  /** Mark the success and error messages for the client script, adding missing ones */
+  function prepareMessages(document, form) {
+    const wrapper = form.closest('[data-apos-form-wrapper]') || form.parentElement;
+
+    let success = wrapper.querySelector(SUCCESS_SELECTOR);
+    if (!success) {
+      success = document.createElement('div');
+      success.innerHTML = `<p>${escapeHtml(successMessage)}</p>`;
+      success.hidden = true;
+      form.after(success);
+    }
+    success.setAttribute('data-apos-static-form-success', '');
+    success.setAttribute('role', 'status');
+    success.setAttribute('tabindex', '-1');
+
+    let error = wrapper.querySelector(ERROR_SELECTOR);
+    if (!error) {
+      error = document.createElement('p');
+      error.textContent = errorMessage;
+      error.hidden = true;
+      success.after(error);
+    }
+    error.setAttribute('data-apos-static-form-error', '');
+    error.setAttribute('role', 'alert');
+  }
+
+  function prepareForm(document, form, formSchema) {
+    form.setAttribute('method', 'POST');
+    form.setAttribute('data-apos-static-form', formSchema.name);
+    form.setAttribute('data-apos-static-form-encoding', target === 'netlify' ? 'form' : encoding);
+
+    if (target === 'netlify') {
+      form.setAttribute('name', formSchema.name);
+      form.setAttribute('data-netlify', 'true');
+      form.setAttribute('netlify-honeypot', 'bot-field');
+      if (successPage) {
+        form.setAttribute('action', successPage);
+      } else {
+        form.removeAttribute('action');
+      }
+
+      // Netlify matches JavaScript submissions to the form by this field
+      if (!form.querySelector('input[name="form-name"]')) {
+        form.insertAdjacentHTML('afterbegin',
+          `<input type="hidden" name="form-name" value="${escapeHtml(formSchema.name)}">` +
+          '<p hidden><label>Leave this empty: <input name="bot-field"></label></p>');
+      }
+    } else {
+      form.setAttribute('action', resolveEndpoint(formSchema));
+    }
+
+    prepareMessages(document, form);
+  }
+
+  return {
+    name: 'forms',
+
+    transformHtml(page, context) {
+      formsOf(context).rendered.add(page.url);
+
+      // Only pay for a DOM when the page may have a form
+      if (!page.hasDocument && !page.html.includes('<form')) return;
+
+      const document = page.document;
+      const forms = Array.from(document.querySelectorAll(selector));
+      if (forms.length === 0) return;
+
+      const { schemas, pages, conflicts } = formsOf(context);
+      let submittable = 0;
+
+      for (const form of forms) {
+        const formSchema = extractFormSchema(form);
+        const existing = schemas.get(formSchema.name);
+
+        if (!existing) {
+          schemas.set(formSchema.name, { ...formSchema, pages: [] });
+        } else if (formIdentity(existing) !== formIdentity(formSchema) && !conflicts.has(formSchema.name)) {
+          // Submissions and the schema file go by name, so the two forms would be mixed up
+          conflicts.add(formSchema.name);
+          page.logger.warn(
+            `   ⚠️  Form "${formSchema.name}" on ${page.url} differs from the form of that name on ${existing.pages[0]}; ` +
+            'its schema is merged into that one. Give the forms different names (data-apos-form-name)',
+            { event: 'form.conflict', form: formSchema.name, pages: [existing.pages[0], page.url] }
+          );
+        }
+        schemas.get(formSchema.name).pages.push(page.url);
+
+        if (target === 'schema') {
+          form.setAttribute('data-apos-static-form-schema', `/${directory}/${formSchema.name}.json`);
+          continue;
+        }
+
+        if (target === 'endpoint' && !resolveEndpoint(formSchema)) {
+          page.logger.warn(`   ⚠️  No form endpoint for "${formSchema.name}" on ${page.url}; leaving it unchanged`, {
+            event: 'form.skipped',
+            form: formSchema.name
+          });
+          continue;
+        }
+
+        prepareForm(document, form, formSchema);
+        submittable++;
+      }
+
+      pages.add(page.url);
+
+      if (submittable > 0 && !document.querySelector(`script[src="${SCRIPT_SRC}"]`)) {
+        const script = document.createElement('script');
+        script.setAttribute('src', SCRIPT_SRC);
+        script.setAttribute('defer', '');
+        document.head.append(script);
+      }
+    },
+
+    afterExport(context) {
+      const forms = formsOf(context);
+      const { schemas, pages } = forms;
+      const schemaDir = path.join(context.outputDir, directory);
+      if (schema) mergePreviousSchemas(context, schemaDir, forms);
+
+      context.results.forms ||= { target, forms: 0, pages: 0 };
+      context.results.forms.forms += schemas.size;
+      context.results.forms.pages += pages.size;
+      if (schemas.size === 0) return;
+
+      if (target !== 'schema') {
+        const scriptPath = path.join(context.outputDir, '_apos-static', 'forms.js');
+        fs.mkdirSync(path.dirname(scriptPath), { recursive: true });
+        copyOutputFile(CLIENT_SCRIPT_PATH, scriptPath);
+      }
+
+      if (!schema) return;
+
+      fs.mkdirSync(schemaDir, { recursive: true });
+
+      for (const formSchema of schemas.values()) {
+        writeOutputFile(
+          path.join(schemaDir, `${formSchema.name}.json`),
+          JSON.stringify({
+            version: FORM_SCHEMA_VERSION,
+            ...formSchema,
+            target,
+            endpoint: target === 'endpoint' ? resolveEndpoint(formSchema) || null : null
+          }, null, 2)
+        );
+      }
+    }
+  };
+}
@@ -0,0 +1,338 @@
+/**
+ * Responsive Images Processor
+ *
+ * Makes upload images in self-contained exports (downloadUploads: true)
+ * complete and right-sized:
+ * - Finds upload URLs in <img> and <picture><source> src and srcset
+ * - Downloads every referenced Apostrophe size variant, or generates it
+ *   from the original when the variant isn't available
+ * - Optionally adds WebP/AVIF alternatives as <picture> sources
+ * - Adds width/height (from the image file) and loading="lazy"
+ * - Rewrites the references to the local copies
+ *
+ * Resizing, conversion and measuring use sharp, which is installed with
+ * Astro; without it images are still downloaded and rewritten.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { toUploadPath, uploadFilePath } from './uploads.js';
+
+/** Apostrophe's default image size variants (`@apostrophecms/attachment` imageSizes) */
+export const DEFAULT_IMAGE_SIZES = {
+  max: { width: 1600, height: 1600 },
+  full: { width: 1140, height: 1140 },
+  'two-thirds': { width: 760, height: 760 },
+  'one-half': { width: 570, height: 700 },
+  'one-third': { width: 380, height: 700 },
+  'one-sixth': { width: 190, height: 350 }
+};
+
+const CONVERTIBLE = ['.jpg', '.jpeg', '.png'];
+const FORMAT_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+let sharpModule;
+
+async function loadSharp(logger) {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = (await import('sharp')).default;
+    } catch {
+      logger.warn('   ⚠️  sharp is not installed: images are downloaded but not resized, converted or measured');
+      sharpModule = null;
+    }
+  }
+  return sharpModule;
+}
+
+function parseSrcset(value) {
+  return value
+    .split(',')
+    .map(candidate => candidate.trim())
+    .filter(Boolean)
+    .map(candidate => {
+      const [url, ...descriptor] = candidate.split(/\s+/);
+      return { url, descriptor: descriptor.join(' ') };
+    });
+}
+
+function serializeSrcset(candidates) {
+  return candidates.map(({ url, descriptor }) => (descriptor ? `${url} ${descriptor}` : url)).join(', ');
+}
+
+/** Strings every upload URL of the markup contains one of (see toUploadPath) */
+function uploadMarkers(origins = []) {
+  const markers = ['/uploads/'];
+  for (const origin of origins) {
+    try {
+      const { host, pathname } = new URL(origin);
+      markers.push(`${host}${pathname.replace(/\/+$/, '')}/`);
+    } catch {
+      // Not a URL, never matched by toUploadPath either
+    }
+  }
+  return markers;
+}
+
+function withExtension(uploadPath, extension) {
+  return uploadPath.slice(0, uploadPath.length - path.extname(uploadPath).length) + extension;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string[]} [options.formats=[]] - Modern formats to add ('webp', 'avif')
+ * @param {boolean} [options.dimensions=true] - Add width/height to images without them
+ * @param {boolean} [options.lazy=true] - Add loading="lazy" (not to fetchpriority="high" images)
+ * @param {string} [options.variants='download'] - 'download' fetches size variants and
+ *   generates the ones that fail from the original; 'generate' always generates them
+ * @param {Object} [options.sizes=DEFAULT_IMAGE_SIZES] - Size variant names and bounds
+ * @param {number} [options.quality=80] - Quality for generated and converted images
+ */
+export function createResponsiveImagesProcessor(options = {}) {
+  const {
+    formats = [],
+    dimensions = true,
+    lazy = true,
+    variants = 'download',
+    sizes = DEFAULT_IMAGE_SIZES,
+    quality = 80
+  } = options;
+
+  const unknownFormats = formats.filter(format => !FORMAT_TYPES[format]);
+  if (unknownFormats.length > 0) {
+    throw new Error(`Unsupported image format(s): ${unknownFormats.join(', ')} (available: webp, avif)`);
+  }
+
+  const sizeNames = Object.keys(sizes).map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const variantPattern = new RegExp(`^(.+)\\.(${sizeNames.join('|')})(\\.[a-z0-9]+)$`, 'i');
+
+  // Keyed by output directory too: multi-domain exports have one uploads tree per domain
+  const images = new Map();
+  const alternatives = new Map();
+  const imageKey = (context, uploadPath) => `${context.outputDir}\n${uploadPath}`;
+  const stats = { downloaded: 0, generated: 0, converted: 0, failed: 0 };
+
+  async function download(url, filePath, context) {
+    const started = Date.now();
+    const { bytes } = (await context.uploadCache.download(url, filePath)) || {};
+    stats.downloaded++;
+    context.logger.debug(`   ↓ ${url}`, { event: 'upload.downloaded', url, bytes, duration: Date.now() - started });
+  }
+
+  async function generate(uploadPath, filePath, context) {
+    const match = uploadPath.match(variantPattern);
+    const sharp = await loadSharp(context.logger);
+    if (!match || !sharp) return false;
+
+    const original = await ensureImage(`${match[1]}${match[3]}`, null, context);
+    if (!original) return false;
+
+    const { width, height } = sizes[match[2]];
+    await sharp(original.filePath)
+      .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+      .toFile(filePath);
+    stats.generated++;
+    return true;
+  }
+
+  /** Download (or generate) an upload once per run; resolves to its file and size */
+  function ensureImage(uploadPath, url, context) {
+    const key = imageKey(context, uploadPath);
+    if (!images.has(key)) {
+      images.set(key, (async () => {
+        const filePath = uploadFilePath(context.outputDir, uploadPath);
+        if (!filePath) {
+          stats.failed++;
+          context.logger.warn(`   ⚠️  Skipping image outside the output directory: ${uploadPath}`, {
+            event: 'image.failed',
+            path: uploadPath,
+            error: 'outside the output directory'
+          });
+          return null;
+        }
+
+        // Incremental exports keep the files of earlier runs
+        if (!fs.existsSync(filePath)) {
+          const isVariant = variantPattern.test(uploadPath);
+
+          try {
+            if (isVariant && variants === 'generate' && await generate(uploadPath, filePath, context)) {
+              // Generated from the original
+            } else {
+              await download(url || new URL(uploadPath, context.aposHost).href, filePath, context);
+            }
+          } catch (error) {
+            if (!isVariant || !(await generate(uploadPath, filePath, context).catch(() => false))) {
+              stats.failed++;
+              context.logger.warn(`   ⚠️  Failed to get image ${uploadPath}: ${error.message}`, {
+                event: 'image.failed',
+                path: uploadPath,
+                error: error.message
+              });
+              return null;
+            }
+          }
+        }
+
+        const sharp = await loadSharp(context.logger);
+        const metadata = sharp ? await sharp(filePath).metadata().catch(() => ({})) : {};
+        context.downloadedUploads?.add(uploadPath);
+        return { filePath, width: metadata.width, height: metadata.height };
+      })());
+    }
+    return images.get(key);
+  }
+
+  /** Path of a converted copy, or null when the image can't be converted */
+  function ensureAlternative(uploadPath, format, context) {
+    const key = `${imageKey(context, uploadPath)}:${format}`;
+    if (!alternatives.has(key)) {
+      alternatives.set(key, (async () => {
+        const sharp = await loadSharp(context.logger);
+        if (!sharp || !CONVERTIBLE.includes(path.extname(uploadPath).toLowerCase())) return null;
+
+        const image = await images.get(imageKey(context, uploadPath));
+        if (!image) return null;
+
+        const alternativePath = withExtension(uploadPath, `.${format}`);
+        const filePath = uploadFilePath(context.outputDir, alternativePath);
+        if (!filePath) return null;
+
+        if (!fs.existsSync(filePath)) {
+          try {
+            await sharp(image.filePath)[format]({ quality }).toFile(filePath);
+            stats.converted++;
+          } catch (error) {
+            context.logger.warn(`   ⚠️  Failed to convert ${uploadPath} to ${format}: ${error.message}`, {
+              event: 'image.failed',
+              path: uploadPath,
+              format,
+              error: error.message
+            });
+            return null;
+          }
+        }
+        return alternativePath;
+      })());
+    }
+    return alternatives.get(key);
+  }
+
+  /** Localize a srcset/src value; resolves to the new value and the local paths */
+  async function localize(element, attribute, context) {
+    const value = element.getAttribute(attribute);
+    if (!value) return [];
+
+    const candidates = attribute === 'srcset' ? parseSrcset(value) : [{ url: value.trim(), descriptor: '' }];
+
+    await Promise.all(candidates.map(async candidate => {
+      const uploadPath = toUploadPath(candidate.url, context.aposHost, context.uploadOrigins);
+      if (!uploadPath) return;
+
+      if (await ensureImage(uploadPath, new URL(candidate.url, context.aposHost).href, context)) {
+        candidate.url = uploadPath;
+        candidate.local = true;
+      }
+    }));
+
+    element.setAttribute(attribute, attribute === 'srcset' ? serializeSrcset(candidates) : candidates[0].url);
+    return candidates;
+  }
+
+  /** <source> elements with converted copies of a srcset (or src) */
+  async function alternativeSources(document, candidates, template, context) {
+    const sources = [];
+    // Formats the markup already offers for the same media (e.g. from Astro's <Picture>)
+    const existingTypes = new Set(
+      Array.from(template.parentElement?.querySelectorAll(':scope > source[type]') || [])
+        .filter(source => source.getAttribute('media') === template.getAttribute('media'))
+        .map(source => source.getAttribute('type'))
+    );
+
+    for (const format of formats) {
+      if (existingTypes.has(FORMAT_TYPES[format])) continue;
+
+      const converted = await Promise.all(candidates.map(async candidate => {
+        if (!candidate.local) return null;
+        const alternativePath = await ensureAlternative(candidate.url, format, context);
+        return alternativePath ? { url: alternativePath, descriptor: candidate.descriptor } : null;
+      }));
+
+      // Only offer a format when every candidate has it
+      if (converted.length === 0 || converted.some(candidate => !candidate)) continue;
+
+      const source = document.createElement('source');
+      source.setAttribute('type', FORMAT_TYPES[format]);
+      source.setAttribute('srcset', serializeSrcset(converted));
+      for (const name of ['media', 'sizes']) {
+        if (template.hasAttribute(name)) source.setAttribute(name, template.getAttribute(name));
+      }
+      sources.push(source);
+    }
+
+    return sources;
+  }
+
+  return {
+    name: 'responsive-images',
+
+    async transformHtml(page, context) {
+      if (!page.hasDocument && !uploadMarkers(context.uploadOrigins).some(marker => page.html.includes(marker))) {
+        return;
+      }
+
+      const document = page.document;
+
+      for (const source of Array.from(document.querySelectorAll('picture > source'))) {
+        const candidates = await localize(source, 'srcset', context);
+
+        if (formats.length > 0 && !source.hasAttribute('type') && candidates.length > 0) {
+          for (const alternative of await alternativeSources(document, candidates, source, context)) {
+            source.before(alternative);
+          }
+        }
+      }
+
+      for (const img of Array.from(document.querySelectorAll('img'))) {
+        const srcCandidates = await localize(img, 'src', context);
+        const srcsetCandidates = await localize(img, 'srcset', context);
+        const src = srcCandidates[0];
+
+        if (!src?.local && !srcsetCandidates.some(candidate => candidate.local)) continue;
+
+        if (dimensions && src?.local && !img.hasAttribute('width') && !img.hasAttribute('height')) {
+          const image = await images.get(imageKey(context, src.url));
+          if (image?.width && image?.height) {
+            img.setAttribute('width', String(image.width));
+            img.setAttribute('height', String(image.height));
+          }
+        }
+
+        if (lazy && !img.hasAttribute('loading') && img.getAttribute('fetchpriority') !== 'high') {
+          img.setAttribute('loading', 'lazy');
+        }
+
+        if (formats.length > 0) {
+          const candidates = srcsetCandidates.length > 0 ? srcsetCandidates : srcCandidates;
+          const sources = await alternativeSources(document, candidates, img, context);
+          if (sources.length === 0) continue;
+
+          let picture = img.parentElement;
+          if (picture?.tagName.toLowerCase() !== 'picture') {
+            picture = document.createElement('picture');
+            img.replaceWith(picture);
+            picture.append(img);
+          }
+
+          for (const source of sources) {
+            img.before(source);
+          }
+        }
+      }
+    },
+
+    afterExport(context) {
+      context.results.images = { ...stats };
+    }
+  };
+}
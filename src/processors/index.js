@@ -2,6 +2,34 @@
  * Processors for transforming HTML during static site generation
  */
 
-export { processVideoWidgets } from './video-widgets.js';
-export { makeUrlsRelative, extractInternalLinks } from './url-rewriter.js';
-export { copyAposUploadsFromFs, extractImagesFromHtml } from './uploads.js';
\ No newline at end of file
+export {
+  processVideoWidgets,
+  processVideoWidgetsInDocument,
+  videoWidgetRenderer
+} from './video-widgets.js';
+export {
+  createCustomElementsProcessor,
+  customElementsProcessor,
+  videoWidgetsProcessor,
+  renderCustomElements,
+  resolveElementRenderers,
+  createElementCache,
+  defaultElementRenderers
+} from './custom-elements.js';
+export {
+  makeUrlsRelative,
+  extractInternalLinks,
+  collectInternalLinks,
+  scanInternalLinks,
+  rewriteUrlsInDocument,
+  rewriteUrlsInMarkup,
+  internalLinksProcessor,
+  urlRewriterProcessor
+} from './url-rewriter.js';
+export { copyAposUploadsFromFs, extractImagesFromHtml, toUploadPath } from './uploads.js';
+export { createResponsiveImagesProcessor, DEFAULT_IMAGE_SIZES } from './images.js';
+export { createAssetUrlRewriteProcessor, findBackendReferences } from './asset-urls.js';
+export { createSearchIndexProcessor, extractSearchText } from './search-index.js';
+export { createDraftBannerProcessor } from './draft-banner.js';
+export { createFormsProcessor, extractFormSchema, DEFAULT_FORM_SELECTOR } from './forms.js';
+export { createLocaleLinksProcessor, localeLinksForPage } from './locale-links.js';
\ No newline at end of file
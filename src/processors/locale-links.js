@@ -0,0 +1,100 @@
+/**
+ * Locale Links Processor
+ *
+ * Gives every page of a multi-locale export absolute link tags built from
+ * the localeConfig `baseUrl` values, replacing any the frontend rendered
+ * (those point at the preview server):
+ * - <link rel="canonical"> with the page's public URL
+ * - <link rel="alternate" hreflang> for each locale of the same document,
+ *   plus x-default for the default locale
+ */
+
+import { getDefaultLocale } from '../sitemap-xml.js';
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/** Entries of each aposDocId, by locale */
+function indexByDocument(entries) {
+  const documents = new Map();
+
+  for (const entry of entries.values()) {
+    if (!entry.aposDocId || !entry.locale || entry.source === 'listing') continue;
+    if (!documents.has(entry.aposDocId)) documents.set(entry.aposDocId, new Map());
+    documents.get(entry.aposDocId).set(entry.locale, entry);
+  }
+
+  return documents;
+}
+
+/**
+ * Link tags for a page, as `[{ rel, hreflang?, href }]`.
+ *
+ * @param {string} urlPath - Path of the page in the output
+ * @param {Object} context - Needs `locales` (the locale layout), `entries` and `options`
+ */
+export function localeLinksForPage(urlPath, context, documents = indexByDocument(context.entries)) {
+  const entry = context.entries.get(urlPath);
+  const locale = entry?.locale || context.locales.localeFor(urlPath);
+  const canonical = context.locales.absoluteUrl(urlPath, locale);
+  if (!canonical) return [];
+
+  const links = [{ rel: 'canonical', href: canonical }];
+  const versions = entry?.aposDocId && entry.source !== 'listing' ? documents.get(entry.aposDocId) : null;
+
+  if (versions && versions.size > 1) {
+    const defaultLocale = getDefaultLocale(context.options.localeConfig);
+
+    for (const [versionLocale, version] of versions) {
+      const href = context.locales.absoluteUrl(version.url, versionLocale);
+      if (href) links.push({ rel: 'alternate', hreflang: versionLocale, href });
+    }
+
+    const fallback = versions.get(defaultLocale);
+    if (fallback) {
+      links.push({ rel: 'alternate', hreflang: 'x-default', href: context.locales.absoluteUrl(fallback.url, defaultLocale) });
+    }
+  }
+
+  return links;
+}
+
+export function createLocaleLinksProcessor() {
+  const documentsByEntries = new WeakMap();
+
+  return {
+    name: 'locale-links',
+
+    transformHtml(page, context) {
+      // Tree contexts share the entries of the export
+      if (!documentsByEntries.has(context.entries)) {
+        documentsByEntries.set(context.entries, indexByDocument(context.entries));
+      }
+
+      // page.url is the path on the page's domain; entries are keyed by the path in the output
+      const urlPath = (context.tree?.prefix || '') + page.url;
+      const links = localeLinksForPage(urlPath, context, documentsByEntries.get(context.entries));
+      if (links.length === 0) return;
+
+      const markup = links.map(({ rel, hreflang, href }) =>
+        `<link rel="${rel}"${hreflang ? ` hreflang="${escapeAttribute(hreflang)}"` : ''} href="${escapeAttribute(href)}">`
+      ).join('');
+
+      if (page.hasDocument) {
+        const document = page.document;
+        for (const element of document.querySelectorAll('link[rel="canonical" i], link[rel="alternate" i][hreflang]')) {
+          element.remove();
+        }
+        document.head.insertAdjacentHTML('beforeend', markup);
+        return;
+      }
+
+      const html = page.html
+        .replace(/<link\b(?=[^>]*\brel=["']?canonical\b)[^>]*>\s*/gi, '')
+        .replace(/<link\b(?=[^>]*\brel=["']?alternate\b)(?=[^>]*\bhreflang=)[^>]*>\s*/gi, '');
+      const headEnd = html.search(/<\/head>/i);
+      page.html = headEnd === -1 ? markup + html : html.slice(0, headEnd) + markup + html.slice(headEnd);
+    }
+  };
+}
@@ -0,0 +1,163 @@
+/**
+ * Search Index Processor
+ *
+ * Replaces ApostropheCMS search on the static site:
+ * - Extracts title and body text from every rendered document page
+ * - Writes one compact JSON index per locale (search-index/<locale>.json)
+ * - Copies a drop-in client script that searches it (_apos-static/search.js)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { decodeEntities } from '../html-scanner.js';
+import { queryParamsToPath, writeOutputFile, copyOutputFile } from '../utils.js';
+
+export const SEARCH_INDEX_VERSION = 1;
+export const SEARCH_INDEX_FIELDS = ['url', 'title', 'type', 'text'];
+
+const CLIENT_SCRIPT_PATH = fileURLToPath(new URL('../client/search.js', import.meta.url));
+const EXCLUDED_ELEMENTS = ['script', 'style', 'noscript', 'template', 'svg', 'nav', 'header', 'footer'];
+
+function extractTitle(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i);
+  return match ? normalizeText(match[1].replace(/<[^>]+>/g, ' ')) : '';
+}
+
+function normalizeText(text) {
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Visible text of a page, preferring <main> when there is one and leaving
+ * out scripts, styles and site chrome (nav, header, footer).
+ */
+export function extractSearchText(html, maxLength = 2000) {
+  let content = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  const main = content.match(/<main\b[^>]*>([\s\S]*)<\/main>/i);
+  if (main) {
+    content = main[1];
+  } else {
+    const body = content.match(/<body\b[^>]*>([\s\S]*)<\/body>/i);
+    if (body) content = body[1];
+  }
+
+  for (const element of EXCLUDED_ELEMENTS) {
+    content = content.replace(new RegExp(`<${element}\\b[\\s\\S]*?<\\/${element}>`, 'gi'), ' ');
+  }
+
+  return truncate(normalizeText(content.replace(/<[^>]+>/g, ' ')), maxLength);
+}
+
+function truncate(text, maxLength) {
+  return text.length > maxLength ? text.slice(0, maxLength).replace(/\s+\S*$/, '') : text;
+}
+
+function extractFromDocument(document, maxLength) {
+  const title = normalizeText(document.title || document.querySelector('h1')?.textContent || '');
+  const root = (document.querySelector('main') || document.body)?.cloneNode(true);
+  if (!root) return { title, text: '' };
+
+  for (const element of root.querySelectorAll(EXCLUDED_ELEMENTS.join(','))) {
+    element.remove();
+  }
+
+  // Same tag-boundary spacing as the markup path (textContent would glue words)
+  return { title, text: truncate(normalizeText(root.innerHTML.replace(/<[^>]+>/g, ' ')), maxLength) };
+}
+
+function readIndex(filePath) {
+  try {
+    const index = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return index.version === SEARCH_INDEX_VERSION ? index.docs : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxTextLength=2000] - Characters of body text kept per page
+ * @param {string[]} [options.exclude=[]] - Document types left out of the index
+ * @param {string} [options.directory='search-index'] - Output subdirectory for the index files
+ */
+export function createSearchIndexProcessor(options = {}) {
+  const {
+    maxTextLength = 2000,
+    exclude = [],
+    directory = 'search-index'
+  } = options;
+
+  const docsByLocale = new Map();
+  const renderedUrls = new Set();
+
+  return {
+    name: 'search-index',
+
+    transformHtml(page) {
+      // Crawled variants (pagination, filters) would only duplicate results
+      if (!page.entry || page.entry.source === 'listing' || exclude.includes(page.entry.type)) return;
+
+      const locale = page.entry.locale || 'default';
+      if (!docsByLocale.has(locale)) docsByLocale.set(locale, []);
+
+      // Read from the shared DOM when there is one rather than serializing it
+      const { title, text } = page.hasDocument
+        ? extractFromDocument(page.document, maxTextLength)
+        : { title: extractTitle(page.html), text: extractSearchText(page.html, maxTextLength) };
+
+      docsByLocale.get(locale).push([
+        queryParamsToPath(page.url),
+        title,
+        page.entry.type || null,
+        text
+      ]);
+      renderedUrls.add(`${locale} ${queryParamsToPath(page.url)}`);
+    },
+
+    afterExport(context) {
+      const indexDir = path.join(context.outputDir, directory);
+      fs.mkdirSync(indexDir, { recursive: true });
+
+      // Multi-domain exports run this once per output tree, with the tree's locales
+      const tree = context.locales?.split ? context.tree : null;
+
+      // Incremental exports keep the entries of pages that weren't re-rendered
+      const currentUrls = new Set(
+        Object.keys(context.manifest?.pages || {})
+          .filter(url => !tree || context.locales.treeFor(url) === tree)
+          .map(url => queryParamsToPath(tree ? context.locales.pathInTree(url) : url))
+      );
+      const locales = new Set(docsByLocale.keys());
+      for (const fileName of fs.readdirSync(indexDir)) {
+        if (fileName.endsWith('.json')) locales.add(fileName.slice(0, -5));
+      }
+
+      context.results.searchIndex ||= {};
+
+      for (const locale of locales) {
+        if (tree && !tree.locales.includes(locale)) continue;
+
+        const filePath = path.join(indexDir, `${locale}.json`);
+        const previousDocs = readIndex(filePath)
+          .filter(([url]) => currentUrls.has(url) && !renderedUrls.has(`${locale} ${url}`));
+
+        const docs = [...previousDocs, ...(docsByLocale.get(locale) || [])]
+          .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+        writeOutputFile(filePath, JSON.stringify({
+          version: SEARCH_INDEX_VERSION,
+          locale,
+          fields: SEARCH_INDEX_FIELDS,
+          docs
+        }));
+        context.results.searchIndex[locale] = docs.length;
+      }
+
+      const scriptPath = path.join(context.outputDir, '_apos-static', 'search.js');
+      fs.mkdirSync(path.dirname(scriptPath), { recursive: true });
+      copyOutputFile(CLIENT_SCRIPT_PATH, scriptPath);
+    }
+  };
+}
@@ -3,14 +3,73 @@
  *
  * Handles ApostropheCMS uploads:
  * - Copies from local filesystem if available (monorepo)
- * - Downloads referenced images from ApostropheCMS backend
+ * - Downloads referenced uploads from the ApostropheCMS backend or the
+ *   CDN/S3 origins serving them, through the upload cache
+ *
+ * Images in <img>/<picture> are handled by the responsive images processor
+ * (images.js) when it is enabled.
  */
 
 import fs from 'fs';
 import path from 'path';
-import { fetchWithRetry, copyDir } from '../utils.js';
+import { copyDir, mapLimit, writeOutputFile } from '../utils.js';
+import { scanTags, rewriteAttributes } from '../html-scanner.js';
+import { createUploadCache } from '../upload-cache.js';
+import { defaultLogger } from '../logger.js';
+
+/**
+ * Root-relative `/uploads/...` path of an upload URL, or null. Uploads are
+ * root-relative `/uploads/` URLs, `<aposHost>/uploads/` URLs, or URLs under
+ * one of `origins`: the public base URL of uploadfs storage on a CDN or S3
+ * (e.g. 'https://cdn.example.com/uploads' or 'https://bucket.s3.amazonaws.com'),
+ * which stands in for `/uploads`.
+ */
+export function toUploadPath(url, aposHost, origins = []) {
+  if (!url || url.startsWith('data:')) return null;
+
+  try {
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      const { pathname } = new URL(url, 'http://localhost');
+      return pathname.startsWith('/uploads/') ? pathname : null;
+    }
+
+    const parsed = new URL(url, aposHost);
+
+    for (const origin of [`${aposHost}/uploads`, ...origins]) {
+      const base = new URL(`${origin.replace(/\/+$/, '')}/`);
+      // Same host on http or https (and protocol-relative URLs) serves the same files
+      if (parsed.host === base.host && parsed.pathname.startsWith(base.pathname)) {
+        return `/uploads/${parsed.pathname.slice(base.pathname.length)}`;
+      }
+    }
+  } catch {
+    // Not a URL
+  }
+
+  return null;
+}
+
+/**
+ * Where an upload path is stored in the output (URL-decoded, so hosts serve
+ * it), or null when it would leave rootDir: upload URLs come from page
+ * markup, and `/uploads/..%2f..%2fevil` must not be written outside it.
+ */
+export function uploadFilePath(rootDir, uploadPath) {
+  let decoded = uploadPath;
+  try {
+    decoded = decodeURIComponent(uploadPath);
+  } catch {
+    // Keep the raw path
+  }
+
+  if (decoded.includes('\0') || decoded.split(/[\\/]/).includes('..')) return null;
+
+  const root = path.resolve(rootDir);
+  const filePath = path.resolve(root, decoded.replace(/^\/+/, ''));
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+}
 
-export async function copyAposUploadsFromFs(staticDir) {
+export async function copyAposUploadsFromFs(staticDir, logger = defaultLogger) {
   const candidatePaths = [
     path.join(process.cwd(), "..", "backend", "public", "uploads"),
     path.join(process.cwd(), "backend", "public", "uploads"),
@@ -22,7 +81,7 @@ export async function copyAposUploadsFromFs(staticDir) {
     if (fs.existsSync(candidatePath) && fs.statSync(candidatePath).isDirectory()) {
       const files = fs.readdirSync(candidatePath);
       if (files.length > 0) {
-        console.log(`   Copying uploads from: ${candidatePath}`);
+        logger.info(`   Copying uploads from: ${candidatePath}`, { event: 'uploads.copy', from: candidatePath });
         copyDir(candidatePath, path.join(staticDir, "uploads"));
         return true;
       }
@@ -32,66 +91,132 @@ export async function copyAposUploadsFromFs(staticDir) {
   return false;
 }
 
-export async function extractImagesFromHtml(staticDir, aposHost, retries = 3) {
-  const htmlFiles = [];
+const UPLOAD_ATTRIBUTES = new Set(['src', 'href', 'srcset', 'poster']);
 
-  (function walkDirectory(dir) {
-    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
-      const filePath = path.join(dir, entry.name);
+function listHtmlFiles(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
 
-      if (entry.isDirectory()) {
-        walkDirectory(filePath);
-      } else if (entry.isFile() && entry.name.endsWith(".html")) {
-        htmlFiles.push(filePath);
-      }
+    if (entry.isDirectory()) {
+      listHtmlFiles(filePath, files);
+    } else if (entry.isFile() && entry.name.endsWith(".html")) {
+      files.push(filePath);
     }
-  })(staticDir);
+  }
+  return files;
+}
+
+function attributeUrls(attribute, value) {
+  return attribute === 'srcset'
+    ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean)
+    : [value.trim()];
+}
 
-  const uploadUrls = new Set();
-  const escapedHost = aposHost.replace(/[-/\\^$*+?.()|[\]{}]/g, "\\$&");
-  const urlRegex = new RegExp(
-    `(?:src|href)=["'](?:${escapedHost})?/uploads/[^"']+["']`, 
-    "gi"
-  );
+/**
+ * Download every upload referenced from src/href/srcset/poster attributes in
+ * the HTML, and point those attributes at the local copies.
+ *
+ * @param {Object} [options]
+ * @param {Set<string>} [options.skip] - Upload paths already in place (e.g. from the
+ *   responsive images processor)
+ * @param {string[]} [options.origins] - CDN/S3 base URLs serving uploads (see toUploadPath)
+ * @param {number} [options.concurrency=4] - Parallel downloads
+ * @param {Object} [options.cache] - Upload cache from createUploadCache (default: no cache)
+ * @param {Object} [options.logger] - Gets an `upload.downloaded` debug event per upload
+ * @returns {Promise<{ downloaded: number, failed: number }>}
+ */
+export async function extractImagesFromHtml(staticDir, aposHost, retries = 3, {
+  skip = new Set(),
+  origins = [],
+  concurrency = 4,
+  cache = createUploadCache({ dir: false, retries }),
+  logger = defaultLogger
+} = {}) {
+  const htmlFiles = listHtmlFiles(staticDir);
+
+  // Local upload path -> URL to download it from
+  const uploads = new Map();
+  // Paths that would be written outside staticDir, reported once
+  const unsafe = new Set();
 
   for (const htmlFile of htmlFiles) {
-    const htmlContent = fs.readFileSync(htmlFile, "utf8");
-    const matches = htmlContent.matchAll(urlRegex);
-
-    for (const match of matches) {
-      const urlMatch = match[0].match(/["']([^"']+)["']/);
-      if (urlMatch) {
-        uploadUrls.add(urlMatch[1]);
+    scanTags(fs.readFileSync(htmlFile, "utf8"), ({ attributes }) => {
+      for (const { name, value } of attributes) {
+        if (!value || !UPLOAD_ATTRIBUTES.has(name)) continue;
+
+        for (const url of attributeUrls(name, value)) {
+          const uploadPath = toUploadPath(url, aposHost, origins);
+          if (!uploadPath || skip.has(uploadPath) || uploads.has(uploadPath) || unsafe.has(uploadPath)) continue;
+
+          if (uploadFilePath(staticDir, uploadPath)) {
+            uploads.set(uploadPath, new URL(url, aposHost).href);
+          } else {
+            unsafe.add(uploadPath);
+            logger.warn(`   ⚠️  Skipping upload outside the output directory: ${url}`, {
+              event: 'upload.failed',
+              url,
+              path: uploadPath,
+              error: 'outside the output directory'
+            });
+          }
+        }
       }
-    }
+    });
+  }
+
+  if (uploads.size === 0) {
+    logger.info(skip.size > 0 ? "   No other upload URLs found in HTML" : "   No upload URLs found in HTML");
+    return { downloaded: 0, failed: 0 };
   }
 
-  if (uploadUrls.size === 0) {
-    console.log("   No upload URLs found in HTML");
-    return;
+  logger.info(`   Downloading ${uploads.size} upload assets...`, { event: 'uploads.start', count: uploads.size });
+
+  const outcome = await mapLimit(Array.from(uploads), concurrency, async ([uploadPath, url]) => {
+    const started = Date.now();
+    const { bytes, cached } = (await cache.download(url, uploadFilePath(staticDir, uploadPath))) || {};
+    logger.debug(`   ↓ ${uploadPath}${cached ? ' (cached)' : ''}`, {
+      event: 'upload.downloaded',
+      url,
+      path: uploadPath,
+      bytes,
+      cached,
+      duration: Date.now() - started
+    });
+  });
+
+  const failedPaths = new Set();
+  for (const { item: [uploadPath, url], error } of outcome.errors) {
+    failedPaths.add(uploadPath);
+    logger.warn(`   ⚠️  Failed to download: ${url} (${error})`, { event: 'upload.failed', url, path: uploadPath, error });
   }
 
-  console.log(`   Downloading ${uploadUrls.size} upload assets...`);
-  let downloaded = 0;
-  let failed = 0;
-
-  for (const uploadUrl of uploadUrls) {
-    try {
-      const fullUrl = uploadUrl.startsWith("http") ? uploadUrl : `${aposHost}${uploadUrl}`;
-      const relativePath = fullUrl.replace(/^https?:\/\/[^/]+/, "");
-      const destPath = path.join(staticDir, relativePath);
-
-      fs.mkdirSync(path.dirname(destPath), { recursive: true });
-
-      const response = await fetchWithRetry(fullUrl, {}, 60000, retries);
-      const buffer = Buffer.from(await response.arrayBuffer());
-      fs.writeFileSync(destPath, buffer);
-      downloaded++;
-    } catch (error) {
-      failed++;
-      console.warn(`   ⚠️  Failed to download: ${uploadUrl}`);
+  // Absolute upload URLs (backend, CDN) now point at the local copies
+  const localize = url => {
+    const uploadPath = toUploadPath(url, aposHost, origins);
+    return uploadPath && !failedPaths.has(uploadPath) && !unsafe.has(uploadPath) ? uploadPath + (url.match(/[?#].*$/)?.[0] || '') : url;
+  };
+
+  for (const htmlFile of htmlFiles) {
+    const html = fs.readFileSync(htmlFile, "utf8");
+    const rewritten = rewriteAttributes(html, (tagName, attribute, value) => {
+      if (!value || !UPLOAD_ATTRIBUTES.has(attribute)) return undefined;
+
+      if (attribute !== 'srcset') return localize(value.trim());
+
+      const candidates = value.split(',').map(candidate => candidate.trim().split(/\s+/));
+      if (!candidates.some(([url]) => url && localize(url) !== url)) return undefined;
+      return candidates.map(([url, ...descriptor]) => [localize(url), ...descriptor].join(' ')).join(', ');
+    });
+
+    if (rewritten !== html) {
+      writeOutputFile(htmlFile, rewritten);
     }
   }
 
-  console.log(`   ✓ Downloaded ${downloaded} assets${failed > 0 ? `, ${failed} failed` : ''}`);
-}
\ No newline at end of file
+  logger.info(`   ✓ Downloaded ${outcome.success} assets${outcome.failed > 0 ? `, ${outcome.failed} failed` : ''}`, {
+    event: 'uploads.done',
+    downloaded: outcome.success,
+    failed: outcome.failed
+  });
+  return { downloaded: outcome.success, failed: outcome.failed };
+}
@@ -5,75 +5,143 @@
  * - Converts preview server URLs to relative URLs
  * - Converts query parameters to path segments
  * - Extracts internal links for crawling
+ *
+ * Each operation works on a parsed document, or on the raw markup through
+ * the streaming scanner when nothing else needs a DOM.
  */
 
 import { JSDOM } from 'jsdom';
 import { queryParamsToPath } from '../utils.js';
+import { scanTags, rewriteAttributes } from '../html-scanner.js';
+import { canonicalLink } from '../pagination.js';
 
-export function extractInternalLinks(html, baseUrl) {
-  const dom = new JSDOM(html);
-  const document = dom.window.document;
-  const links = new Set();
+function toInternalLink(href, baseUrl) {
+  if (!href) return null;
+
+  try {
+    const url = new URL(href, baseUrl);
+
+    if (url.origin === new URL(baseUrl).origin) {
+      return url.pathname + url.search || null;
+    }
+  } catch (error) {
+    // Invalid URL, skip
+  }
+
+  return null;
+}
+
+function toStaticUrl(url, previewUrl, routes) {
+  if (!url) return url;
 
-  const anchors = document.querySelectorAll('a[href]');
-  for (const anchor of anchors) {
-    const href = anchor.getAttribute('href');
-    if (!href) continue;
-
-    try {
-      const url = new URL(href, baseUrl);
-
-      if (url.origin === new URL(baseUrl).origin) {
-        const pathWithoutHash = url.pathname + url.search;
-        if (pathWithoutHash) {
-          links.add(pathWithoutHash);
-        }
-      }
-    } catch (error) {
-      // Invalid URL, skip
+  try {
+    let finalUrl = url;
+
+    if (url.startsWith(previewUrl)) {
+      const urlObj = new URL(url);
+      finalUrl = urlObj.pathname + urlObj.search + urlObj.hash;
+    } else if (/^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) {
+      // Other sites (and mailto:, tel:, ...) keep their query strings: their
+      // paths are not ours to map, and `youtube.com/watch?v=...` (the link of
+      // a video facade) would otherwise become a dead `/watch/v-.../`
+      return url;
+    }
+
+    if (finalUrl.includes('?')) {
+      const [pathname, search] = finalUrl.split('?');
+      const hashIndex = search.indexOf('#');
+      const searchWithoutHash = hashIndex >= 0 ? search.substring(0, hashIndex) : search;
+      const hash = hashIndex >= 0 ? search.substring(hashIndex) : '';
+
+      // Listing variants discovered from the CMS have their own static path
+      const pathWithSlash = pathname.endsWith('/') ? pathname : `${pathname}/`;
+      const staticPath = routes?.get(canonicalLink(pathWithSlash + '?' + searchWithoutHash)) ||
+        queryParamsToPath(pathname + '?' + searchWithoutHash);
+      finalUrl = staticPath + hash;
     }
+
+    return finalUrl;
+  } catch (error) {
+    // Not a valid URL, skip
+    return url;
+  }
+}
+
+export function collectInternalLinks(document, baseUrl) {
+  const links = new Set();
+
+  for (const anchor of document.querySelectorAll('a[href]')) {
+    const link = toInternalLink(anchor.getAttribute('href'), baseUrl);
+    if (link) links.add(link);
   }
 
   return Array.from(links);
 }
 
-export function makeUrlsRelative(html, previewUrl) {
-  const dom = new JSDOM(html);
-  const document = dom.window.document;
+export function scanInternalLinks(html, baseUrl) {
+  const links = new Set();
+
+  scanTags(html, ({ name, attributes }) => {
+    if (name !== 'a') return;
+
+    const href = attributes.find(attribute => attribute.name === 'href');
+    const link = toInternalLink(href?.value, baseUrl);
+    if (link) links.add(link);
+  });
+
+  return Array.from(links);
+}
 
+export function rewriteUrlsInDocument(document, previewUrl, routes) {
   const elements = document.querySelectorAll('a[href], form[action]');
 
   for (const element of elements) {
     const attr = element.tagName.toLowerCase() === 'a' ? 'href' : 'action';
     const url = element.getAttribute(attr);
+    const finalUrl = toStaticUrl(url, previewUrl, routes);
+
+    if (finalUrl !== url) {
+      element.setAttribute(attr, finalUrl);
+    }
+  }
+}
+
+export function rewriteUrlsInMarkup(html, previewUrl, routes) {
+  return rewriteAttributes(html, (tagName, attributeName, value) => {
+    if ((tagName === 'a' && attributeName === 'href') || (tagName === 'form' && attributeName === 'action')) {
+      return toStaticUrl(value, previewUrl, routes);
+    }
+  });
+}
 
-    if (!url) continue;
+export function extractInternalLinks(html, baseUrl) {
+  return collectInternalLinks(new JSDOM(html).window.document, baseUrl);
+}
 
-    try {
-      let finalUrl = url;
+export function makeUrlsRelative(html, previewUrl) {
+  const dom = new JSDOM(html);
+  rewriteUrlsInDocument(dom.window.document, previewUrl);
+  return dom.serialize();
+}
 
-      if (url.startsWith(previewUrl)) {
-        const urlObj = new URL(url);
-        finalUrl = urlObj.pathname + urlObj.search + urlObj.hash;
-      }
+export const internalLinksProcessor = {
+  name: 'internal-links',
 
-      if (finalUrl.includes('?')) {
-        const [pathname, search] = finalUrl.split('?');
-        const hashIndex = search.indexOf('#');
-        const searchWithoutHash = hashIndex >= 0 ? search.substring(0, hashIndex) : search;
-        const hash = hashIndex >= 0 ? search.substring(hashIndex) : '';
+  transformHtml(page, context) {
+    page.links = page.hasDocument
+      ? collectInternalLinks(page.document, context.previewUrl)
+      : scanInternalLinks(page.html, context.previewUrl);
+  }
+};
 
-        const staticPath = queryParamsToPath(pathname + '?' + searchWithoutHash);
-        finalUrl = staticPath + hash;
-      }
+export const urlRewriterProcessor = {
+  name: 'url-rewriter',
 
-      if (finalUrl !== url) {
-        element.setAttribute(attr, finalUrl);
-      }
-    } catch (error) {
-      // Not a valid URL, skip
+  transformHtml(page, context) {
+    if (page.hasDocument) {
+      rewriteUrlsInDocument(page.document, context.previewUrl, context.routes);
+    } else {
+      page.html = rewriteUrlsInMarkup(page.html, context.previewUrl, context.routes);
     }
   }
-
-  return dom.serialize();
-}
\ No newline at end of file
+};
@@ -1,74 +1,263 @@
 /**
  * Video Widget Processor
  *
- * Converts <video-widget> custom elements to static HTML by fetching
- * oEmbed data from ApostropheCMS at build time
+ * Converts <video-widget> custom elements to static HTML using oEmbed data
+ * from ApostropheCMS (cached, with offline YouTube/Vimeo embeds; see oembed.js).
+ *
+ * Widgets become the provider's iframe, or with `videoFacade` a
+ * click-to-load facade (local poster, play button) that only loads the
+ * iframe when activated. Styles are shared by every widget: exports link
+ * one stylesheet (_apos-static/video.css), other callers get a single
+ * <style> element per document.
  */
 
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
 import { JSDOM } from 'jsdom';
-import { fetchWithRetry } from '../utils.js';
+import { createOembedClient } from '../oembed.js';
+import { copyOutputFile } from '../utils.js';
+
+const CLIENT_STYLESHEET_PATH = fileURLToPath(new URL('../client/video.css', import.meta.url));
+const CLIENT_SCRIPT_PATH = fileURLToPath(new URL('../client/video-facade.js', import.meta.url));
+const STYLESHEET_HREF = '/_apos-static/video.css';
+const SCRIPT_SRC = '/_apos-static/video-facade.js';
+const POSTER_DIRECTORY = '_apos-static/video-posters';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
 export async function processVideoWidgets(html, aposHost, aposKey, retries = 3) {
   const dom = new JSDOM(html);
-  const document = dom.window.document;
+  const count = await processVideoWidgetsInDocument(dom.window.document, aposHost, aposKey, retries);
 
+  return count > 0 ? dom.serialize() : html;
+}
+
+/**
+ * Replace every <video-widget> in an already parsed document.
+ *
+ * @param {Object} [oembed] - Client from createOembedClient (default: uncached lookups)
+ * @param {Object} [options]
+ * @param {boolean|Object} [options.facade=false] - Click-to-load facades
+ *   (`{ noCookie = true }`: load YouTube from youtube-nocookie.com, Vimeo with dnt=1)
+ * @param {Function} [options.poster] - `async (thumbnailUrl) => url|null`, the poster
+ *   image to use for a facade (default: the provider's thumbnail)
+ * @param {string} [options.stylesheet] - Stylesheet URL to link instead of
+ *   inlining the styles
+ * @returns {Promise<number>} Number of widgets replaced
+ */
+export async function processVideoWidgetsInDocument(
+  document,
+  aposHost,
+  aposKey,
+  retries = 3,
+  oembed = createOembedClient({ aposHost, aposKey, retries, cacheFile: false }),
+  { facade = false, poster, stylesheet } = {}
+) {
   const videoWidgets = document.querySelectorAll('video-widget');
+  let facades = 0;
+
+  for (const widget of videoWidgets) {
+    const { html, isFacade } = await renderVideoWidget(document, widget.getAttribute('url'), widget.getAttribute('title'), {
+      oembed,
+      facade,
+      poster
+    });
+    widget.outerHTML = html;
+    if (isFacade) facades++;
+  }
+
+  if (videoWidgets.length > 0) {
+    addVideoAssets(document, { stylesheet, script: facades > 0 });
+  }
+
+  return videoWidgets.length;
+}
+
+/**
+ * Static HTML for one video widget.
+ *
+ * @returns {Promise<{ html: string, isFacade: boolean }>}
+ */
+async function renderVideoWidget(document, videoUrl, title, { oembed, facade = false, poster = async url => url }) {
+  const videoTitle = title || 'Video content';
+
+  if (!videoUrl) {
+    return { html: '<div class="video-error">No video URL provided</div>', isFacade: false };
+  }
+
+  const oembedData = await oembed.get(videoUrl);
+  const facadeOptions = facade ? { noCookie: true, ...(facade === true ? {} : facade) } : null;
+  const embedSrc = facadeOptions ? facadeEmbedSrc(document, oembedData, facadeOptions) : null;
+
+  if (embedSrc) {
+    const posterUrl = oembedData.thumbnail_url ? await poster(oembedData.thumbnail_url) : null;
+    return {
+      html: createVideoFacadeHtml(oembedData, { videoUrl, embedSrc, posterUrl, title: videoTitle }),
+      isFacade: true
+    };
+  }
+
+  return { html: createResponsiveVideoHtml(document, oembedData, videoTitle), isFacade: false };
+}
+
+/**
+ * Custom element renderer for <video-widget url="..." title="...">, registered
+ * by default with the custom elements processor. Uses the export's oEmbed
+ * client and `videoFacade` option.
+ */
+export const videoWidgetRenderer = {
+  async render({ attributes, document, state, context }) {
+    const exporting = Boolean(context.outputDir && context.uploadCache);
+    state.oembed ||= context.oembed || createOembedClient({
+      aposHost: context.aposHost,
+      aposKey: context.aposKey,
+      retries: context.retries,
+      cacheFile: false,
+      logger: context.logger
+    });
+
+    const { html, isFacade } = await renderVideoWidget(document, attributes.url, attributes.title, {
+      oembed: state.oembed,
+      facade: context.options?.videoFacade,
+      poster: exporting ? thumbnailUrl => downloadPoster(thumbnailUrl, context) : undefined
+    });
 
-  if (videoWidgets.length === 0) {
+    if (isFacade) state.facades = (state.facades || 0) + 1;
     return html;
+  },
+
+  finalize({ document, state, context }) {
+    // Exports link the shared files copied by afterExport
+    addVideoAssets(document, {
+      stylesheet: context.outputDir ? STYLESHEET_HREF : null,
+      script: state.facades > 0
+    });
+  },
+
+  afterExport(context) {
+    const assetsDir = path.join(context.outputDir, '_apos-static');
+    fs.mkdirSync(assetsDir, { recursive: true });
+    copyOutputFile(CLIENT_STYLESHEET_PATH, path.join(assetsDir, 'video.css'));
+    copyOutputFile(CLIENT_SCRIPT_PATH, path.join(assetsDir, 'video-facade.js'));
   }
+};
 
-  for (const widget of videoWidgets) {
-    const videoUrl = widget.getAttribute('url');
-    const videoTitle = widget.getAttribute('title') || 'Video content';
+/** Download a facade poster into the output once per export; resolves to its URL */
+function downloadPoster(thumbnailUrl, context) {
+  context.videoPosters ||= new Map();
+
+  if (!context.videoPosters.has(thumbnailUrl)) {
+    const extension = path.extname(new URL(thumbnailUrl, context.aposHost).pathname) || '.jpg';
+    const fileName = crypto.createHash('sha1').update(thumbnailUrl).digest('hex').slice(0, 16) + extension;
+    const filePath = path.join(context.outputDir, POSTER_DIRECTORY, fileName);
 
-    if (!videoUrl) {
-      widget.outerHTML = '<div class="video-error">No video URL provided</div>';
-      continue;
+    context.videoPosters.set(thumbnailUrl, (async () => {
+      try {
+        if (!fs.existsSync(filePath)) {
+          await context.uploadCache.download(new URL(thumbnailUrl, context.aposHost).href, filePath);
+        }
+        return `/${POSTER_DIRECTORY}/${fileName}`;
+      } catch (error) {
+        context.logger.warn(`   ⚠️  Failed to download video poster ${thumbnailUrl}: ${error.message}`, {
+          event: 'upload.failed',
+          url: thumbnailUrl,
+          error: error.message
+        });
+        return null;
+      }
+    })());
+  }
+
+  return context.videoPosters.get(thumbnailUrl);
+}
+
+/** Link the shared stylesheet and facade script (or inline each once) */
+function addVideoAssets(document, { stylesheet, script }) {
+  const head = document.head || document.body;
+  if (!head) return;
+
+  if (stylesheet) {
+    if (!document.querySelector(`link[rel="stylesheet"][href="${stylesheet}"]`)) {
+      head.insertAdjacentHTML('beforeend', `<link rel="stylesheet" href="${stylesheet}">`);
     }
+  } else if (!document.querySelector('style[data-video-widgets]')) {
+    head.insertAdjacentHTML('beforeend', `<style data-video-widgets>${fs.readFileSync(CLIENT_STYLESHEET_PATH, 'utf8')}</style>`);
+  }
+
+  if (!script) return;
 
-    const oembedData = await fetchOembedData(aposHost, videoUrl, aposKey, retries);
-    const staticVideoHtml = createResponsiveVideoHtml(oembedData, videoTitle);
-    widget.outerHTML = staticVideoHtml;
+  if (stylesheet) {
+    if (!document.querySelector(`script[src="${SCRIPT_SRC}"]`)) {
+      head.insertAdjacentHTML('beforeend', `<script src="${SCRIPT_SRC}" defer></script>`);
+    }
+  } else if (!document.querySelector('script[data-video-facades]')) {
+    head.insertAdjacentHTML('beforeend', `<script data-video-facades>${fs.readFileSync(CLIENT_SCRIPT_PATH, 'utf8')}</script>`);
   }
+}
 
-  return dom.serialize();
+function aspectRatioOf(oembedData) {
+  return oembedData.width && oembedData.height
+    ? (oembedData.height / oembedData.width) * 100
+    : 56.25;
 }
 
-async function fetchOembedData(aposHost, videoUrl, aposKey, retries = 3) {
+/** iframe src for a facade, or null when the embed isn't a plain iframe */
+function facadeEmbedSrc(document, oembedData, { noCookie }) {
+  if (!oembedData?.html) return null;
+
+  const template = document.createElement('template');
+  template.innerHTML = oembedData.html;
+  const iframes = template.content.querySelectorAll('iframe');
+  const src = iframes.length === 1 ? iframes[0].getAttribute('src') : null;
+  if (!src) return null;
+
   try {
-    const oembedUrl = `${aposHost}/api/v1/@apostrophecms/oembed/query?` + 
-      new URLSearchParams({ url: videoUrl });
-
-    const response = await fetchWithRetry(
-      oembedUrl,
-      {
-        headers: {
-          'APOS-EXTERNAL-FRONT-KEY': aposKey
-        }
-      },
-      15000,
-      retries
-    );
-
-    return await response.json();
-  } catch (error) {
-    console.warn(`   ⚠️  Failed to fetch oEmbed for ${videoUrl}: ${error.message}`);
+    const url = new URL(src, 'https://localhost');
+    if (noCookie && /(^|\.)youtube\.com$/.test(url.hostname)) {
+      url.hostname = 'www.youtube-nocookie.com';
+    } else if (noCookie && url.hostname === 'player.vimeo.com') {
+      url.searchParams.set('dnt', '1');
+    }
+    return url.href;
+  } catch {
     return null;
   }
 }
 
-function createResponsiveVideoHtml(oembedData, title = 'Video content') {
+function createVideoFacadeHtml(oembedData, { videoUrl, embedSrc, posterUrl, title }) {
+  const poster = posterUrl
+    ? `<img class="video-facade-poster" src="${escapeHtml(posterUrl)}" alt="" loading="lazy" decoding="async">`
+    : '';
+
+  return `
+<div class="video-wrapper">
+  <div class="video-container" style="padding-bottom: ${aspectRatioOf(oembedData)}%;">
+    <a class="video-facade" href="${escapeHtml(videoUrl)}" data-video-embed="${escapeHtml(embedSrc)}" data-video-title="${escapeHtml(title)}">
+      ${poster}
+      <span class="video-facade-play" aria-hidden="true"></span>
+      <span class="video-facade-label">Play video: ${escapeHtml(title)}</span>
+    </a>
+  </div>
+</div>`.trim();
+}
+
+function createResponsiveVideoHtml(document, oembedData, title = 'Video content') {
   if (!oembedData || !oembedData.html) {
-    return '<div class="video-error" style="padding: 2rem; background: #f5f5f5; border: 1px solid #ddd; border-radius: 4px; text-align: center; color: #666;"><p>Video unavailable</p></div>';
+    return '<div class="video-error"><p>Video unavailable</p></div>';
   }
 
-  const aspectRatio = oembedData.width && oembedData.height
-    ? (oembedData.height / oembedData.width) * 100
-    : 56.25;
-
-  const tempDoc = new JSDOM(oembedData.html).window.document;
-  const iframe = tempDoc.querySelector('iframe');
+  // Parse the embed in the page's own document rather than a new JSDOM
+  const template = document.createElement('template');
+  template.innerHTML = oembedData.html;
+  const iframe = template.content.querySelector('iframe');
 
   if (iframe) {
     iframe.setAttribute('title', title);
@@ -76,22 +265,12 @@ function createResponsiveVideoHtml(oembedData, title = 'Video content') {
     iframe.removeAttribute('height');
   }
 
-  const embedHtml = tempDoc.body.innerHTML;
+  const embedHtml = template.innerHTML;
 
   return `
-<div class="video-wrapper" style="position: relative; width: 100%; margin-bottom: 1.5rem;">
-  <div class="video-container" style="position: relative; width: 100%; height: 0; padding-bottom: ${aspectRatio}%; overflow: hidden;">
+<div class="video-wrapper">
+  <div class="video-container" style="padding-bottom: ${aspectRatioOf(oembedData)}%;">
     ${embedHtml}
   </div>
-</div>
-<style>
-  .video-container iframe {
-    position: absolute !important;
-    top: 0 !important;
-    left: 0 !important;
-    width: 100% !important;
-    height: 100% !important;
-    border: 0 !important;
-  }
-</style>`.trim();
-}
\ No newline at end of file
+</div>`.trim();
+}
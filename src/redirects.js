@@ -0,0 +1,324 @@
+/**
+ * Redirects
+ *
+ * Fetches `@apostrophecms/redirect` documents and writes them in formats
+ * static hosts understand:
+ * - netlify: `_redirects` (Netlify, Cloudflare Pages)
+ * - vercel: `vercel.json` `redirects`
+ * - nginx: `nginx-redirects-map.conf` and `nginx-redirects-rewrite.conf`
+ * - apache: `.htaccess`
+ * - html: meta-refresh pages with a canonical link at each old URL
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fetchWithRetry, outputPathForUrl, writeOutputFile } from './utils.js';
+import { defaultLogger } from './logger.js';
+
+export const REDIRECT_FORMATS = ['netlify', 'vercel', 'nginx', 'apache', 'html'];
+
+const BLOCK_START = '# BEGIN apos-astro-static redirects';
+const BLOCK_END = '# END apos-astro-static redirects';
+
+function normalizeSource(slug) {
+  const [pathname] = String(slug).split(/[?#]/);
+  const withSlash = pathname.startsWith('/') ? pathname : `/${pathname}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+}
+
+function toRedirect(doc) {
+  if (!doc?.redirectSlug) return null;
+
+  const target = doc.urlType === 'external'
+    ? doc.externalUrl
+    : doc._newPage?.[0]?._url;
+
+  if (!target) return null;
+
+  let to = target;
+  try {
+    // Internal targets come back absolute when the CMS has a baseUrl
+    const url = new URL(target, 'http://apos-static.invalid');
+    if (doc.urlType !== 'external') {
+      to = url.pathname + url.search + url.hash;
+    }
+  } catch {
+    return null;
+  }
+
+  const from = normalizeSource(doc.redirectSlug);
+  if (from === to || `${from}/` === to) return null;
+
+  return {
+    from,
+    to,
+    status: String(doc.statusCode) === '302' ? 302 : 301
+  };
+}
+
+/**
+ * Fetch every redirect document, optionally for one locale. Network errors,
+ * 5xx and 429 responses are retried (see fetchWithRetry).
+ *
+ * @returns {Promise<Array<{ from: string, to: string, status: number }>>}
+ */
+export async function fetchRedirects({
+  aposHost,
+  aposKey,
+  locale = null,
+  mode = 'published',
+  retries = 3,
+  logger = defaultLogger
+} = {}) {
+  const headers = { 'APOS-EXTERNAL-FRONT-KEY': aposKey };
+  const redirects = [];
+  const perPage = 100;
+
+  for (let page = 1; ; page++) {
+    let url = `${aposHost}/api/v1/@apostrophecms/redirect?page=${page}&perPage=${perPage}`;
+
+    if (locale) {
+      url += `&aposLocale=${locale}`;
+    }
+
+    if (mode === 'draft') {
+      url += '&aposMode=draft';
+    }
+
+    let response;
+    try {
+      response = await fetchWithRetry(url, { headers }, 30000, retries, { logger, acceptStatus: [403, 404] });
+    } catch (error) {
+      throw new Error(`Failed to fetch redirects: ${error.message}`);
+    }
+
+    // The redirect module isn't installed, or the key can't read it
+    if (response.status === 404 || response.status === 403) break;
+
+    const json = await response.json();
+    const results = json?.results ?? [];
+
+    for (const doc of results) {
+      const redirect = toRedirect(doc);
+      if (redirect) redirects.push(redirect);
+    }
+
+    if (results.length < perPage || (json.pages && page >= json.pages)) break;
+  }
+
+  return redirects;
+}
+
+/** Replace our marked block in a file, keeping whatever else is in it */
+function writeManagedBlock(filePath, lines, commentPrefix = '#') {
+  const start = BLOCK_START.replace(/^#/, commentPrefix);
+  const end = BLOCK_END.replace(/^#/, commentPrefix);
+  let existing = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+
+  const startIndex = existing.indexOf(start);
+  const endIndex = existing.indexOf(end);
+  if (startIndex >= 0 && endIndex > startIndex) {
+    existing = existing.slice(0, startIndex) + existing.slice(endIndex + end.length);
+  }
+
+  const block = [start, ...lines, end].join('\n');
+  const content = existing.trim() ? `${block}\n\n${existing.trim()}\n` : `${block}\n`;
+  writeOutputFile(filePath, content);
+}
+
+// Characters nginx would read as the end of a value, a block or a variable
+const NGINX_UNSAFE = /[\s"';{}$\\]/;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Percent-encode the whitespace of a target URL, which would split a rule's fields */
+function encodeWhitespace(url) {
+  return url.replace(/\s/g, encodeURIComponent);
+}
+
+/** Redirects whose source has none of the `unsafe` characters, warning about the rest */
+function expressible(redirects, unsafe, { format, reason, logger }) {
+  return redirects.filter(({ from }) => {
+    if (!unsafe.test(from)) return true;
+
+    logger.warn(`   ⚠️  Skipping ${format} redirect for ${from}: ${reason}`, { event: 'redirect.skipped', from });
+    return false;
+  });
+}
+
+function writeNetlify(outputDir, allRedirects, { logger }) {
+  const redirects = expressible(allRedirects, /\s/, {
+    format: 'netlify',
+    reason: '_redirects cannot match spaces in a source path',
+    logger
+  });
+
+  // Rules at the top of _redirects win, so ours go before the site's own
+  writeManagedBlock(
+    path.join(outputDir, '_redirects'),
+    redirects.map(({ from, to, status }) => `${from} ${encodeWhitespace(to)} ${status}`)
+  );
+  return ['_redirects'];
+}
+
+function writeVercel(outputDir, redirects) {
+  const filePath = path.join(outputDir, 'vercel.json');
+  let config = {};
+  if (fs.existsSync(filePath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot add redirects to ${filePath}: it is not valid JSON (${error.message})`);
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error(`Cannot add redirects to ${filePath}: it does not contain a JSON object`);
+    }
+  }
+  const ours = new Set(redirects.map(({ from }) => from));
+
+  config.redirects = [
+    ...redirects.map(({ from, to, status }) => ({
+      source: from,
+      destination: to,
+      permanent: status === 301
+    })),
+    ...(config.redirects || []).filter(redirect => !ours.has(redirect.source))
+  ];
+
+  writeOutputFile(filePath, JSON.stringify(config, null, 2) + '\n');
+  return ['vercel.json'];
+}
+
+function writeNginx(outputDir, allRedirects, { logger }) {
+  // Neither format has a way to escape these, so such redirects are left out
+  const redirects = allRedirects.filter(({ from, to }) => {
+    if (!NGINX_UNSAFE.test(from) && !NGINX_UNSAFE.test(to)) return true;
+
+    logger.warn(`   ⚠️  Skipping nginx redirect for ${from}: nginx cannot express quotes, spaces, ;, {, }, $ or \\ in it`, {
+      event: 'redirect.skipped',
+      from
+    });
+    return false;
+  });
+
+  const mapLines = [
+    '# http { } context. Pair with this in the server { } block:',
+    '#   if ($apos_redirect_301) { return 301 $apos_redirect_301; }',
+    '#   if ($apos_redirect_302) { return 302 $apos_redirect_302; }'
+  ];
+
+  for (const status of [301, 302]) {
+    mapLines.push('', `map $uri $apos_redirect_${status} {`, '  default "";');
+    for (const redirect of redirects.filter(item => item.status === status)) {
+      mapLines.push(`  ${redirect.from} "${redirect.to}";`);
+      if (redirect.from !== '/') {
+        mapLines.push(`  ${redirect.from}/ "${redirect.to}";`);
+      }
+    }
+    mapLines.push('}');
+  }
+
+  const rewriteLines = [
+    '# server { } context, e.g. include nginx-redirects-rewrite.conf;',
+    ...redirects.map(({ from, to, status }) =>
+      `rewrite ^${escapeRegex(from)}/?$ "${to}" ${status === 301 ? 'permanent' : 'redirect'};`
+    )
+  ];
+
+  writeOutputFile(path.join(outputDir, 'nginx-redirects-map.conf'), mapLines.join('\n') + '\n');
+  writeOutputFile(path.join(outputDir, 'nginx-redirects-rewrite.conf'), rewriteLines.join('\n') + '\n');
+  return ['nginx-redirects-map.conf', 'nginx-redirects-rewrite.conf'];
+}
+
+function writeApache(outputDir, allRedirects, { logger }) {
+  const redirects = expressible(allRedirects, /\s/, {
+    format: 'apache',
+    reason: 'RedirectMatch cannot match spaces in a source path',
+    logger
+  });
+
+  writeManagedBlock(
+    path.join(outputDir, '.htaccess'),
+    redirects.map(({ from, to, status }) => `RedirectMatch ${status} ^${escapeRegex(from)}/?$ ${encodeWhitespace(to)}`)
+  );
+  return ['.htaccess'];
+}
+
+function createRedirectHtml(to, canonical) {
+  const target = escapeHtml(to);
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Redirecting…</title>
+<meta name="robots" content="noindex">
+<link rel="canonical" href="${escapeHtml(canonical)}">
+<meta http-equiv="refresh" content="0; url=${target}">
+<script>location.replace(${JSON.stringify(to).replace(/</g, '\\u003c')} + location.hash);</script>
+</head>
+<body>
+<p>This page has moved to <a href="${target}">${target}</a>.</p>
+</body>
+</html>
+`;
+}
+
+function writeHtml(outputDir, redirects, { siteUrl, logger } = {}) {
+  const written = [];
+
+  for (const { from, to } of redirects) {
+    const outputPath = outputPathForUrl(outputDir, from === '/' ? '/' : `${from}/`);
+
+    // Never replace a page that was actually rendered at the old URL
+    if (fs.existsSync(outputPath) && !fs.readFileSync(outputPath, 'utf8').includes('http-equiv="refresh"')) {
+      logger.warn(`   ⚠️  Skipping HTML redirect for ${from}: a page exists at that URL`, { event: 'redirect.skipped', from });
+      continue;
+    }
+
+    const canonical = siteUrl && to.startsWith('/') ? siteUrl.replace(/\/+$/, '') + to : to;
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeOutputFile(outputPath, createRedirectHtml(to, canonical));
+    written.push(path.relative(outputDir, outputPath));
+  }
+
+  return written;
+}
+
+/**
+ * Write redirects into outputDir in the requested formats.
+ *
+ * @param {string} outputDir
+ * @param {Array<{ from, to, status }>} redirects
+ * @param {Object} [options]
+ * @param {string[]} [options.formats=['html']] - Any of REDIRECT_FORMATS
+ * @param {string} [options.siteUrl] - Makes canonical links in HTML redirects absolute
+ * @param {Object} [options.logger]
+ * @returns {string[]} Written files, relative to outputDir
+ */
+export function writeRedirects(outputDir, redirects, { formats = ['html'], siteUrl, logger = defaultLogger } = {}) {
+  const unknown = formats.filter(format => !REDIRECT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown redirect format(s): ${unknown.join(', ')} (available: ${REDIRECT_FORMATS.join(', ')})`);
+  }
+
+  const sorted = [...redirects].sort((a, b) => (a.from < b.from ? -1 : a.from > b.from ? 1 : 0));
+  const writers = {
+    netlify: () => writeNetlify(outputDir, sorted, { logger }),
+    vercel: () => writeVercel(outputDir, sorted),
+    nginx: () => writeNginx(outputDir, sorted, { logger }),
+    apache: () => writeApache(outputDir, sorted, { logger }),
+    html: () => writeHtml(outputDir, sorted, { siteUrl, logger })
+  };
+
+  return formats.flatMap(format => writers[format]());
+}
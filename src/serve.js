@@ -0,0 +1,226 @@
+/**
+ * Static File Server
+ *
+ * Serves an exported site the way static hosts (Netlify, Cloudflare Pages,
+ * S3 behind a CDN with pretty URLs) do, to check it before deploying:
+ * - /about/ serves about/index.html; /about redirects (301) to /about/ when
+ *   it is a directory, and serves about.html when that file exists
+ * - exact-path rules of a `_redirects` file (`from to [status]`) apply to
+ *   paths without a file; status 200 rules are rewrites
+ * - anything else gets the nearest 404.html up its path (so locale 404
+ *   pages are used under their prefix) with a 404 status
+ * - ETag/If-None-Match revalidation and HEAD requests
+ */
+
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.xml': 'application/xml; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.map': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf'
+};
+
+const HOST_FILES = new Set(['/_redirects', '/_headers']);
+
+/** Exact-path rules of a Netlify-style _redirects file; splats and placeholders are skipped */
+export function readRedirectRules(root) {
+  const rules = new Map();
+  const filePath = path.join(root, '_redirects');
+  if (!fs.existsSync(filePath)) return rules;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    const [from, to, status = '301'] = line.trim().split(/\s+/);
+    if (!from || !to || from.startsWith('#') || /[*:]/.test(from)) continue;
+    if (!rules.has(from)) rules.set(from, { to, status: parseInt(status, 10) || 301 });
+  }
+
+  return rules;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.root - Directory to serve
+ * @param {Function} [options.onRequest] - Called with `(method, url, status)` for each response
+ * @returns {http.Server}
+ */
+export function createStaticServer({ root, onRequest = () => {} }) {
+  const rootDir = path.resolve(root);
+  const rules = readRedirectRules(rootDir);
+
+  function fileAt(urlPath) {
+    const filePath = path.join(rootDir, urlPath);
+    if (filePath !== rootDir && !filePath.startsWith(rootDir + path.sep)) return null;
+
+    try {
+      const stat = fs.statSync(filePath);
+      return { filePath, stat };
+    } catch {
+      return null;
+    }
+  }
+
+  /** `{ file }`, `{ location, status }` or null */
+  function resolvePath(pathname, rewrites = 0) {
+    if (pathname.endsWith('/')) {
+      const index = fileAt(`${pathname}index.html`);
+      if (index?.stat.isFile()) return { file: index };
+    } else {
+      const found = fileAt(pathname);
+      if (found?.stat.isFile()) return { file: found };
+      if (found?.stat.isDirectory() && fileAt(`${pathname}/index.html`)?.stat.isFile()) {
+        return { location: `${pathname}/`, status: 301 };
+      }
+
+      const html = fileAt(`${pathname}.html`);
+      if (html?.stat.isFile()) return { file: html };
+    }
+
+    const rule = rules.get(pathname) || rules.get(pathname.endsWith('/') ? pathname.slice(0, -1) : `${pathname}/`);
+    if (rule?.status === 200 && rewrites === 0 && rule.to.startsWith('/')) {
+      return resolvePath(rule.to, rewrites + 1);
+    }
+    if (rule && rule.status !== 200) return { location: rule.to, status: rule.status };
+
+    return null;
+  }
+
+  function notFoundPage(pathname) {
+    let dir = pathname.endsWith('/') ? pathname : path.posix.dirname(pathname);
+
+    for (;;) {
+      const page = fileAt(path.posix.join(dir, '404.html'));
+      if (page?.stat.isFile()) return page;
+      if (dir === '/') return null;
+      dir = path.posix.dirname(dir.replace(/\/$/, '')) || '/';
+    }
+  }
+
+  function sendFile(req, res, { filePath, stat }, status = 200) {
+    const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const headers = {
+      'content-type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'content-length': stat.size,
+      'cache-control': 'no-cache',
+      etag
+    };
+
+    if (status === 200 && req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { etag });
+      res.end();
+      return 304;
+    }
+
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD') {
+      res.end();
+    } else {
+      fs.createReadStream(filePath).pipe(res);
+    }
+    return status;
+  }
+
+  function handle(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { allow: 'GET, HEAD', 'content-type': 'text/plain' });
+      res.end('Method Not Allowed');
+      return 405;
+    }
+
+    const url = new URL(req.url, 'http://apos-static.invalid');
+    let pathname;
+    try {
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      pathname = null;
+    }
+    if (!pathname || pathname.includes('\0')) {
+      res.writeHead(400, { 'content-type': 'text/plain' });
+      res.end('Bad Request');
+      return 400;
+    }
+
+    // Hosts read these files, they don't serve them
+    const resolved = HOST_FILES.has(pathname) ? null : resolvePath(pathname);
+
+    if (resolved?.file) return sendFile(req, res, resolved.file);
+
+    if (resolved?.location) {
+      const location = resolved.location.startsWith('/') ? resolved.location + url.search : resolved.location;
+      res.writeHead(resolved.status, { location, 'content-type': 'text/plain' });
+      res.end(`Redirecting to ${location}`);
+      return resolved.status;
+    }
+
+    const notFound = notFoundPage(pathname);
+    if (notFound) return sendFile(req, res, notFound, 404);
+
+    res.writeHead(404, { 'content-type': 'text/plain' });
+    res.end('Not Found');
+    return 404;
+  }
+
+  return http.createServer((req, res) => {
+    let status;
+    try {
+      status = handle(req, res);
+    } catch (error) {
+      status = 500;
+      if (!res.headersSent) res.writeHead(500, { 'content-type': 'text/plain' });
+      res.end(error.message);
+    }
+    onRequest(req.method, req.url, status);
+  });
+}
+
+/**
+ * Serve a directory until closed.
+ *
+ * @param {Object} options
+ * @param {string} options.root
+ * @param {string} [options.host='127.0.0.1']
+ * @param {number} [options.port=8080]
+ * @param {Function} [options.onRequest]
+ * @returns {Promise<{ server: http.Server, url: string, close: Function }>}
+ */
+export async function serveStatic({ root, host = '127.0.0.1', port = 8080, onRequest }) {
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    throw new Error(`Nothing to serve: ${path.resolve(root)} is not a directory (run an export first)`);
+  }
+
+  const server = createStaticServer({ root, onRequest });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    server,
+    url: `http://${host}:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,238 @@
+/**
+ * Sitemap XML Writer
+ *
+ * Writes search-engine-facing files into the output directory:
+ * - sitemap.xml (or a sitemap index with numbered sitemaps past the URL limit)
+ * - hreflang alternates built from the localeConfig baseUrl values
+ * - robots.txt pointing at the sitemap
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeOutputFile } from './utils.js';
+
+const MAX_URLS_PER_SITEMAP = 50000;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function formatLastmod(updatedAt) {
+  if (!updatedAt) return null;
+
+  const date = new Date(updatedAt);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Pick the locale used for `x-default` alternates: the one flagged with
+ * `default: true`, otherwise the first configured locale.
+ */
+export function getDefaultLocale(localeConfig) {
+  if (!localeConfig) return null;
+
+  const entries = Object.entries(localeConfig);
+  const flagged = entries.find(([, config]) => config?.default);
+  return (flagged || entries[0])?.[0] ?? null;
+}
+
+/**
+ * Turn a root-relative output path into the public absolute URL, using the
+ * locale's `baseUrl` (minus its `prefix`) or `siteUrl` as a fallback.
+ */
+export function toAbsoluteUrl(urlPath, { locale, localeConfig, siteUrl } = {}) {
+  const config = locale && localeConfig?.[locale];
+
+  if (config?.baseUrl) {
+    const base = config.baseUrl.replace(/\/+$/, '');
+    const prefix = config.prefix ? '/' + String(config.prefix).replace(/^\/+|\/+$/g, '') : '';
+    let pathname = urlPath;
+
+    if (prefix && (pathname === prefix || pathname.startsWith(prefix + '/'))) {
+      pathname = pathname.slice(prefix.length) || '/';
+    }
+
+    return base + pathname;
+  }
+
+  if (!siteUrl) return null;
+
+  return siteUrl.replace(/\/+$/, '') + urlPath;
+}
+
+/**
+ * Build sitemap records from the render manifest pages. Only URLs that came
+ * from the CMS sitemap are included; pagination and filter variants
+ * (crawled or computed listings) are left out.
+ *
+ * `pathOf` maps a manifest URL to the path the page has on its domain
+ * (manifest URLs of domain locales include their output subdirectory).
+ */
+export function buildSitemapRecords(pages, { localeConfig, siteUrl, pathOf = urlPath => urlPath } = {}) {
+  const records = [];
+
+  for (const [urlPath, page] of Object.entries(pages)) {
+    if (!page || page.source === 'crawl' || page.source === 'listing') continue;
+
+    const loc = toAbsoluteUrl(pathOf(urlPath), { locale: page.locale, localeConfig, siteUrl });
+    if (!loc) continue;
+
+    records.push({
+      loc,
+      lastmod: formatLastmod(page.updatedAt),
+      locale: page.locale,
+      aposDocId: page.aposDocId,
+      alternates: []
+    });
+  }
+
+  if (localeConfig) {
+    const groups = new Map();
+    for (const record of records) {
+      if (!record.aposDocId || !record.locale) continue;
+      if (!groups.has(record.aposDocId)) groups.set(record.aposDocId, []);
+      groups.get(record.aposDocId).push(record);
+    }
+
+    const defaultLocale = getDefaultLocale(localeConfig);
+
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+
+      const alternates = group.map(record => ({ hreflang: record.locale, href: record.loc }));
+      const fallback = group.find(record => record.locale === defaultLocale);
+      if (fallback) {
+        alternates.push({ hreflang: 'x-default', href: fallback.loc });
+      }
+
+      for (const record of group) {
+        record.alternates = alternates;
+      }
+    }
+  }
+
+  return records.sort((a, b) => (a.loc < b.loc ? -1 : a.loc > b.loc ? 1 : 0));
+}
+
+function renderUrlset(records) {
+  const hasAlternates = records.some(record => record.alternates.length > 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"' +
+      (hasAlternates ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : '') + '>'
+  ];
+
+  for (const record of records) {
+    lines.push('  <url>');
+    lines.push(`    <loc>${escapeXml(record.loc)}</loc>`);
+    if (record.lastmod) {
+      lines.push(`    <lastmod>${record.lastmod}</lastmod>`);
+    }
+    for (const alternate of record.alternates) {
+      lines.push(
+        `    <xhtml:link rel="alternate" hreflang="${escapeXml(alternate.hreflang)}" href="${escapeXml(alternate.href)}"/>`
+      );
+    }
+    lines.push('  </url>');
+  }
+
+  lines.push('</urlset>');
+  return lines.join('\n') + '\n';
+}
+
+function renderSitemapIndex(sitemaps) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+  ];
+
+  for (const sitemap of sitemaps) {
+    lines.push('  <sitemap>');
+    lines.push(`    <loc>${escapeXml(sitemap.loc)}</loc>`);
+    if (sitemap.lastmod) {
+      lines.push(`    <lastmod>${sitemap.lastmod}</lastmod>`);
+    }
+    lines.push('  </sitemap>');
+  }
+
+  lines.push('</sitemapindex>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write sitemap.xml into outputDir. Past `maxUrlsPerFile` URLs, the records
+ * are split into sitemap-1.xml, sitemap-2.xml, ... and sitemap.xml becomes
+ * a sitemap index referencing them.
+ *
+ * @returns {string[]} Written file names, relative to outputDir
+ */
+export function writeSitemapXml(outputDir, records, { sitemapBaseUrl, maxUrlsPerFile = MAX_URLS_PER_SITEMAP } = {}) {
+  const limit = Math.min(Math.max(1, maxUrlsPerFile), MAX_URLS_PER_SITEMAP);
+
+  // Drop numbered sitemaps left over from a previous (incremental) export
+  for (const fileName of fs.readdirSync(outputDir)) {
+    if (/^sitemap-\d+\.xml$/.test(fileName)) {
+      fs.rmSync(path.join(outputDir, fileName), { force: true });
+    }
+  }
+
+  if (records.length <= limit) {
+    writeOutputFile(path.join(outputDir, 'sitemap.xml'), renderUrlset(records));
+    return ['sitemap.xml'];
+  }
+
+  if (!sitemapBaseUrl) {
+    throw new Error('A site URL is required to write a sitemap index');
+  }
+
+  const base = sitemapBaseUrl.replace(/\/+$/, '');
+  const written = [];
+  const sitemaps = [];
+
+  for (let i = 0; i < records.length; i += limit) {
+    const chunk = records.slice(i, i + limit);
+    const fileName = `sitemap-${written.length + 1}.xml`;
+    writeOutputFile(path.join(outputDir, fileName), renderUrlset(chunk));
+
+    const lastmod = chunk.map(record => record.lastmod).filter(Boolean).sort().pop();
+    sitemaps.push({ loc: `${base}/${fileName}`, lastmod });
+    written.push(fileName);
+  }
+
+  writeOutputFile(path.join(outputDir, 'sitemap.xml'), renderSitemapIndex(sitemaps));
+  return ['sitemap.xml', ...written];
+}
+
+/**
+ * Write robots.txt into outputDir.
+ *
+ * @param {Object} [robots] - `{ userAgent = '*', allow = ['/'], disallow = [], extra = '' }`
+ * @param {string} [sitemapUrl] - Absolute sitemap URL to advertise
+ */
+export function writeRobotsTxt(outputDir, robots = {}, sitemapUrl = null) {
+  const {
+    userAgent = '*',
+    allow = ['/'],
+    disallow = [],
+    extra = ''
+  } = robots;
+
+  const lines = [`User-agent: ${userAgent}`];
+  for (const rule of allow) lines.push(`Allow: ${rule}`);
+  for (const rule of disallow) lines.push(`Disallow: ${rule}`);
+
+  if (sitemapUrl) {
+    lines.push('', `Sitemap: ${sitemapUrl}`);
+  }
+
+  if (extra) {
+    lines.push('', extra.trim());
+  }
+
+  writeOutputFile(path.join(outputDir, 'robots.txt'), lines.join('\n') + '\n');
+}
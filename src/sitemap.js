@@ -6,6 +6,7 @@
  */
 
 import { fetchWithTimeout } from './utils.js';
+import { generateListingEntries } from './pagination.js';
 
 function normalizeUrl(urlString) {
   try {
@@ -38,13 +39,30 @@ function normalizeUrl(urlString) {
   }
 }
 
-async function fetchAllPages(aposHost, headers, locale = null) {
-  let url = `${aposHost}/api/v1/@apostrophecms/page?all=1&flat=1&published=1`;
+/**
+ * Query string selecting the locale and, for draft exports, the draft
+ * version of each document.
+ */
+function modeParams(locale, mode) {
+  let params = '';
 
   if (locale) {
-    url += `&aposLocale=${locale}`;
+    params += `&aposLocale=${locale}`;
+  }
+
+  if (mode === 'draft') {
+    params += '&aposMode=draft';
   }
 
+  return params;
+}
+
+async function fetchAllPages(aposHost, headers, locale = null, mode = 'published') {
+  let url = `${aposHost}/api/v1/@apostrophecms/page?all=1&flat=1`;
+
+  url += mode === 'draft' ? '' : '&published=1';
+  url += modeParams(locale, mode);
+
   const response = await fetchWithTimeout(url, { headers });
 
   if (!response.ok) {
@@ -53,26 +71,34 @@ async function fetchAllPages(aposHost, headers, locale = null) {
 
   const json = await response.json();
   const pages = Array.isArray(json) ? json : (json.results ?? json);
-  const urls = [];
+  const entries = [];
 
   for (const page of pages || []) {
     if (typeof page._url === "string") {
-      urls.push(normalizeUrl(page._url));
+      entries.push(createEntry(page, "page", locale));
     }
   }
 
-  if (locale) {
-    const expectedHomepage = `/${locale}/`;
-    if (!urls.includes(expectedHomepage) && !urls.includes("/")) {
-      urls.push("/");
-    }
-  } else {
-    if (!urls.includes("/")) {
-      urls.push("/");
-    }
+  const urls = entries.map(entry => entry.url);
+  const homepage = locale ? `/${locale}/` : "/";
+
+  if (!urls.includes(homepage) && !urls.includes("/")) {
+    entries.push({ url: "/", source: "page", locale });
   }
 
-  return Array.from(new Set(urls)).sort();
+  return entries;
+}
+
+function createEntry(doc, source, locale) {
+  return {
+    url: normalizeUrl(doc._url),
+    source,
+    type: doc.type,
+    _id: doc._id,
+    aposDocId: doc.aposDocId,
+    updatedAt: doc.updatedAt,
+    locale
+  };
 }
 
 async function probeCandidates(aposHost, headers) {
@@ -95,13 +121,9 @@ async function probeCandidates(aposHost, headers) {
   return [];
 }
 
-async function isPieceEndpoint(aposHost, headers, endpointKey, locale = null) {
+async function isPieceEndpoint(aposHost, headers, endpointKey, locale = null, mode = 'published') {
   try {
-    let url = `${aposHost}/api/v1/${endpointKey}?perPage=1`;
-
-    if (locale) {
-      url += `&aposLocale=${locale}`;
-    }
+    const url = `${aposHost}/api/v1/${endpointKey}?perPage=1` + modeParams(locale, mode);
 
     const response = await fetchWithTimeout(url, { headers }, 15000);
     if (!response.ok) return false;
@@ -123,12 +145,16 @@ async function isPieceEndpoint(aposHost, headers, endpointKey, locale = null) {
   return false;
 }
 
-async function discoverPieceTypes(aposHost, headers, locale = null) {
+/**
+ * Piece types with public URLs: endpoints listed by /api/v1/ whose documents
+ * have a `_url`, plus a few common names.
+ */
+export async function discoverPieceTypes(aposHost, headers, locale = null, mode = 'published') {
   const candidates = await probeCandidates(aposHost, headers);
   const discoveredTypes = [];
 
   for (const key of candidates) {
-    if (await isPieceEndpoint(aposHost, headers, key, locale)) {
+    if (await isPieceEndpoint(aposHost, headers, key, locale, mode)) {
       discoveredTypes.push(key);
     }
   }
@@ -137,7 +163,7 @@ async function discoverPieceTypes(aposHost, headers, locale = null) {
 
   for (const heuristicType of heuristicTypes) {
     if (!discoveredTypes.includes(heuristicType) && 
-        await isPieceEndpoint(aposHost, headers, heuristicType, locale)) {
+        await isPieceEndpoint(aposHost, headers, heuristicType, locale, mode)) {
       discoveredTypes.push(heuristicType);
     }
   }
@@ -145,17 +171,14 @@ async function discoverPieceTypes(aposHost, headers, locale = null) {
   return Array.from(new Set(discoveredTypes));
 }
 
-async function fetchAllPieces(aposHost, headers, pieceType, locale = null) {
-  const urls = [];
+async function fetchAllPieces(aposHost, headers, pieceType, locale = null, mode = 'published') {
+  const entries = [];
   let currentPage = 1;
   const itemsPerPage = 100;
 
   for (;;) {
-    let url = `${aposHost}/api/v1/${pieceType}?page=${currentPage}&perPage=${itemsPerPage}`;
-
-    if (locale) {
-      url += `&aposLocale=${locale}`;
-    }
+    const url = `${aposHost}/api/v1/${pieceType}?page=${currentPage}&perPage=${itemsPerPage}` +
+      modeParams(locale, mode);
 
     const response = await fetchWithTimeout(url, { headers }, 30000);
     if (!response.ok) break;
@@ -165,7 +188,7 @@ async function fetchAllPieces(aposHost, headers, pieceType, locale = null) {
 
     for (const piece of results) {
       if (piece?._url) {
-        urls.push(normalizeUrl(piece._url));
+        entries.push(createEntry(piece, "piece", locale));
       }
     }
 
@@ -173,15 +196,28 @@ async function fetchAllPieces(aposHost, headers, pieceType, locale = null) {
     currentPage += 1;
   }
 
-  return urls;
+  return entries;
 }
 
-export async function generateSitemap(options = {}) {
+/**
+ * Discover every page and piece with a URL, keeping the source document
+ * metadata (`_id`, `type`, `updatedAt`) alongside each path.
+ *
+ * With `pagination`, the paginated and filtered variants of piece index
+ * pages are added as well (see pagination.js); `true` enables it with
+ * defaults for every piece type.
+ *
+ * Entries are deduplicated by URL and sorted by path.
+ */
+export async function generateSitemapEntries(options = {}) {
   const {
     aposHost,
     aposKey,
     locale = null,
-    pieceTypes
+    pieceTypes,
+    mode = 'published',
+    pagination,
+    logger
   } = options;
 
   if (!aposKey) {
@@ -190,19 +226,45 @@ export async function generateSitemap(options = {}) {
 
   const headers = { "APOS-EXTERNAL-FRONT-KEY": aposKey };
 
-  const pageUrls = await fetchAllPages(aposHost, headers, locale);
+  const pageEntries = await fetchAllPages(aposHost, headers, locale, mode);
 
   let types = pieceTypes;
   if (!types) {
-    types = await discoverPieceTypes(aposHost, headers, locale);
+    types = await discoverPieceTypes(aposHost, headers, locale, mode);
   }
 
-  const pieceUrls = [];
+  const pieceEntries = [];
   for (const pieceType of types) {
-    const urls = await fetchAllPieces(aposHost, headers, pieceType, locale);
-    pieceUrls.push(...urls);
+    const entries = await fetchAllPieces(aposHost, headers, pieceType, locale, mode);
+    pieceEntries.push(...entries);
+  }
+
+  const listingEntries = pagination
+    ? await generateListingEntries({
+      aposHost,
+      headers,
+      pagination: pagination === true
+        ? Object.fromEntries(types.map(type => [type, true]))
+        : pagination,
+      pageEntries,
+      pieceEntries,
+      locale,
+      modeQuery: modeParams(locale, mode),
+      logger
+    })
+    : [];
+
+  const byUrl = new Map();
+  for (const entry of [...pageEntries, ...pieceEntries, ...listingEntries]) {
+    if (!byUrl.has(entry.url)) {
+      byUrl.set(entry.url, entry);
+    }
   }
 
-  const allUrls = Array.from(new Set([...pageUrls, ...pieceUrls])).sort();
-  return allUrls;
-}
\ No newline at end of file
+  return Array.from(byUrl.values()).sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+}
+
+export async function generateSitemap(options = {}) {
+  const entries = await generateSitemapEntries(options);
+  return Array.from(new Set(entries.map(entry => entry.url))).sort();
+}
@@ -0,0 +1,197 @@
+/**
+ * Upload Cache
+ *
+ * Downloads uploads through a content-addressed cache that persists
+ * between exports:
+ * - objects/<sha256>: file contents, shared by every URL with that content
+ * - entries/<sha256 of URL>.json: `{ url, etag, lastModified, hash, size }`
+ * - partial/: interrupted downloads, resumed with a Range request while
+ *   the server still has the same version (If-Range)
+ *
+ * Cached uploads are revalidated with If-None-Match/If-Modified-Since, so an
+ * unchanged file costs a 304 instead of a transfer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { fetchWithRetry } from './utils.js';
+
+export const DEFAULT_UPLOAD_CACHE_DIR = path.join('node_modules', '.cache', 'apos-astro-static', 'uploads');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function writeJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string|false} [options.dir=DEFAULT_UPLOAD_CACHE_DIR] - Cache directory;
+ *   false downloads straight into the output without caching
+ * @param {number} [options.retries=3]
+ * @param {number} [options.timeoutMs=60000]
+ * @param {Object} [options.logger] - Gets the retries of downloads
+ * @returns {{ download(url, destPath): Promise<{ bytes: number, cached: boolean }>, stats: Object }}
+ */
+export function createUploadCache({ dir = DEFAULT_UPLOAD_CACHE_DIR, retries = 3, timeoutMs = 60000, logger } = {}) {
+  const root = dir ? path.resolve(dir) : null;
+  const stats = {
+    downloaded: 0,
+    cached: 0,
+    resumed: 0,
+    bytesTransferred: 0,
+    bytesFromCache: 0
+  };
+
+  const objectPath = hash => path.join(root, 'objects', hash.slice(0, 2), hash);
+  const entryPath = key => path.join(root, 'entries', `${key}.json`);
+  const partialPath = key => path.join(root, 'partial', `${key}.part`);
+
+  // Files of the staged output are replaced, never written in place (see writeOutputFile)
+  function place(hash, destPath) {
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.rmSync(destPath, { force: true });
+    fs.copyFileSync(objectPath(hash), destPath, fs.constants.COPYFILE_FICLONE);
+  }
+
+  /** Stream a response body to a file; resolves to the bytes written */
+  async function writeBody(response, filePath, { append = false, hash } = {}) {
+    let bytes = 0;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!append) fs.rmSync(filePath, { force: true });
+
+    await pipeline(
+      Readable.fromWeb(response.body),
+      async function* (source) {
+        for await (const chunk of source) {
+          hash?.update(chunk);
+          bytes += chunk.length;
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' })
+    );
+
+    return bytes;
+  }
+
+  async function downloadUncached(url, destPath) {
+    const response = await fetchWithRetry(url, {}, timeoutMs, retries, { logger });
+    const bytes = await writeBody(response, destPath);
+    stats.bytesTransferred += bytes;
+    stats.downloaded++;
+    return { bytes, cached: false };
+  }
+
+  // Downloads of the same URL share one request (and one partial file)
+  const inFlight = new Map();
+
+  async function downloadCached(url, destPath) {
+    const key = sha256(url);
+    if (!inFlight.has(key)) {
+      inFlight.set(key, fetchObject(url, key).finally(() => inFlight.delete(key)));
+    }
+
+    const { hash, size, cached } = await inFlight.get(key);
+    place(hash, destPath);
+    return { bytes: size, cached };
+  }
+
+  /** Store url's content in objects/; resolves to its hash and size */
+  async function fetchObject(url, key, { resume = true } = {}) {
+    const entry = readJson(entryPath(key));
+    const cached = entry && fs.existsSync(objectPath(entry.hash)) ? entry : null;
+    const partPath = partialPath(key);
+    const partMetaPath = `${partPath}.json`;
+    const headers = {};
+
+    if (cached) {
+      if (cached.etag) headers['if-none-match'] = cached.etag;
+      if (cached.lastModified) headers['if-modified-since'] = cached.lastModified;
+    }
+
+    // Resume an interrupted download of the same version
+    const partial = !cached && resume ? readJson(partMetaPath) : null;
+    const partialSize = partial && fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    const validator = partial?.etag || partial?.lastModified;
+    if (partialSize > 0 && validator) {
+      headers.range = `bytes=${partialSize}-`;
+      headers['if-range'] = validator;
+    }
+
+    let response;
+    try {
+      response = await fetchWithRetry(url, { headers }, timeoutMs, retries, { logger });
+    } catch (error) {
+      // e.g. 416 for a partial file the server no longer agrees with
+      if (headers.range) {
+        fs.rmSync(partPath, { force: true });
+        fs.rmSync(partMetaPath, { force: true });
+        return fetchObject(url, key, { resume: false });
+      }
+      throw error;
+    }
+
+    // Without validators (conditional headers) the server never answers 304
+    if (response.status === 304 && cached) {
+      await response.body?.cancel();
+      stats.cached++;
+      stats.bytesFromCache += cached.size;
+      return { hash: cached.hash, size: cached.size, cached: true };
+    }
+
+    const etag = response.headers.get('etag');
+    const lastModified = response.headers.get('last-modified');
+    const resuming = response.status === 206;
+    const hash = crypto.createHash('sha256');
+
+    if (resuming) {
+      for await (const chunk of fs.createReadStream(partPath)) {
+        hash.update(chunk);
+      }
+    }
+
+    writeJson(partMetaPath, { url, etag, lastModified });
+    const bytes = await writeBody(response, partPath, { append: resuming, hash });
+    const contentHash = hash.digest('hex');
+    const size = fs.statSync(partPath).size;
+
+    fs.mkdirSync(path.dirname(objectPath(contentHash)), { recursive: true });
+    fs.renameSync(partPath, objectPath(contentHash));
+    fs.rmSync(partMetaPath, { force: true });
+    writeJson(entryPath(key), { url, etag, lastModified, hash: contentHash, size });
+
+    stats.downloaded++;
+    stats.bytesTransferred += bytes;
+    if (resuming) {
+      stats.resumed++;
+      stats.bytesFromCache += partialSize;
+    }
+    return { hash: contentHash, size, cached: false };
+  }
+
+  return {
+    stats,
+
+    /** Download url to destPath, from the cache when the server says it is unchanged */
+    download(url, destPath) {
+      return root ? downloadCached(url, destPath) : downloadUncached(url, destPath);
+    }
+  };
+}
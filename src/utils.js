@@ -4,35 +4,60 @@
 
 import fs from 'fs';
 import path from 'path';
+import { defaultLogger } from './logger.js';
 
-export function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
+/** `fetchImpl` replaces the global fetch (the in-process renderer passes its own) */
+export function fetchWithTimeout(url, options = {}, timeoutMs = 30000, fetchImpl = fetch) {
   const abortController = new AbortController();
   const timeoutId = setTimeout(() => abortController.abort(), timeoutMs);
 
-  return fetch(url, { ...options, signal: abortController.signal })
+  return fetchImpl(url, { ...options, signal: abortController.signal })
     .finally(() => clearTimeout(timeoutId));
 }
 
-export async function fetchWithRetry(url, options = {}, timeoutMs = 30000, retries = 3) {
+/**
+ * Fetch with a timeout, retrying network errors, 5xx and 429 responses with
+ * an exponential backoff. Errors for HTTP responses carry their `status`.
+ *
+ * @param {Object} [settings]
+ * @param {Object} [settings.logger] - Gets a `fetch.retry` debug event per retry
+ * @param {Function} [settings.fetch] - Replaces the global fetch
+ * @param {number[]} [settings.acceptStatus] - Error statuses returned as responses
+ *   (e.g. 404 for error pages)
+ */
+export async function fetchWithRetry(url, options = {}, timeoutMs = 30000, retries = 3, {
+  logger = defaultLogger,
+  fetch: fetchImpl = fetch,
+  acceptStatus = []
+} = {}) {
   let lastError;
 
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      const response = await fetchWithTimeout(url, options, timeoutMs);
-      if (response.ok) return response;
+      const response = await fetchWithTimeout(url, options, timeoutMs, fetchImpl);
+      // 304 only answers conditional requests, which handle it themselves
+      if (response.ok || response.status === 304 || acceptStatus.includes(response.status)) return response;
 
       // Don't retry 4xx errors (except 429 rate limit)
       if (response.status >= 400 && response.status < 500 && response.status !== 429) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        throw httpError(response);
       }
 
-      lastError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      lastError = httpError(response);
     } catch (error) {
+      if (error.status && error.status !== 429 && error.status < 500) throw error;
       lastError = error;
     }
 
     if (attempt < retries) {
       const delay = Math.min(1000 * Math.pow(2, attempt), 5000);
+      logger.debug(`   ↻ Retrying ${url} in ${delay} ms (${lastError.message})`, {
+        event: 'fetch.retry',
+        url: String(url),
+        attempt: attempt + 1,
+        delay,
+        error: lastError.message
+      });
       await new Promise(resolve => setTimeout(resolve, delay));
     }
   }
@@ -40,10 +65,18 @@ export async function fetchWithRetry(url, options = {}, timeoutMs = 30000, retri
   throw lastError;
 }
 
-export async function waitForServer(url, { timeoutMs = 60000, intervalMs = 500 } = {}) {
+function httpError(response) {
+  const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+  error.status = response.status;
+  return error;
+}
+
+/** Poll url until it answers 2xx; `signal` stops polling early */
+export async function waitForServer(url, { timeoutMs = 60000, intervalMs = 500, signal } = {}) {
   const startTime = Date.now();
 
   while (Date.now() - startTime < timeoutMs) {
+    if (signal?.aborted) throw new Error(`Stopped waiting for ${url}`);
     try {
       const response = await fetchWithTimeout(url, {}, intervalMs);
       if (response.ok) return true;
@@ -73,11 +106,30 @@ export function copyDir(sourceDir, destDir) {
     if (entry.isDirectory()) {
       copyDir(sourcePath, destPath);
     } else {
-      fs.copyFileSync(sourcePath, destPath);
+      copyOutputFile(sourcePath, destPath);
     }
   }
 }
 
+/**
+ * Write a file of the staged output. Incremental exports start with hard
+ * links to the files of the live build (see prepareStagingDir), so a file
+ * is replaced by a new one rather than written in place, which would change
+ * the live build too.
+ */
+export function writeOutputFile(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.rmSync(filePath, { force: true });
+  fs.writeFileSync(filePath, content);
+}
+
+/** Copy a file into the staged output, replacing it like writeOutputFile */
+export function copyOutputFile(sourcePath, destPath) {
+  fs.mkdirSync(path.dirname(destPath), { recursive: true });
+  fs.rmSync(destPath, { force: true });
+  fs.copyFileSync(sourcePath, destPath);
+}
+
 export function queryParamsToPath(urlPath) {
   const [pathname, search] = urlPath.split('?');
 
@@ -91,7 +143,8 @@ export function queryParamsToPath(urlPath) {
   const sortedParams = Array.from(params.entries()).sort((a, b) => a[0].localeCompare(b[0]));
 
   for (const [key, value] of sortedParams) {
-    if (value) {
+    // aposMode only selects the draft version while exporting
+    if (value && key !== 'aposMode') {
       parts.push(`${key}-${value}`);
     }
   }
@@ -104,23 +157,40 @@ export function queryParamsToPath(urlPath) {
   return `${cleanPath}/${parts.join('-')}/`;
 }
 
-export function writeHtmlForPath(rootDir, urlPath, html) {
+export function outputPathForUrl(rootDir, urlPath) {
   const staticPath = queryParamsToPath(urlPath);
-
   const isFile = /\.[a-z0-9]+$/i.test(staticPath);
-  let outputPath;
 
   if (isFile) {
-    outputPath = path.join(rootDir, staticPath.replace(/^\//, ""));
-    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  } else if (staticPath === "/") {
-    outputPath = path.join(rootDir, "index.html");
-  } else {
-    outputPath = path.join(rootDir, staticPath.replace(/^\//, ""), "index.html");
-    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    return path.join(rootDir, staticPath.replace(/^\//, ""));
+  }
+
+  if (staticPath === "/") {
+    return path.join(rootDir, "index.html");
+  }
+
+  return path.join(rootDir, staticPath.replace(/^\//, ""), "index.html");
+}
+
+export function writeHtmlForPath(rootDir, urlPath, html) {
+  writeOutputFile(outputPathForUrl(rootDir, urlPath), html);
+}
+
+export function removeOutputForPath(rootDir, urlPath) {
+  const outputPath = outputPathForUrl(rootDir, urlPath);
+  if (!fs.existsSync(outputPath)) return false;
+
+  fs.rmSync(outputPath, { force: true });
+
+  // Prune directories left empty by the removal, stopping at the root
+  const root = path.resolve(rootDir);
+  let dir = path.dirname(outputPath);
+  while (dir.startsWith(root + path.sep) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
   }
 
-  fs.writeFileSync(outputPath, html);
+  return true;
 }
 
 export async function mapLimit(items, limit, worker) {
@@ -0,0 +1,288 @@
+/**
+ * Output Validator
+ *
+ * Checks that everything the exported HTML points at exists in the output:
+ * - Internal links (a, area and iframe targets)
+ * - Assets (src, srcset, poster, CSS url() in style attributes, <style>
+ *   blocks and .css files)
+ * - #fragment anchors on the target page
+ *
+ * Broken targets are reported with every page that references them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { scanTags, decodeEntities } from './html-scanner.js';
+import { writeOutputFile } from './utils.js';
+import { getReportsDir } from './output.js';
+
+export const REPORT_JSON = 'link-report.json';
+export const REPORT_TEXT = 'link-report.txt';
+
+const URL_ATTRIBUTES = {
+  a: { href: 'link' },
+  area: { href: 'link' },
+  link: { href: 'asset' },
+  img: { src: 'asset', srcset: 'asset' },
+  source: { src: 'asset', srcset: 'asset' },
+  script: { src: 'asset' },
+  video: { src: 'asset', poster: 'asset' },
+  audio: { src: 'asset' },
+  track: { src: 'asset' },
+  embed: { src: 'asset' },
+  object: { data: 'asset' },
+  iframe: { src: 'link' },
+  input: { src: 'asset' }
+};
+
+const CSS_URL_RE = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+const STYLE_BLOCK_RE = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+
+function walkFiles(dir, extensions, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      walkFiles(filePath, extensions, files);
+    } else if (extensions.some(extension => entry.name.endsWith(extension))) {
+      files.push(filePath);
+    }
+  }
+  return files;
+}
+
+function parseSrcset(value) {
+  return value
+    .split(',')
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}
+
+function cssUrls(css) {
+  return Array.from(css.matchAll(CSS_URL_RE), match => match[2].trim())
+    .filter(url => !url.startsWith('data:'));
+}
+
+/** Root-relative URL path for an output file ('/about/' for about/index.html) */
+function urlPathForFile(outputDir, filePath) {
+  const relative = '/' + path.relative(outputDir, filePath).split(path.sep).join('/');
+  return relative.endsWith('/index.html') ? relative.slice(0, -'index.html'.length) : relative;
+}
+
+/**
+ * Resolve a root-relative pathname to the output file that would serve it,
+ * or null when nothing does.
+ */
+function resolveOutputFile(outputDir, pathname) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    decoded = pathname;
+  }
+
+  const relative = decoded.replace(/^\/+/, '');
+  const candidates = decoded.endsWith('/')
+    ? [path.join(relative, 'index.html')]
+    : [relative, path.join(relative, 'index.html'), `${relative}.html`];
+
+  for (const candidate of candidates) {
+    const filePath = path.join(outputDir, candidate);
+    if (filePath.startsWith(outputDir) && fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
+      return filePath;
+    }
+  }
+
+  return null;
+}
+
+function collectHtmlReferences(html) {
+  const references = [];
+  const ids = new Set();
+
+  scanTags(html, ({ name, attributes }) => {
+    const urlAttributes = URL_ATTRIBUTES[name] || {};
+
+    for (const attribute of attributes) {
+      if (attribute.name === 'id' || (name === 'a' && attribute.name === 'name')) {
+        ids.add(attribute.value);
+      }
+
+      if (attribute.name === 'style') {
+        for (const url of cssUrls(attribute.value)) {
+          references.push({ url, kind: 'asset' });
+        }
+        continue;
+      }
+
+      const kind = urlAttributes[attribute.name];
+      if (!kind || !attribute.value) continue;
+
+      // <link rel="canonical|alternate"> point at pages, not files we ship
+      if (name === 'link' && !/stylesheet|icon|preload|manifest/i.test(
+        attributes.find(other => other.name === 'rel')?.value || ''
+      )) {
+        continue;
+      }
+
+      const urls = attribute.name === 'srcset' ? parseSrcset(attribute.value) : [attribute.value];
+      for (const url of urls) {
+        references.push({ url, kind });
+      }
+    }
+  });
+
+  for (const match of html.matchAll(STYLE_BLOCK_RE)) {
+    for (const url of cssUrls(decodeEntities(match[1]))) {
+      references.push({ url, kind: 'asset' });
+    }
+  }
+
+  return { references, ids };
+}
+
+/**
+ * Validate the exported output.
+ *
+ * @param {string} outputDir - Export output directory
+ * @param {Object} [options]
+ * @param {string[]} [options.internalOrigins=[]] - Absolute origins treated as
+ *   this site (e.g. the public siteUrl), besides root-relative URLs
+ * @param {boolean} [options.checkFragments=true] - Check #fragment anchors
+ * @param {Array<string|RegExp>} [options.ignore=[]] - URL prefixes or patterns to skip
+ * @param {string|false} [options.reportDir] - Where to write the reports, outside the
+ *   output (default: `<outputDir>.reports`, next to it; false to skip them)
+ * @returns {{ pagesChecked, referencesChecked, broken: Array<{ target, kind, referrers }> }}
+ */
+export function validateOutput(outputDir, options = {}) {
+  const {
+    internalOrigins = [],
+    checkFragments = true,
+    ignore = [],
+    reportDir = null
+  } = options;
+
+  const root = path.resolve(outputDir);
+  const origins = new Set(internalOrigins.map(origin => new URL(origin).origin));
+  const htmlFiles = walkFiles(root, ['.html']);
+  const cssFiles = walkFiles(root, ['.css']);
+
+  const idsByFile = new Map();
+  const referencesByFile = new Map();
+
+  for (const filePath of htmlFiles) {
+    const { references, ids } = collectHtmlReferences(fs.readFileSync(filePath, 'utf8'));
+    idsByFile.set(filePath, ids);
+    referencesByFile.set(filePath, references);
+  }
+
+  for (const filePath of cssFiles) {
+    const references = cssUrls(fs.readFileSync(filePath, 'utf8')).map(url => ({ url, kind: 'asset' }));
+    referencesByFile.set(filePath, references);
+  }
+
+  const broken = new Map();
+  let referencesChecked = 0;
+
+  function report(target, kind, referrer) {
+    const key = `${kind}:${target}`;
+    if (!broken.has(key)) {
+      broken.set(key, { target, kind, referrers: new Set() });
+    }
+    broken.get(key).referrers.add(referrer);
+  }
+
+  for (const [filePath, references] of referencesByFile) {
+    const referrer = urlPathForFile(root, filePath);
+    const base = new URL(referrer, 'http://apos-static.invalid');
+
+    for (const { url, kind } of references) {
+      if (/^(mailto|tel|javascript|data|blob):/i.test(url)) continue;
+      if (ignore.some(pattern => (pattern instanceof RegExp ? pattern.test(url) : url.startsWith(pattern)))) {
+        continue;
+      }
+
+      let resolved;
+      try {
+        resolved = new URL(url, base);
+      } catch {
+        continue;
+      }
+
+      if (resolved.origin !== base.origin && !origins.has(resolved.origin)) continue;
+
+      referencesChecked++;
+      const targetFile = resolved.pathname === base.pathname && url.startsWith('#')
+        ? filePath
+        : resolveOutputFile(root, resolved.pathname);
+
+      if (!targetFile) {
+        report(resolved.pathname, kind === 'link' ? 'link' : 'asset', referrer);
+        continue;
+      }
+
+      let fragment = resolved.hash.slice(1);
+      try {
+        fragment = decodeURIComponent(fragment);
+      } catch {
+        // Keep the raw fragment
+      }
+      if (checkFragments && fragment && fragment !== 'top' && idsByFile.has(targetFile)) {
+        if (!idsByFile.get(targetFile).has(fragment)) {
+          report(`${urlPathForFile(root, targetFile)}#${fragment}`, 'fragment', referrer);
+        }
+      }
+    }
+  }
+
+  const summary = {
+    pagesChecked: htmlFiles.length,
+    referencesChecked,
+    broken: Array.from(broken.values())
+      .map(item => ({ ...item, referrers: Array.from(item.referrers).sort() }))
+      .sort((a, b) => (a.target < b.target ? -1 : a.target > b.target ? 1 : 0))
+  };
+
+  if (reportDir !== false) {
+    writeValidationReport(getReportsDir(outputDir, reportDir), summary);
+  }
+
+  return summary;
+}
+
+export function formatValidationReport(summary) {
+  const sections = [
+    ['link', 'Broken links'],
+    ['asset', 'Missing assets'],
+    ['fragment', 'Missing anchors']
+  ];
+
+  const lines = [
+    'Link validation report',
+    `Checked ${summary.referencesChecked} references on ${summary.pagesChecked} pages`,
+    ''
+  ];
+
+  if (summary.broken.length === 0) {
+    lines.push('No broken links or missing assets found.');
+  }
+
+  for (const [kind, heading] of sections) {
+    const items = summary.broken.filter(item => item.kind === kind);
+    if (items.length === 0) continue;
+
+    lines.push(`${heading} (${items.length}):`);
+    for (const item of items) {
+      lines.push(`  ${item.target}`);
+      lines.push(`    referenced by: ${item.referrers.join(', ')}`);
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd() + '\n';
+}
+
+export function writeValidationReport(reportDir, summary) {
+  fs.mkdirSync(reportDir, { recursive: true });
+  writeOutputFile(path.join(reportDir, REPORT_JSON), JSON.stringify(summary, null, 2));
+  writeOutputFile(path.join(reportDir, REPORT_TEXT), formatValidationReport(summary));
+}
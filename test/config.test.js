@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConfig, parseCliArgs } from '../src/config.js';
+import { tempDir, writeTree } from './helpers/files.js';
+
+/** resolveConfig for a command line, without a config file unless cwd has one */
+function resolve(argv, { env = {}, cwd = tempDir(), commandFlags } = {}) {
+  return resolveConfig({ flags: parseCliArgs(argv).flags, env, cwd, commandFlags });
+}
+
+describe('resolveConfig', () => {
+  it('starts from the defaults', async () => {
+    const { options, sources, configFile } = await resolve([]);
+
+    assert.equal(options.outputDir, 'static-dist');
+    assert.equal(options.retries, 3);
+    assert.equal(sources.retries, 'default');
+    assert.equal(configFile, null);
+  });
+
+  it('applies the config file, its profile, the environment and the command line in order', async () => {
+    const cwd = writeTree(tempDir(), {
+      'apos-static.config.json': JSON.stringify({
+        outputDir: 'from-file',
+        retries: 5,
+        concurrency: 2,
+        profiles: { ci: { retries: 1, siteUrl: 'https://ci.example.com' } }
+      })
+    });
+
+    const { options, sources, profile } = await resolve(['--profile=ci', '--concurrency=8'], {
+      cwd,
+      env: { APOS_STATIC_OUTPUT_DIR: 'from-env' }
+    });
+
+    assert.equal(profile, 'ci');
+    assert.deepEqual(
+      [options.outputDir, options.retries, options.siteUrl, options.concurrency],
+      ['from-env', 1, 'https://ci.example.com', 8]
+    );
+    assert.deepEqual(
+      [sources.outputDir, sources.retries, sources.concurrency],
+      ['environment', 'apos-static.config.json, profile ci', 'command line']
+    );
+  });
+
+  it('parses decimal numbers', async () => {
+    const { options } = await resolve(['--success-threshold=0.95', '--debounce-ms=.5']);
+
+    assert.equal(options.successThreshold, 0.95);
+    assert.equal(options.debounceMs, 0.5);
+  });
+
+  for (const value of ['0x10', '1e3', 'Infinity', ' 8 ', '8px', '']) {
+    it(`rejects ${JSON.stringify(value)} as a number`, async () => {
+      await assert.rejects(resolve([`--retries=${value}`]), /--retries must be a number/);
+      await assert.rejects(
+        resolve([], { env: { APOS_STATIC_SUCCESS_THRESHOLD: `${value}x` } }),
+        /APOS_STATIC_SUCCESS_THRESHOLD must be a number/
+      );
+    });
+  }
+
+  it('rejects decimals for integer options', async () => {
+    await assert.rejects(resolve(['--concurrency=2.5']), /--concurrency must be a number \(got "2.5"\)/);
+  });
+
+  it('checks number flags of commands strictly', async () => {
+    const commandFlags = { limit: 'number' };
+
+    assert.equal((await resolve(['--limit=20'], { commandFlags })).meta.limit, 20);
+    await assert.rejects(resolve(['--limit=0x10'], { commandFlags }), /--limit must be a number/);
+  });
+
+  it('suggests the closest option for an unknown flag', async () => {
+    await assert.rejects(resolve(['--out-dir=x']), /Unknown option --out-dir \(did you mean --output-dir\?\)/);
+  });
+
+  it('rejects an unknown profile', async () => {
+    const cwd = writeTree(tempDir(), { 'apos-static.config.json': JSON.stringify({ profiles: { ci: {} } }) });
+
+    await assert.rejects(resolve(['--profile=prod'], { cwd }), /available: ci/);
+  });
+});
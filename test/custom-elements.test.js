@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCustomElementsProcessor } from '../src/processors/custom-elements.js';
+import { createPage } from '../src/pipeline.js';
+import { createLogger } from '../src/logger.js';
+
+describe('custom elements processor', () => {
+  it('runs a renderer\'s afterExport once per output tree where its tag was rendered', async () => {
+    const calls = [];
+    const processor = createCustomElementsProcessor({
+      'video-widget': false,
+      'map-widget': {
+        render: ({ attributes }) => `<img alt="${attributes.label}">`,
+        afterExport: context => calls.push(context.tree.name)
+      }
+    });
+
+    // Tree contexts of a split-domain export share the results
+    const results = {};
+    const treeContext = name => ({ tree: { name }, results, logger: createLogger({ level: 'silent' }) });
+    const en = treeContext('en');
+    const fr = treeContext('fr');
+
+    const page = createPage('/', '<map-widget label="Map"></map-widget>');
+    await processor.transformHtml(page, en);
+    await processor.transformHtml(createPage('/', '<p>No map</p>'), fr);
+
+    for (const context of [en, fr]) {
+      await processor.afterExport(context);
+    }
+
+    assert.match(page.html, /<img alt="Map">/);
+    assert.deepEqual(results.customElements, { 'map-widget': 1 });
+    assert.deepEqual(calls, ['en']);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createFormsProcessor } from '../src/processors/forms.js';
+import { createPage } from '../src/pipeline.js';
+import { createLogger } from '../src/logger.js';
+import { tempDir } from './helpers/files.js';
+
+/** A logger that keeps its warnings */
+function recordingLogger() {
+  const warnings = [];
+  const logger = createLogger({ level: 'silent' });
+  return { ...logger, warnings, warn: (message, fields) => warnings.push({ message, ...fields }) };
+}
+
+const contactForm = (id, field = 'email') => `<div data-apos-form-wrapper>
+  <form data-apos-form-form data-apos-form-id="${id}">
+    <h2>Contact us</h2>
+    <label for="${field}">Your ${field}</label><input id="${field}" name="${field}" required>
+    <button type="submit">Send</button>
+  </form>
+</div>`;
+
+async function exportForms(options, pages) {
+  const processor = createFormsProcessor(options);
+  const logger = recordingLogger();
+  const context = { outputDir: tempDir(), results: {}, logger };
+
+  for (const [url, html] of Object.entries(pages)) {
+    const page = createPage(url, html, { logger });
+    await processor.transformHtml(page, context);
+  }
+  await processor.afterExport(context);
+
+  return { context, warnings: logger.warnings };
+}
+
+describe('forms processor', () => {
+  it('writes one schema for a form used on several pages', async () => {
+    const { context, warnings } = await exportForms('schema', {
+      '/': contactForm('f1'),
+      '/about/': contactForm('f1')
+    });
+
+    const schema = JSON.parse(fs.readFileSync(path.join(context.outputDir, 'forms', 'contact-us.json'), 'utf8'));
+    assert.equal(schema.id, 'f1');
+    assert.deepEqual(schema.pages, ['/', '/about/']);
+    assert.deepEqual(schema.fields.map(field => [field.name, field.label, field.required]), [['email', 'Your email', true]]);
+    assert.deepEqual(context.results.forms, { target: 'schema', forms: 1, pages: 2 });
+    assert.deepEqual(warnings, []);
+  });
+
+  it('warns once when different forms share a name', async () => {
+    const { warnings } = await exportForms('netlify', {
+      '/': contactForm('f1'),
+      '/about/': contactForm('f2', 'phone'),
+      '/team/': contactForm('f2', 'phone')
+    });
+
+    assert.deepEqual(warnings.map(warning => [warning.event, warning.form, warning.pages]), [
+      ['form.conflict', 'contact-us', ['/', '/about/']]
+    ]);
+  });
+});
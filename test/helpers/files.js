@@ -0,0 +1,40 @@
+/**
+ * Temporary directories and file trees for tests.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { after } from 'node:test';
+
+/** A new empty directory, removed when the test file finishes */
+export function tempDir(name = 'apos-static-test') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/** Write `{ 'relative/path': content }` under dir */
+export function writeTree(dir, files) {
+  for (const [relative, content] of Object.entries(files)) {
+    const filePath = path.join(dir, relative);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  }
+  return dir;
+}
+
+/** Every file under dir as `{ 'relative/path': content }` */
+export function readTree(dir, root = dir, files = {}) {
+  if (!fs.existsSync(dir)) return files;
+
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      readTree(filePath, root, files);
+    } else {
+      files[path.relative(root, filePath).split(path.sep).join('/')] = fs.readFileSync(filePath, 'utf8');
+    }
+  }
+  return files;
+}
@@ -0,0 +1,117 @@
+/**
+ * A minimal S3 stand-in for deploy tests: path-style ListObjectsV2, PUT
+ * and multi-object DELETE on one bucket, kept in memory. Requests must be
+ * SigV4-signed and carry the SHA-256 of their body, as S3 checks.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+function md5(body) {
+  return crypto.createHash('md5').update(body).digest('hex');
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(value) {
+  return value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.bucket='site']
+ * @param {number} [options.pageSize=1000] - Keys per list response
+ * @param {Function} [options.failPut] - `key => status`, to fail uploads
+ * @returns {Promise<{ endpoint, bucket, objects: Map, requests: Array, put(key, body), close() }>}
+ */
+export async function startS3Stub({ bucket = 'site', pageSize = 1000, failPut = () => null } = {}) {
+  const objects = new Map();
+  const requests = [];
+
+  function put(key, body, headers = {}) {
+    const content = Buffer.from(body);
+    objects.set(key, { body: content, etag: md5(content), headers });
+  }
+
+  function send(response, status, xml = '') {
+    response.writeHead(status, { 'content-type': 'application/xml' });
+    response.end(xml);
+  }
+
+  function list(url, response) {
+    const prefix = url.searchParams.get('prefix') || '';
+    const start = Number(url.searchParams.get('continuation-token') || 0);
+    const keys = Array.from(objects.keys()).filter(key => key.startsWith(prefix)).sort();
+    const page = keys.slice(start, start + pageSize);
+    const truncated = start + pageSize < keys.length;
+
+    send(response, 200, '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult>' +
+      page.map(key => `<Contents><Key>${escapeXml(key)}</Key><ETag>&quot;${objects.get(key).etag}&quot;</ETag></Contents>`).join('') +
+      `<IsTruncated>${truncated}</IsTruncated>` +
+      (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '') +
+      '</ListBucketResult>');
+  }
+
+  function handle(request, response, body) {
+    const url = new URL(request.url, 'http://localhost');
+    const [, requestBucket, ...segments] = url.pathname.split('/');
+    const key = segments.map(decodeURIComponent).join('/');
+    requests.push({ method: request.method, key, query: url.search, headers: request.headers });
+
+    if (!String(request.headers.authorization).startsWith('AWS4-HMAC-SHA256 Credential=')) {
+      return send(response, 403, '<Error><Code>AccessDenied</Code></Error>');
+    }
+    if (request.headers['x-amz-content-sha256'] !== crypto.createHash('sha256').update(body).digest('hex')) {
+      return send(response, 400, '<Error><Code>XAmzContentSHA256Mismatch</Code></Error>');
+    }
+    if (requestBucket !== bucket) {
+      return send(response, 404, '<Error><Code>NoSuchBucket</Code></Error>');
+    }
+
+    if (request.method === 'GET' && !key && url.searchParams.get('list-type') === '2') {
+      return list(url, response);
+    }
+
+    if (request.method === 'PUT' && key) {
+      const status = failPut(key);
+      if (status) return send(response, status, '<Error><Code>InternalError</Code></Error>');
+
+      put(key, body, {
+        'content-type': request.headers['content-type'],
+        'cache-control': request.headers['cache-control']
+      });
+      return send(response, 200);
+    }
+
+    if (request.method === 'POST' && !key && url.searchParams.has('delete')) {
+      if (request.headers['content-md5'] !== crypto.createHash('md5').update(body).digest('base64')) {
+        return send(response, 400, '<Error><Code>InvalidDigest</Code></Error>');
+      }
+      for (const [, deleted] of body.toString().matchAll(/<Key>([\s\S]*?)<\/Key>/g)) {
+        objects.delete(unescapeXml(deleted));
+      }
+      return send(response, 200, '<DeleteResult></DeleteResult>');
+    }
+
+    send(response, 405, '<Error><Code>MethodNotAllowed</Code></Error>');
+  }
+
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => handle(request, response, Buffer.concat(chunks)));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    bucket,
+    objects,
+    requests,
+    put,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
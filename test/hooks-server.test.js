@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHookServer, signPayload, verifySignature, SIGNATURE_HEADER } from '../src/hooks-server.js';
+import { createLocaleLayout } from '../src/locales.js';
+
+describe('verifySignature', () => {
+  const body = Buffer.from('{"docs":[]}');
+  const signature = signPayload(body, 'secret');
+
+  it('accepts the HMAC of the body', () => {
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(body, signature, 'secret'), true);
+  });
+
+  it('rejects other secrets, bodies and malformed signatures', () => {
+    assert.equal(verifySignature(body, signature, 'other'), false);
+    assert.equal(verifySignature(Buffer.from('{"docs":[{}]}'), signature, 'secret'), false);
+    assert.equal(verifySignature(body, signature.slice(0, -1), 'secret'), false);
+    assert.equal(verifySignature(body, undefined, 'secret'), false);
+  });
+});
+
+/** A hook server whose exports record their changed URLs */
+function hookServer(options = {}) {
+  const exports = [];
+  const hooks = createHookServer({
+    secret: 'secret',
+    debounceMs: 10,
+    log: () => {},
+    runExport: async ({ changedUrls }) => {
+      exports.push(changedUrls.sort());
+      return { success: true, pagesRendered: changedUrls.length, errors: [] };
+    },
+    ...options
+  });
+  return { hooks, exports };
+}
+
+describe('createHookServer', () => {
+  it('queues the paths of changed documents into one export', async () => {
+    const { hooks, exports } = hookServer();
+
+    hooks.trigger([{ _url: 'https://cms.example.com/about/' }]);
+    hooks.trigger([{ _url: '/blog/post/' }, { title: 'No URL' }]);
+    assert.equal(hooks.status().queueDepth, 3);
+    await hooks.idle();
+
+    assert.deepEqual(exports, [['/about/', '/blog/post/']]);
+    assert.equal(hooks.status().builds, 1);
+    assert.equal(hooks.status().lastBuild.success, true);
+  });
+
+  it('maps documents to the output tree of their domain', async () => {
+    const locales = createLocaleLayout({
+      en: { baseUrl: 'https://example.com' },
+      fr: { baseUrl: 'https://example.fr' },
+      de: { baseUrl: 'https://example.com', prefix: '/de' }
+    });
+    const { hooks, exports } = hookServer({ locales });
+
+    hooks.trigger([
+      { _url: 'https://example.fr/a-propos/' },
+      { _url: 'https://example.com/de/uber/' },
+      { _url: '/contact/', aposLocale: 'fr:published' }
+    ]);
+    await hooks.idle();
+
+    assert.deepEqual(exports, [['/en/de/uber/', '/fr/a-propos/', '/fr/contact/']]);
+  });
+
+  it('only accepts signed requests', async () => {
+    const { hooks, exports } = hookServer();
+    await new Promise(resolve => hooks.server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${hooks.server.address().port}/hooks`;
+    const body = JSON.stringify({ docs: [{ _url: '/news/' }] });
+
+    try {
+      const unsigned = await fetch(url, { method: 'POST', body });
+      assert.equal(unsigned.status, 401);
+
+      const signed = await fetch(url, { method: 'POST', body, headers: { [SIGNATURE_HEADER]: signPayload(body, 'secret') } });
+      assert.equal(signed.status, 202);
+      assert.deepEqual(await signed.json(), { queued: 1, queueDepth: 1, state: 'waiting' });
+    } finally {
+      await new Promise(resolve => hooks.server.close(resolve));
+    }
+    await hooks.idle();
+
+    assert.deepEqual(exports, [['/news/']]);
+  });
+
+  it('requires a secret unless unsigned requests are allowed', () => {
+    assert.throws(() => createHookServer({ runExport: async () => ({}) }), /webhook secret is required/);
+    assert.ok(createHookServer({ runExport: async () => ({}), allowUnsigned: true }));
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createResponsiveImagesProcessor } from '../src/processors/images.js';
+import { createPage } from '../src/pipeline.js';
+import { createLogger } from '../src/logger.js';
+import { tempDir } from './helpers/files.js';
+
+/** A tree context whose upload cache writes the URL as the file content */
+function imagesContext(options = {}) {
+  const downloads = [];
+  return {
+    downloads,
+    outputDir: tempDir(),
+    aposHost: 'http://localhost:3000',
+    uploadOrigins: [],
+    logger: createLogger({ level: 'silent' }),
+    uploadCache: {
+      async download(url, filePath) {
+        downloads.push(url);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, url);
+        return { bytes: url.length, cached: false };
+      }
+    },
+    ...options
+  };
+}
+
+describe('responsive images processor', () => {
+  it('localizes images from the configured upload origins', async () => {
+    const processor = createResponsiveImagesProcessor({ dimensions: false });
+    const context = imagesContext({ uploadOrigins: ['https://cdn.example.com/media'] });
+    const page = createPage('/', '<p><img src="https://cdn.example.com/media/photo.jpg"></p>');
+
+    await processor.transformHtml(page, context);
+
+    assert.deepEqual(context.downloads, ['https://cdn.example.com/media/photo.jpg']);
+    assert.match(page.html, /<img src="\/uploads\/photo\.jpg" loading="lazy">/);
+    assert.ok(fs.existsSync(path.join(context.outputDir, 'uploads', 'photo.jpg')));
+  });
+
+  it('leaves pages without upload URLs unparsed', async () => {
+    const processor = createResponsiveImagesProcessor();
+    const context = imagesContext({ uploadOrigins: ['https://cdn.example.com/media'] });
+    const page = createPage('/', '<p><img src="https://elsewhere.example.com/media/photo.jpg"></p>');
+
+    await processor.transformHtml(page, context);
+
+    assert.equal(page.hasDocument, false);
+    assert.deepEqual(context.downloads, []);
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createManifest,
+  loadManifest,
+  saveManifest,
+  planIncrementalBuild,
+  findUnreachablePages,
+  MANIFEST_FILENAME
+} from '../src/manifest.js';
+import { writeHtmlForPath } from '../src/utils.js';
+import { tempDir, writeTree } from './helpers/files.js';
+
+function page(fields = {}) {
+  return { id: null, type: null, updatedAt: null, hash: 'h', links: [], ...fields };
+}
+
+/** A manifest and an output directory holding every page of it */
+function previousBuild(pages) {
+  const outputDir = tempDir('output');
+  for (const url of Object.keys(pages)) {
+    writeHtmlForPath(outputDir, url, url);
+  }
+  return { manifest: { ...createManifest(), pages }, outputDir };
+}
+
+const home = page({ id: 'home', type: '@apostrophecms/home-page', updatedAt: '1' });
+const blog = page({ id: 'blog', type: 'article-page', updatedAt: '1', links: ['/blog/first/'] });
+const first = page({ id: 'a1', type: 'article', updatedAt: '1' });
+
+function entry(url, fields) {
+  return { url, ...fields };
+}
+
+const entries = [
+  entry('/', { _id: 'home', type: '@apostrophecms/home-page', updatedAt: '1' }),
+  entry('/blog/', { _id: 'blog', type: 'article-page', updatedAt: '1' }),
+  entry('/blog/first/', { _id: 'a1', type: 'article', updatedAt: '1' })
+];
+
+describe('planIncrementalBuild', () => {
+  it('renders everything without a manifest', () => {
+    const plan = planIncrementalBuild(null, entries, tempDir());
+
+    assert.deepEqual(Array.from(plan.render), ['/', '/blog/', '/blog/first/']);
+    assert.equal(plan.unchanged.size, 0);
+    assert.deepEqual(plan.removed, []);
+  });
+
+  it('skips documents whose updatedAt and output are unchanged', () => {
+    const { manifest, outputDir } = previousBuild({ '/': home, '/blog/': blog, '/blog/first/': first });
+    const plan = planIncrementalBuild(manifest, entries, outputDir);
+
+    assert.equal(plan.render.size, 0);
+    assert.deepEqual(Array.from(plan.unchanged).sort(), ['/', '/blog/', '/blog/first/']);
+  });
+
+  it('treats a missing id or updatedAt the way the manifest stores it', () => {
+    const { manifest, outputDir } = previousBuild({ '/': page() });
+    const plan = planIncrementalBuild(manifest, [entry('/', {})], outputDir);
+
+    assert.equal(plan.render.size, 0);
+  });
+
+  it('renders changed documents and the pages linking to them', () => {
+    const { manifest, outputDir } = previousBuild({ '/': home, '/blog/': blog, '/blog/first/': first });
+    const plan = planIncrementalBuild(manifest, [
+      entries[0],
+      entries[1],
+      entry('/blog/first/', { _id: 'a1', type: 'article', updatedAt: '2' })
+    ], outputDir);
+
+    assert.deepEqual(Array.from(plan.render).sort(), ['/blog/', '/blog/first/']);
+  });
+
+  it('renders URLs reported as changed and pages whose output is missing', () => {
+    const { manifest, outputDir } = previousBuild({ '/': home, '/blog/first/': first });
+    manifest.pages['/blog/'] = blog;
+
+    const plan = planIncrementalBuild(manifest, entries, outputDir, { changedUrls: ['/'] });
+
+    assert.deepEqual(Array.from(plan.render).sort(), ['/', '/blog/']);
+  });
+
+  it('removes documents that are gone and renders the pages linking to them', () => {
+    const { manifest, outputDir } = previousBuild({ '/': home, '/blog/': blog, '/blog/first/': first });
+    const plan = planIncrementalBuild(manifest, entries.slice(0, 2), outputDir);
+
+    assert.deepEqual(plan.removed, ['/blog/first/']);
+    assert.deepEqual(Array.from(plan.render), ['/blog/']);
+    assert.ok(!plan.unchanged.has('/blog/first/'));
+  });
+
+  it('renders the index page of a new piece with its crawled variants', () => {
+    const { manifest, outputDir } = previousBuild({
+      '/': home,
+      '/blog/': blog,
+      '/blog/?page=2': page({ links: ['/blog/'] }),
+      '/blog/first/': first
+    });
+    const plan = planIncrementalBuild(manifest, [
+      ...entries,
+      entry('/blog/second/', { _id: 'a2', type: 'article', updatedAt: '1' })
+    ], outputDir);
+
+    assert.deepEqual(Array.from(plan.render).sort(), ['/blog/', '/blog/?page=2', '/blog/second/']);
+  });
+
+  it('renders the index page of a removed piece with its crawled variants', () => {
+    const { manifest, outputDir } = previousBuild({
+      '/': home,
+      '/blog/': blog,
+      '/blog/?page=2': page({ links: ['/blog/', '/blog/?page=3'] }),
+      '/blog/?page=3': page({ links: ['/blog/'] }),
+      '/blog/first/': first
+    });
+    const plan = planIncrementalBuild(manifest, entries.slice(0, 2), outputDir);
+
+    assert.deepEqual(plan.removed, ['/blog/first/']);
+    assert.deepEqual(Array.from(plan.render).sort(), ['/blog/', '/blog/?page=2', '/blog/?page=3']);
+  });
+
+  it('leaves the homepage and unrelated listings alone when a piece is added', () => {
+    const { manifest, outputDir } = previousBuild({
+      '/': home,
+      '/blog/': blog,
+      '/blog/?page=2': page({ links: ['/blog/'] }),
+      '/about/': page({ id: 'about', type: 'default-page', updatedAt: '1' })
+    });
+    const plan = planIncrementalBuild(manifest, [
+      entries[0],
+      entries[1],
+      entry('/about/', { _id: 'about', type: 'default-page', updatedAt: '1' }),
+      // Shares the `/blog` prefix, not the path segment
+      entry('/blog-news/', { _id: 'news', type: 'default-page', updatedAt: '1' }),
+      entry('/about/team/', { _id: 'team', type: 'default-page', updatedAt: '1' })
+    ], outputDir);
+
+    assert.deepEqual(Array.from(plan.render).sort(), ['/about/team/', '/blog-news/']);
+  });
+
+  it('uses the configured index page type', () => {
+    const { manifest, outputDir } = previousBuild({
+      '/': home,
+      '/news/': page({ id: 'news', type: 'news-listing', updatedAt: '1' })
+    });
+    const plan = planIncrementalBuild(manifest, [
+      entries[0],
+      entry('/news/', { _id: 'news', type: 'news-listing', updatedAt: '1' }),
+      entry('/news/story/', { _id: 's1', type: 'article', updatedAt: '1' })
+    ], outputDir, { indexTypeFor: type => (type === 'article' ? 'news-listing' : `${type}-page`) });
+
+    assert.deepEqual(Array.from(plan.render).sort(), ['/news/', '/news/story/']);
+  });
+});
+
+describe('findUnreachablePages', () => {
+  it('lists crawled pages no page links to', () => {
+    const manifest = {
+      pages: {
+        '/': page({ id: 'home', links: ['/blog/'] }),
+        '/blog/': page({ id: 'blog', links: ['/blog/?page=2'] }),
+        '/blog/?page=2': page({ links: ['/blog/?page=3'] }),
+        '/blog/?page=3': page(),
+        '/blog/?page=4': page({ links: ['/blog/?page=5'] }),
+        '/blog/?page=5': page(),
+        '/orphan-document/': page({ id: 'orphan' })
+      }
+    };
+
+    assert.deepEqual(findUnreachablePages(manifest, ['/', '/blog/']), ['/blog/?page=4', '/blog/?page=5']);
+  });
+
+  it('follows the previous links of pages that failed to render', () => {
+    const manifest = { pages: { '/': page({ id: 'home' }), '/blog/?page=2': page() } };
+    const previous = { pages: { '/blog/': page({ id: 'blog', links: ['/blog/?page=2'] }) } };
+
+    assert.deepEqual(findUnreachablePages(manifest, ['/', '/blog/'], previous), []);
+  });
+});
+
+describe('loadManifest', () => {
+  it('reads back a saved manifest', () => {
+    const outputDir = tempDir();
+    const manifest = createManifest();
+    manifest.pages['/'] = home;
+    saveManifest(outputDir, manifest);
+
+    assert.deepEqual(loadManifest(outputDir).pages, { '/': home });
+  });
+
+  it('only matches the build it was saved for', () => {
+    const reportsDir = tempDir();
+    saveManifest(reportsDir, createManifest(), { build: '2026-01-01T00-00-00-000Z' });
+
+    assert.ok(loadManifest(reportsDir, { build: '2026-01-01T00-00-00-000Z' }));
+    assert.equal(loadManifest(reportsDir, { build: '2026-02-01T00-00-00-000Z' }), null);
+  });
+
+  it('ignores missing, unreadable and outdated manifests', () => {
+    assert.equal(loadManifest(tempDir()), null);
+    assert.equal(loadManifest(writeTree(tempDir(), { [MANIFEST_FILENAME]: '{' })), null);
+    assert.equal(loadManifest(writeTree(tempDir(), { [MANIFEST_FILENAME]: '{"version":0,"pages":{}}' })), null);
+  });
+});
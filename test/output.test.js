@@ -0,0 +1,137 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  getStagingDir,
+  getBuildsDir,
+  getReportsDir,
+  currentBuild,
+  prepareStagingDir,
+  swapIntoPlace,
+  listPreviousBuilds,
+  rollbackOutput,
+  cleanOutput
+} from '../src/output.js';
+import { writeOutputFile } from '../src/utils.js';
+import { tempDir, writeTree, readTree } from './helpers/files.js';
+
+/** Stage `files` and swap them in */
+function exportFiles(outputDir, files, options) {
+  const stagingDir = getStagingDir(outputDir);
+  prepareStagingDir(stagingDir);
+  writeTree(stagingDir, files);
+  return swapIntoPlace(stagingDir, outputDir, options);
+}
+
+describe('swapIntoPlace', () => {
+  it('points outputDir at a versioned build', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1' });
+
+    assert.ok(fs.lstatSync(outputDir).isSymbolicLink());
+    assert.equal(path.dirname(currentBuild(outputDir)), getBuildsDir(outputDir));
+    assert.deepEqual(readTree(outputDir), { 'index.html': 'v1' });
+    assert.ok(!fs.existsSync(getStagingDir(outputDir)));
+  });
+
+  it('keeps keepPrevious replaced builds', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1' });
+    const first = currentBuild(outputDir);
+    exportFiles(outputDir, { 'index.html': 'v2' });
+    const second = currentBuild(outputDir);
+
+    const previous = exportFiles(outputDir, { 'index.html': 'v3' }, { keepPrevious: 1 });
+
+    assert.equal(previous, second);
+    assert.deepEqual(listPreviousBuilds(outputDir), [second]);
+    assert.ok(!fs.existsSync(first));
+    assert.deepEqual(readTree(outputDir), { 'index.html': 'v3' });
+  });
+
+  it('removes replaced builds by default', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1' });
+
+    assert.equal(exportFiles(outputDir, { 'index.html': 'v2' }), null);
+    assert.deepEqual(fs.readdirSync(getBuildsDir(outputDir)), [path.basename(currentBuild(outputDir))]);
+  });
+
+  it('turns a plain output directory into a build', () => {
+    const outputDir = writeTree(path.join(tempDir(), 'site'), { 'index.html': 'old' });
+
+    const previous = exportFiles(outputDir, { 'index.html': 'new' }, { keepPrevious: 1 });
+
+    assert.ok(fs.lstatSync(outputDir).isSymbolicLink());
+    assert.deepEqual(readTree(outputDir), { 'index.html': 'new' });
+    assert.deepEqual(readTree(previous), { 'index.html': 'old' });
+  });
+});
+
+describe('prepareStagingDir', () => {
+  it('seeds incremental exports without changing the live build', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1', 'about/index.html': 'about' });
+
+    const stagingDir = getStagingDir(outputDir);
+    prepareStagingDir(stagingDir, outputDir);
+    assert.equal(
+      fs.statSync(path.join(stagingDir, 'index.html')).ino,
+      fs.statSync(path.join(outputDir, 'index.html')).ino
+    );
+
+    writeOutputFile(path.join(stagingDir, 'index.html'), 'v2');
+
+    assert.deepEqual(readTree(outputDir), { 'index.html': 'v1', 'about/index.html': 'about' });
+    assert.deepEqual(readTree(stagingDir), { 'index.html': 'v2', 'about/index.html': 'about' });
+  });
+});
+
+describe('rollbackOutput', () => {
+  it('switches back to the previous build, and forward again', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1' });
+    exportFiles(outputDir, { 'index.html': 'v2' }, { keepPrevious: 1 });
+
+    rollbackOutput(outputDir);
+    assert.deepEqual(readTree(outputDir), { 'index.html': 'v1' });
+
+    rollbackOutput(outputDir);
+    assert.deepEqual(readTree(outputDir), { 'index.html': 'v2' });
+  });
+
+  it('fails without a previous build', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1' });
+
+    assert.throws(() => rollbackOutput(outputDir), /No previous build found/);
+  });
+});
+
+describe('getReportsDir', () => {
+  it('is next to the output unless configured', () => {
+    assert.equal(getReportsDir('/srv/site'), '/srv/site.reports');
+    assert.equal(getReportsDir('/srv/site', '/var/reports'), '/var/reports');
+  });
+
+  it('refuses a directory inside the output', () => {
+    assert.throws(() => getReportsDir('/srv/site', '/srv/site/reports'), /inside the output directory/);
+    assert.throws(() => getReportsDir('/srv/site', '/srv/site'), /inside the output directory/);
+  });
+});
+
+describe('cleanOutput', () => {
+  it('removes the link, the builds, the staging directory and the reports', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    exportFiles(outputDir, { 'index.html': 'v1' });
+    exportFiles(outputDir, { 'index.html': 'v2' }, { keepPrevious: 1 });
+    fs.mkdirSync(getStagingDir(outputDir));
+    fs.mkdirSync(getReportsDir(outputDir));
+
+    const removed = cleanOutput(outputDir);
+
+    assert.deepEqual(removed, [outputDir, getStagingDir(outputDir), getBuildsDir(outputDir), getReportsDir(outputDir)]);
+    assert.deepEqual(fs.readdirSync(path.dirname(outputDir)), []);
+  });
+});
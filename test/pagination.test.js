@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { generateListingEntries, expandListingTemplate } from '../src/pagination.js';
+import { createLogger } from '../src/logger.js';
+
+/** A logger that keeps its warnings */
+function recordingLogger() {
+  const warnings = [];
+  const logger = createLogger({ level: 'silent' });
+  return { ...logger, warnings, warn: (message, fields) => warnings.push({ message, ...fields }) };
+}
+
+describe('generateListingEntries', () => {
+  const requests = [];
+  let server;
+  let aposHost;
+
+  before(async () => {
+    // Pages per query: 3 for all articles, 2 per category; 'broken' fails
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(url);
+      if (url.searchParams.get('category') === 'broken') {
+        res.writeHead(500).end();
+        return;
+      }
+      const json = url.searchParams.has('choices')
+        ? { pages: 1, choices: { tag: [{ value: 'red' }] } }
+        : { pages: url.searchParams.has('category') || url.searchParams.has('tag') ? 2 : 3 };
+      res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(json));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    aposHost = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const indexPage = (url, updatedAt = '2026-01-01') => ({ url, type: 'article-page', _id: url, updatedAt, locale: 'en' });
+
+  function generate(pagination, pageEntries, logger = recordingLogger()) {
+    requests.length = 0;
+    return generateListingEntries({
+      aposHost,
+      headers: {},
+      pagination,
+      pageEntries,
+      pieceEntries: [{ url: '/blog/a/', type: 'article', updatedAt: '2026-02-01' }],
+      locale: 'en',
+      modeQuery: '&aposLocale=en',
+      logger
+    });
+  }
+
+  it('computes the pages of each index page', async () => {
+    const entries = await generate({ article: true }, [indexPage('/blog/'), indexPage('/news/')]);
+
+    assert.deepEqual(entries.map(entry => entry.url), [
+      '/blog/page-2/', '/blog/page-3/', '/news/page-2/', '/news/page-3/'
+    ]);
+    assert.deepEqual(entries[0], {
+      url: '/blog/page-2/',
+      renderUrl: '/blog/?page=2',
+      source: 'listing',
+      type: 'article-page',
+      _id: 'listing:/blog/page-2/',
+      updatedAt: '2026-02-01',
+      locale: 'en'
+    });
+    // Both index pages run the same query
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].searchParams.get('aposLocale'), 'en');
+  });
+
+  it('queries each index page with its own parameters', async () => {
+    const query = page => (page.url === '/news/' ? { category: 'news' } : {});
+    const entries = await generate({ article: { query } }, [indexPage('/blog/'), indexPage('/news/')]);
+
+    assert.deepEqual(entries.map(entry => entry.url), [
+      '/blog/page-2/', '/blog/page-3/', '/news/page-2/'
+    ]);
+    assert.deepEqual(requests.map(url => url.searchParams.get('category')), [null, 'news']);
+  });
+
+  it('adds filter values and their pages', async () => {
+    const entries = await generate({ article: { filters: ['tag'] } }, [indexPage('/blog/')]);
+
+    assert.deepEqual(entries.map(entry => [entry.url, entry.renderUrl]), [
+      ['/blog/page-2/', '/blog/?page=2'],
+      ['/blog/page-3/', '/blog/?page=3'],
+      ['/blog/tag-red/', '/blog/?tag=red'],
+      ['/blog/tag-red-page-2/', '/blog/?page=2&tag=red']
+    ]);
+  });
+
+  it('logs failed queries and leaves that index page to the crawler', async () => {
+    const logger = recordingLogger();
+    const query = page => (page.url === '/news/' ? { category: 'broken' } : {});
+    const entries = await generate({ article: { query } }, [indexPage('/blog/'), indexPage('/news/')], logger);
+
+    assert.deepEqual(entries.map(entry => entry.url), ['/blog/page-2/', '/blog/page-3/']);
+    assert.equal(logger.warnings.length, 1);
+    assert.equal(logger.warnings[0].event, 'listing.failed');
+    assert.equal(logger.warnings[0].url, '/news/');
+  });
+});
+
+describe('expandListingTemplate', () => {
+  it('fills the path, page number and filter value', () => {
+    assert.equal(
+      expandListingTemplate('{path}/{filter}/{category}/page/{n}/', { path: '/blog', n: 2, filter: 'category', value: 'a b' }),
+      '/blog/category/a%20b/page/2/'
+    );
+    assert.equal(expandListingTemplate('{path}/page-{n}/', { path: '', n: 3 }), '/page-3/');
+  });
+});
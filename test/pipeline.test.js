@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { createPage } from '../src/pipeline.js';
+
+describe('createPage', () => {
+  const serialize = JSDOM.prototype.serialize;
+  let serializations;
+
+  beforeEach(() => {
+    serializations = 0;
+    JSDOM.prototype.serialize = function (...args) {
+      serializations++;
+      return serialize.apply(this, args);
+    };
+  });
+
+  afterEach(() => {
+    JSDOM.prototype.serialize = serialize;
+  });
+
+  it('returns the markup without parsing it', () => {
+    const page = createPage('/', '<p>Hi</p>');
+
+    assert.equal(page.html, '<p>Hi</p>');
+    assert.equal(page.hasDocument, false);
+  });
+
+  it('serializes the document once until it is read again', () => {
+    const page = createPage('/', '<p>Hi</p>');
+    page.document.querySelector('p').textContent = 'Hello';
+
+    assert.match(page.html, /<p>Hello<\/p>/);
+    assert.match(page.html, /<p>Hello<\/p>/);
+    assert.equal(serializations, 1);
+
+    page.document.querySelector('p').textContent = 'Bye';
+    assert.match(page.html, /<p>Bye<\/p>/);
+    assert.equal(serializations, 2);
+  });
+
+  it('replaces the document when the markup is assigned', () => {
+    const page = createPage('/', '<p>Hi</p>', { parser: 'dom' });
+    page.html = '<p>New</p>';
+
+    assert.equal(page.hasDocument, false);
+    assert.equal(page.html, '<p>New</p>');
+    assert.equal(page.document.querySelector('p').textContent, 'New');
+    assert.equal(serializations, 0);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fetchRedirects, writeRedirects } from '../src/redirects.js';
+import { createLogger } from '../src/logger.js';
+import { tempDir, writeTree, readTree } from './helpers/files.js';
+
+/** A logger that keeps its warnings */
+function recordingLogger() {
+  const warnings = [];
+  const logger = createLogger({ level: 'silent' });
+  return { ...logger, warnings, warn: (message, fields) => warnings.push({ message, ...fields }) };
+}
+
+const redirects = [
+  { from: '/old', to: '/new/', status: 301 },
+  { from: '/temp', to: 'https://example.com/a page', status: 302 },
+  { from: '/with space', to: '/new/', status: 301 }
+];
+
+describe('writeRedirects', () => {
+  it('writes _redirects ahead of the site rules, encoding or skipping whitespace', () => {
+    const outputDir = writeTree(tempDir(), { _redirects: '/site /rule 302\n' });
+    const logger = recordingLogger();
+
+    assert.deepEqual(writeRedirects(outputDir, redirects, { formats: ['netlify'], logger }), ['_redirects']);
+
+    assert.equal(fs.readFileSync(path.join(outputDir, '_redirects'), 'utf8'), [
+      '# BEGIN apos-astro-static redirects',
+      '/old /new/ 301',
+      '/temp https://example.com/a%20page 302',
+      '# END apos-astro-static redirects',
+      '',
+      '/site /rule 302',
+      ''
+    ].join('\n'));
+    assert.deepEqual(logger.warnings.map(warning => [warning.event, warning.from]), [['redirect.skipped', '/with space']]);
+  });
+
+  it('replaces its own block on the next run', () => {
+    const outputDir = tempDir();
+    const logger = recordingLogger();
+    writeRedirects(outputDir, redirects, { formats: ['apache'], logger });
+    writeRedirects(outputDir, [{ from: '/a.b', to: '/c/', status: 302 }], { formats: ['apache'], logger });
+
+    assert.equal(fs.readFileSync(path.join(outputDir, '.htaccess'), 'utf8'), [
+      '# BEGIN apos-astro-static redirects',
+      'RedirectMatch 302 ^/a\\.b/?$ /c/',
+      '# END apos-astro-static redirects',
+      ''
+    ].join('\n'));
+  });
+
+  it('writes .htaccess rules with encoded targets', () => {
+    const outputDir = tempDir();
+    const logger = recordingLogger();
+    writeRedirects(outputDir, redirects, { formats: ['apache'], logger });
+
+    assert.match(fs.readFileSync(path.join(outputDir, '.htaccess'), 'utf8'),
+      /RedirectMatch 301 \^\/old\/\?\$ \/new\/\nRedirectMatch 302 \^\/temp\/\?\$ https:\/\/example\.com\/a%20page\n/);
+    assert.equal(logger.warnings.length, 1);
+  });
+
+  it('merges vercel.json redirects, replacing earlier rules for the same source', () => {
+    const outputDir = writeTree(tempDir(), {
+      'vercel.json': JSON.stringify({ cleanUrls: true, redirects: [{ source: '/old', destination: '/x/' }, { source: '/own', destination: '/y/' }] })
+    });
+
+    writeRedirects(outputDir, redirects.slice(0, 1), { formats: ['vercel'] });
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(outputDir, 'vercel.json'), 'utf8')), {
+      cleanUrls: true,
+      redirects: [
+        { source: '/old', destination: '/new/', permanent: true },
+        { source: '/own', destination: '/y/' }
+      ]
+    });
+  });
+
+  it('leaves redirects nginx cannot express out of the nginx files', () => {
+    const outputDir = tempDir();
+    const logger = recordingLogger();
+    writeRedirects(outputDir, redirects, { formats: ['nginx'], logger });
+
+    const rewrite = fs.readFileSync(path.join(outputDir, 'nginx-redirects-rewrite.conf'), 'utf8');
+    assert.match(rewrite, /rewrite \^\/old\/\?\$ "\/new\/" permanent;/);
+    assert.doesNotMatch(rewrite, /temp|space/);
+    assert.deepEqual(logger.warnings.map(warning => warning.from), ['/temp', '/with space']);
+  });
+
+  it('writes HTML redirects without replacing rendered pages', () => {
+    const outputDir = writeTree(tempDir(), { 'temp/index.html': '<p>A page</p>' });
+    const logger = recordingLogger();
+
+    const written = writeRedirects(outputDir, redirects, { siteUrl: 'https://example.org/', logger });
+
+    assert.deepEqual(written, ['old/index.html', 'with space/index.html']);
+    const html = readTree(outputDir)['old/index.html'];
+    assert.match(html, /<link rel="canonical" href="https:\/\/example\.org\/new\/">/);
+    assert.match(html, /<meta http-equiv="refresh" content="0; url=\/new\/">/);
+    assert.equal(readTree(outputDir)['temp/index.html'], '<p>A page</p>');
+    assert.deepEqual(logger.warnings.map(warning => warning.from), ['/temp']);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => writeRedirects(tempDir(), [], { formats: ['caddy'] }), /Unknown redirect format\(s\): caddy/);
+  });
+});
+
+describe('fetchRedirects', () => {
+  let server;
+  let aposHost;
+  let respond;
+  const requests = [];
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      requests.push(new URL(req.url, 'http://localhost'));
+      const [status, json] = respond(requests.length);
+      res.writeHead(status, { 'content-type': 'application/json' }).end(JSON.stringify(json ?? {}));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    aposHost = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const doc = { redirectSlug: '/old/', urlType: 'internal', _newPage: [{ _url: 'https://cms.example.com/new/' }], statusCode: '302' };
+
+  it('retries server errors', async () => {
+    requests.length = 0;
+    respond = count => (count === 1 ? [503] : [200, { results: [doc], pages: 1 }]);
+
+    const result = await fetchRedirects({ aposHost, aposKey: 'key', locale: 'fr', retries: 1, logger: recordingLogger() });
+
+    assert.deepEqual(result, [{ from: '/old', to: '/new/', status: 302 }]);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[1].searchParams.get('aposLocale'), 'fr');
+  });
+
+  it('returns no redirects when the module is not installed', async () => {
+    respond = () => [404];
+
+    assert.deepEqual(await fetchRedirects({ aposHost, aposKey: 'key', retries: 0 }), []);
+  });
+
+  it('reports errors once the retries are used up', async () => {
+    respond = () => [500];
+
+    await assert.rejects(
+      fetchRedirects({ aposHost, aposKey: 'key', retries: 0 }),
+      /Failed to fetch redirects: HTTP 500/
+    );
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { writeSitemapXml } from '../src/sitemap-xml.js';
+import { tempDir, readTree } from './helpers/files.js';
+
+const record = (pathname, lastmod = null) => ({
+  loc: `https://example.com${pathname}`,
+  lastmod,
+  alternates: []
+});
+
+const locs = xml => Array.from(xml.matchAll(/<loc>([^<]+)<\/loc>/g), match => match[1]);
+
+describe('writeSitemapXml', () => {
+  it('writes a single urlset up to the limit', () => {
+    const outputDir = tempDir();
+
+    const written = writeSitemapXml(outputDir, [record('/'), record('/about/')], { maxUrlsPerFile: 2 });
+
+    assert.deepEqual(written, ['sitemap.xml']);
+    const xml = fs.readFileSync(path.join(outputDir, 'sitemap.xml'), 'utf8');
+    assert.match(xml, /<urlset /);
+    assert.deepEqual(locs(xml), ['https://example.com/', 'https://example.com/about/']);
+  });
+
+  it('splits past the limit into numbered sitemaps behind an index', () => {
+    const outputDir = tempDir();
+    const records = [
+      record('/', '2026-01-03'),
+      record('/a/', '2026-01-01'),
+      record('/b/', '2026-01-02'),
+      record('/c/')
+    ];
+
+    const written = writeSitemapXml(outputDir, records, { sitemapBaseUrl: 'https://example.com/', maxUrlsPerFile: 3 });
+
+    assert.deepEqual(written, ['sitemap.xml', 'sitemap-1.xml', 'sitemap-2.xml']);
+    const files = readTree(outputDir);
+    assert.match(files['sitemap.xml'], /<sitemapindex /);
+    assert.deepEqual(locs(files['sitemap.xml']), ['https://example.com/sitemap-1.xml', 'https://example.com/sitemap-2.xml']);
+    // Each entry carries the newest lastmod of its file, when there is one
+    assert.match(files['sitemap.xml'], /sitemap-1\.xml<\/loc>\n {4}<lastmod>2026-01-03<\/lastmod>/);
+    assert.doesNotMatch(files['sitemap.xml'], /sitemap-2\.xml<\/loc>\n {4}<lastmod>/);
+    assert.deepEqual(locs(files['sitemap-1.xml']), ['https://example.com/', 'https://example.com/a/', 'https://example.com/b/']);
+    assert.deepEqual(locs(files['sitemap-2.xml']), ['https://example.com/c/']);
+  });
+
+  it('removes numbered sitemaps a previous export left behind', () => {
+    const outputDir = tempDir();
+    const records = [record('/'), record('/a/'), record('/b/')];
+    writeSitemapXml(outputDir, records, { sitemapBaseUrl: 'https://example.com', maxUrlsPerFile: 1 });
+
+    const written = writeSitemapXml(outputDir, records.slice(0, 2), { sitemapBaseUrl: 'https://example.com', maxUrlsPerFile: 2 });
+
+    assert.deepEqual(written, ['sitemap.xml']);
+    assert.deepEqual(Object.keys(readTree(outputDir)), ['sitemap.xml']);
+  });
+
+  it('needs a base URL to write an index', () => {
+    assert.throws(
+      () => writeSitemapXml(tempDir(), [record('/'), record('/a/')], { maxUrlsPerFile: 1 }),
+      /site URL is required/
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { createUploadCache } from '../src/upload-cache.js';
+import { createLogger } from '../src/logger.js';
+import { tempDir } from './helpers/files.js';
+
+describe('createUploadCache', () => {
+  const requests = [];
+  let server;
+  let origin;
+
+  before(async () => {
+    // Sends the body in two chunks, so concurrent downloads overlap
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, headers: req.headers });
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304).end();
+        return;
+      }
+      res.writeHead(200, { etag: '"v1"', 'content-type': 'image/jpeg' });
+      res.write('first-');
+      setTimeout(() => res.end('second'), 50);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('shares one request between downloads of the same URL', async () => {
+    requests.length = 0;
+    const dir = tempDir();
+    const cache = createUploadCache({ dir: path.join(dir, 'cache'), retries: 0, logger: createLogger({ level: 'silent' }) });
+    const url = `${origin}/uploads/shared.jpg`;
+    const destinations = ['a', 'b', 'c'].map(name => path.join(dir, name, 'shared.jpg'));
+
+    const results = await Promise.all(destinations.map(dest => cache.download(url, dest)));
+
+    assert.equal(requests.length, 1);
+    assert.deepEqual(results, destinations.map(() => ({ bytes: 12, cached: false })));
+    for (const dest of destinations) {
+      assert.equal(fs.readFileSync(dest, 'utf8'), 'first-second');
+    }
+    assert.deepEqual(fs.readdirSync(path.join(dir, 'cache', 'partial')), []);
+    assert.equal(cache.stats.downloaded, 1);
+  });
+
+  it('revalidates cached uploads', async () => {
+    requests.length = 0;
+    const dir = tempDir();
+    const cache = createUploadCache({ dir: path.join(dir, 'cache'), retries: 0, logger: createLogger({ level: 'silent' }) });
+    const url = `${origin}/uploads/again.jpg`;
+
+    await cache.download(url, path.join(dir, 'one.jpg'));
+    const result = await cache.download(url, path.join(dir, 'two.jpg'));
+
+    assert.deepEqual(result, { bytes: 12, cached: true });
+    assert.equal(requests[1].headers['if-none-match'], '"v1"');
+    assert.equal(fs.readFileSync(path.join(dir, 'two.jpg'), 'utf8'), 'first-second');
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { queryParamsToPath, outputPathForUrl } from '../src/utils.js';
+
+describe('queryParamsToPath', () => {
+  it('turns query parameters into sorted path segments', () => {
+    assert.equal(queryParamsToPath('/articles/?page=2'), '/articles/page-2/');
+    assert.equal(queryParamsToPath('/articles/?page=2&category=news'), '/articles/category-news-page-2/');
+    assert.equal(queryParamsToPath('/articles?category=news'), '/articles/category-news/');
+  });
+
+  it('leaves paths without parameters alone and drops aposMode and empty values', () => {
+    assert.equal(queryParamsToPath('/articles/'), '/articles/');
+    assert.equal(queryParamsToPath('/articles/?aposMode=draft'), '/articles/');
+    assert.equal(queryParamsToPath('/articles/?page=2&aposMode=draft&tag='), '/articles/page-2/');
+  });
+});
+
+describe('outputPathForUrl', () => {
+  const root = path.resolve('/srv/site');
+
+  it('maps pages to index.html files', () => {
+    assert.equal(outputPathForUrl(root, '/'), path.join(root, 'index.html'));
+    assert.equal(outputPathForUrl(root, '/about/'), path.join(root, 'about', 'index.html'));
+    assert.equal(outputPathForUrl(root, '/blog/?page=2'), path.join(root, 'blog', 'page-2', 'index.html'));
+  });
+
+  it('keeps URLs with an extension as files', () => {
+    assert.equal(outputPathForUrl(root, '/feed.xml'), path.join(root, 'feed.xml'));
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { validateOutput, REPORT_JSON, REPORT_TEXT } from '../src/validate.js';
+import { validateSite } from '../src/index.js';
+import { tempDir, writeTree } from './helpers/files.js';
+
+function exportedSite() {
+  const outputDir = path.join(tempDir(), 'site');
+  writeTree(outputDir, {
+    'index.html': '<a href="/about/">About</a> <a href="/missing/">Gone</a>',
+    'about/index.html': '<h1 id="team">Team</h1>'
+  });
+  return outputDir;
+}
+
+describe('validateOutput', () => {
+  it('writes its reports next to the output, not into it', () => {
+    const outputDir = exportedSite();
+
+    const summary = validateOutput(outputDir);
+
+    assert.deepEqual(summary.broken.map(item => item.target), ['/missing/']);
+    assert.ok(fs.existsSync(path.join(`${outputDir}.reports`, REPORT_JSON)));
+    assert.ok(fs.existsSync(path.join(`${outputDir}.reports`, REPORT_TEXT)));
+    assert.ok(!fs.existsSync(path.join(outputDir, REPORT_JSON)));
+  });
+
+  it('refuses to write its reports into the output', () => {
+    const outputDir = exportedSite();
+
+    assert.throws(() => validateOutput(outputDir, { reportDir: path.join(outputDir, 'reports') }), /inside the output directory/);
+  });
+
+  it('skips the reports when reportDir is false', () => {
+    const outputDir = exportedSite();
+
+    validateOutput(outputDir, { reportDir: false });
+
+    assert.ok(!fs.existsSync(`${outputDir}.reports`));
+  });
+});
+
+describe('validateSite', () => {
+  it('writes the reports into the reports directory', () => {
+    const outputDir = exportedSite();
+    const reportsDir = path.join(tempDir(), 'reports');
+
+    const validation = validateSite(outputDir, { validate: true, reportsDir });
+
+    assert.equal(validation.reportDir, reportsDir);
+    assert.ok(fs.existsSync(path.join(reportsDir, REPORT_JSON)));
+  });
+
+  it('gives each domain its own report', () => {
+    const outputDir = path.join(tempDir(), 'site');
+    writeTree(outputDir, {
+      'en/index.html': '<a href="/missing/">Gone</a>',
+      'fr/index.html': '<a href="/">Accueil</a>'
+    });
+    const localeConfig = {
+      en: { label: 'English', baseUrl: 'https://example.com' },
+      fr: { label: 'Français', baseUrl: 'https://example.fr' }
+    };
+
+    const validation = validateSite(outputDir, { localeConfig, validate: true });
+
+    assert.deepEqual(validation.broken.map(item => item.target), ['/en/missing/']);
+    const report = JSON.parse(fs.readFileSync(path.join(`${outputDir}.reports`, 'en', REPORT_JSON), 'utf8'));
+    assert.equal(report.broken.length, 1);
+    assert.ok(fs.existsSync(path.join(`${outputDir}.reports`, 'fr', REPORT_TEXT)));
+  });
+});